@@ -86,12 +86,13 @@ export class ComponentLibrary {
 
     /**
      * Create a bar magnet with N/S poles
+     * remanence is the material's remanent flux density in tesla; strength scales it
      */
     createBarMagnet(options = {}) {
-        const { length = 2, width = 0.5, height = 0.4, strength = 1 } = options;
+        const { length = 2, width = 0.5, height = 0.4, strength = 1, remanence = 1.0 } = options;
 
         const group = new THREE.Group();
-        group.userData = { type: 'barMagnet', strength, draggable: true };
+        group.userData = { type: 'barMagnet', strength, remanence, draggable: true };
 
         // North pole (red)
         const northGeom = new THREE.BoxGeometry(length / 2, height, width);
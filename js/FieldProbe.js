@@ -0,0 +1,384 @@
+/**
+ * Field Probe - A draggable magnetometer that reads the field at its tip
+ *
+ * The probe shows live Bx, By, Bz and |B| in the options panel, with an arrow
+ * along the field at the tip. Readings can be pinned as numbered markers in the
+ * scene, which also adds them to a table that downloads as CSV. Modules create
+ * one with a function returning their field sources and call update() whenever
+ * the field changes.
+ */
+import * as THREE from 'three';
+import { SliderManager } from './InteractionManager.js';
+import { formatTesla } from './FieldVisualizer.js';
+
+const COMPONENTS = ['Bx', 'By', 'Bz', '|B|'];
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class FieldProbe {
+    /**
+     * @param {Object} app
+     * @param {Object} options
+     * @param {Function} options.getSources - returns the magnets and solenoids to measure
+     * @param {number[]} [options.position] - starting tip position (m)
+     */
+    constructor(app, { getSources, position = [1.5, 0.3, 1] }) {
+        this.app = app;
+        this.getSources = getSources;
+
+        this.visible = false;
+        this.field = new THREE.Vector3();
+        this.readings = [];
+        this.markers = [];
+
+        this.probe = this.createProbe();
+        this.probe.position.set(...position);
+
+        this.controls = null;
+        this.settings = null;
+        this.sliders = null;
+        this.readout = null;
+        this.table = null;
+    }
+
+    createProbe() {
+        const group = new THREE.Group();
+        group.userData = { type: 'fieldProbe', draggable: true };
+
+        // The tip sits at the group origin, so the group's position is where it measures
+        const tip = new THREE.Mesh(
+            new THREE.SphereGeometry(0.05, 16, 12),
+            new THREE.MeshStandardMaterial({ color: 0xff4757, emissive: 0x661a22 })
+        );
+        group.add(tip);
+
+        const stem = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.015, 0.015, 0.5, 8),
+            new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.3 })
+        );
+        stem.position.y = 0.25;
+        group.add(stem);
+
+        const handle = new THREE.Mesh(
+            new THREE.BoxGeometry(0.16, 0.24, 0.08),
+            new THREE.MeshStandardMaterial({ color: 0x2f3542, roughness: 0.6 })
+        );
+        handle.position.y = 0.6;
+        group.add(handle);
+
+        this.fieldArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 0.4, 0xffd32a, 0.1, 0.06);
+        this.fieldArrow.visible = false;
+        group.add(this.fieldArrow);
+
+        return group;
+    }
+
+    /**
+     * Whether a dragged object is this probe
+     */
+    owns(object) {
+        return object === this.probe;
+    }
+
+    createControls(container) {
+        if (!container) return;
+        this.addStyles();
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'field-probe-controls';
+
+        const label = document.createElement('div');
+        label.className = 'option-label';
+        label.textContent = 'Field Probe:';
+        this.controls.appendChild(label);
+
+        const toggleBtn = this.app.createOptionButton('Show Probe', this.visible, () => {
+            this.setVisible(!this.visible);
+            toggleBtn.classList.toggle('active', this.visible);
+            toggleBtn.textContent = this.visible ? 'Hide Probe' : 'Show Probe';
+        });
+        this.controls.appendChild(toggleBtn);
+
+        const settings = document.createElement('div');
+        settings.className = 'field-probe-settings hidden';
+        this.settings = settings;
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'field-probe-readout';
+        this.readout.innerHTML = COMPONENTS.map(name => `
+            <div class="field-probe-value"><span>${name}</span><span data-component="${name}">–</span></div>
+        `).join('');
+        settings.appendChild(this.readout);
+
+        const sliderContainer = document.createElement('div');
+        settings.appendChild(sliderContainer);
+        this.sliders = new SliderManager(sliderContainer);
+        this.sliders.createSlider({
+            id: 'probe-height',
+            label: 'Probe Height',
+            min: 0,
+            max: 3,
+            value: this.probe.position.y,
+            step: 0.05,
+            unit: ' m',
+            onChange: (val) => {
+                this.probe.position.y = val;
+                this.update();
+            }
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        buttons.appendChild(this.app.createOptionButton('📌 Pin Reading', false, () => this.pinReading()));
+        buttons.appendChild(this.app.createOptionButton('Clear', false, () => this.clearReadings()));
+        buttons.appendChild(this.app.createOptionButton('Export CSV', false, () => this.exportCSV()));
+        settings.appendChild(buttons);
+
+        this.table = document.createElement('div');
+        this.table.className = 'field-probe-table';
+        settings.appendChild(this.table);
+        this.renderTable();
+
+        this.controls.appendChild(settings);
+        container.appendChild(this.controls);
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.settings?.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            this.app.sceneManager.add(this.probe);
+            this.app.interaction.addDraggable(this.probe);
+            this.update();
+        } else {
+            this.app.sceneManager.remove(this.probe);
+            this.app.interaction.removeDraggable(this.probe);
+        }
+    }
+
+    /**
+     * Measure the field at the tip and refresh the readout and arrow
+     */
+    update() {
+        if (!this.visible) return;
+
+        this.field = this.app.fieldVisualizer.calculateTotalField(this.probe.position, this.getSources());
+        const magnitude = this.field.length();
+
+        if (this.readout) {
+            const values = { Bx: this.field.x, By: this.field.y, Bz: this.field.z, '|B|': magnitude };
+            this.readout.querySelectorAll('[data-component]').forEach(span => {
+                span.textContent = formatTesla(values[span.dataset.component]);
+            });
+        }
+
+        this.fieldArrow.visible = magnitude > 1e-12;
+        if (this.fieldArrow.visible) {
+            this.fieldArrow.setDirection(this.field.clone().normalize());
+        }
+    }
+
+    /**
+     * Record the current reading and leave a numbered marker where it was taken
+     */
+    pinReading() {
+        if (!this.visible) return;
+        this.update();
+
+        const label = `P${this.readings.length + 1}`;
+        const position = this.probe.position.clone();
+        this.readings.push({ label, position, field: this.field.clone() });
+
+        const marker = new THREE.Group();
+        marker.position.copy(position);
+        marker.add(new THREE.Mesh(
+            new THREE.SphereGeometry(0.04, 12, 8),
+            new THREE.MeshBasicMaterial({ color: 0xffd32a })
+        ));
+        const sprite = this.createLabelSprite(label);
+        sprite.position.y = 0.2;
+        sprite.scale.set(0.4, 0.2, 1);
+        marker.add(sprite);
+
+        this.app.sceneManager.add(marker);
+        this.markers.push(marker);
+        this.renderTable();
+    }
+
+    clearReadings() {
+        this.markers.forEach(marker => this.removeMarker(marker));
+        this.markers = [];
+        this.readings = [];
+        this.renderTable();
+    }
+
+    removeMarker(marker) {
+        this.app.sceneManager.remove(marker);
+        marker.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+
+    renderTable() {
+        if (!this.table) return;
+
+        if (this.readings.length === 0) {
+            this.table.innerHTML = '<div class="field-probe-empty">Pin readings to log them here.</div>';
+            return;
+        }
+
+        const rows = this.readings.map(({ label, position, field }) => `
+            <tr>
+                <td>${label}</td>
+                <td>${position.toArray().map(value => value.toFixed(2)).join(', ')}</td>
+                <td>${formatTesla(field.length())}</td>
+            </tr>
+        `).join('');
+        this.table.innerHTML = `
+            <table>
+                <thead><tr><th>Pin</th><th>Position (m)</th><th>|B|</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Download the pinned readings, in metres and tesla
+     */
+    exportCSV() {
+        if (this.readings.length === 0) {
+            this.app.showToast('Pin a reading first');
+            return;
+        }
+
+        const rows = [
+            ['Pin', 'x (m)', 'y (m)', 'z (m)', 'Bx (T)', 'By (T)', 'Bz (T)', '|B| (T)'],
+            ...this.readings.map(({ label, position, field }) => [
+                label,
+                ...position.toArray().map(value => value.toFixed(3)),
+                ...field.toArray().map(value => value.toExponential(4)),
+                field.length().toExponential(4)
+            ])
+        ];
+        const text = rows.map(row => row.map(csvCell).join(',')).join('\n');
+
+        const blob = new Blob([text], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `emlab-probe-readings-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the download time to start before the URL goes away
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    createLabelSprite(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#ffd32a';
+        ctx.font = 'bold 40px Inter, Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 64, 32);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false
+        });
+        return new THREE.Sprite(material);
+    }
+
+    dispose() {
+        this.clearReadings();
+        this.app.sceneManager.remove(this.probe);
+        this.app.interaction.removeDraggable(this.probe);
+        this.probe.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.controls?.remove();
+    }
+
+    addStyles() {
+        if (document.getElementById('field-probe-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'field-probe-styles';
+        style.textContent = `
+            .field-probe-controls {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                margin-top: 1rem;
+            }
+            
+            .field-probe-settings {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+            }
+            
+            .field-probe-settings.hidden {
+                display: none;
+            }
+            
+            .field-probe-readout {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 0.25rem 0.75rem;
+                padding: 0.5rem;
+                background: var(--surface-light);
+                border: 1px solid var(--border);
+                border-radius: 6px;
+            }
+            
+            .field-probe-value {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.75rem;
+                color: var(--text-secondary);
+            }
+            
+            .field-probe-value span:last-child {
+                color: var(--text-primary);
+                font-variant-numeric: tabular-nums;
+            }
+            
+            .field-probe-table table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.7rem;
+                color: var(--text-secondary);
+            }
+            
+            .field-probe-table th,
+            .field-probe-table td {
+                text-align: left;
+                padding: 0.2rem 0.3rem;
+                border-bottom: 1px solid var(--border);
+            }
+            
+            .field-probe-empty {
+                font-size: 0.7rem;
+                color: var(--text-muted);
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * Field Slice - A draggable cross-section plane coloured by field strength
+ *
+ * |B| is evaluated over the plane in the field worker and drawn as a colour-mapped
+ * texture, on a linear or logarithmic scale, with optional contour lines. Modules
+ * create one with a function returning their field sources, add its controls to
+ * the options panel and call update() whenever the field changes.
+ */
+import * as THREE from 'three';
+import { SliderManager } from './InteractionManager.js';
+import { formatTesla } from './FieldVisualizer.js';
+
+// Grid points per side of the slice
+const RESOLUTION = 96;
+
+// The colour scale tops out at this quantile of |B|, so the near-singular field
+// right beside a wire does not wash out the rest of the slice
+const SCALE_QUANTILE = 0.98;
+
+// Decades of |B| shown below the top of the scale in log mode
+const LOG_DECADES = 3;
+
+// Contour lines sit at this many equal steps of the colour scale
+const CONTOUR_LEVELS = 10;
+
+// Inferno colour map stops: [position on the scale, colour]
+const COLOR_STOPS = [
+    [0, 0x000004],
+    [0.25, 0x57106e],
+    [0.5, 0xbc3754],
+    [0.75, 0xf98e09],
+    [1, 0xfcffa4]
+];
+
+function colorAt(t) {
+    let i = 1;
+    while (i < COLOR_STOPS.length - 1 && t > COLOR_STOPS[i][0]) i++;
+    const [t0, c0] = COLOR_STOPS[i - 1];
+    const [t1, c1] = COLOR_STOPS[i];
+    const alpha = Math.min(Math.max((t - t0) / (t1 - t0), 0), 1);
+    return [16, 8, 0].map(shift => {
+        const a = (c0 >> shift) & 0xff;
+        const b = (c1 >> shift) & 0xff;
+        return Math.round(a + (b - a) * alpha);
+    });
+}
+
+export class FieldSlice {
+    /**
+     * @param {Object} app
+     * @param {Object} options
+     * @param {Function} options.getSources - returns the magnets and solenoids to sample
+     * @param {number} [options.height] - starting height (m) of the slice centre
+     * @param {number} [options.size] - side length (m) of the slice
+     */
+    constructor(app, { getSources, height = 0.3, size = 6 }) {
+        this.app = app;
+        this.getSources = getSources;
+        this.size = size;
+
+        this.visible = false;
+        this.orientation = 'horizontal'; // 'horizontal', 'vertical'
+        this.angle = 0;
+        this.logScale = false;
+        this.showContours = false;
+
+        // Latest result from the worker, kept so scale and contour changes only recolour
+        this.magnitudes = null;
+        this.resolution = 0;
+        this.scaleMax = 0;
+
+        this.texture = null;
+        this.plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: 0.85,
+                depthWrite: false
+            })
+        );
+        this.plane.rotation.order = 'YXZ';
+        this.plane.position.set(0, height, 0);
+        this.plane.userData = { type: 'fieldSlice', draggable: true };
+        this.plane.visible = false;
+        this.applyRotation();
+
+        this.controls = null;
+        this.settings = null;
+        this.sliders = null;
+        this.legend = null;
+    }
+
+    /**
+     * Whether a dragged object is this slice
+     */
+    owns(object) {
+        return object === this.plane;
+    }
+
+    createControls(container) {
+        if (!container) return;
+        this.addStyles();
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'field-slice-controls';
+
+        const label = document.createElement('div');
+        label.className = 'option-label';
+        label.textContent = 'Field Strength Slice:';
+        this.controls.appendChild(label);
+
+        const toggleBtn = this.app.createOptionButton('Show Slice', this.visible, () => {
+            this.setVisible(!this.visible);
+            toggleBtn.classList.toggle('active', this.visible);
+            toggleBtn.textContent = this.visible ? 'Hide Slice' : 'Show Slice';
+        });
+        this.controls.appendChild(toggleBtn);
+
+        const settings = document.createElement('div');
+        settings.className = 'field-slice-settings hidden';
+        this.settings = settings;
+
+        settings.appendChild(this.app.createButtonGroup([
+            { label: 'Horizontal', isActive: this.orientation === 'horizontal', onClick: () => this.setOrientation('horizontal') },
+            { label: 'Vertical', isActive: this.orientation === 'vertical', onClick: () => this.setOrientation('vertical') }
+        ]));
+
+        const sliderContainer = document.createElement('div');
+        settings.appendChild(sliderContainer);
+        this.sliders = new SliderManager(sliderContainer);
+        this.sliders.createSlider({
+            id: 'slice-angle',
+            label: 'Slice Angle',
+            min: 0,
+            max: 180,
+            value: this.angle,
+            step: 5,
+            unit: '°',
+            onChange: (val) => {
+                this.angle = val;
+                this.applyRotation();
+                this.update();
+            }
+        });
+        this.sliders.createSlider({
+            id: 'slice-height',
+            label: 'Slice Height',
+            min: 0,
+            max: 3,
+            value: this.plane.position.y,
+            step: 0.05,
+            unit: ' m',
+            onChange: (val) => {
+                this.plane.position.y = val;
+                this.update();
+            }
+        });
+
+        settings.appendChild(this.app.createButtonGroup([
+            { label: 'Linear', isActive: !this.logScale, onClick: () => this.setLogScale(false) },
+            { label: 'Log', isActive: this.logScale, onClick: () => this.setLogScale(true) }
+        ]));
+
+        const contourBtn = this.app.createOptionButton('Contours', this.showContours, () => {
+            this.showContours = !this.showContours;
+            contourBtn.classList.toggle('active', this.showContours);
+            this.render();
+        });
+        settings.appendChild(contourBtn);
+
+        this.legend = document.createElement('div');
+        this.legend.className = 'field-slice-legend';
+        const stops = COLOR_STOPS.map(([t, color]) => `#${color.toString(16).padStart(6, '0')} ${t * 100}%`);
+        this.legend.innerHTML = `
+            <div class="field-slice-legend-bar" style="background: linear-gradient(to right, ${stops.join(', ')});"></div>
+            <div class="field-slice-legend-labels"><span></span><span></span><span></span></div>
+            <div class="field-slice-legend-note">|B| on the slice. Drag it to move it.</div>
+        `;
+        settings.appendChild(this.legend);
+
+        this.controls.appendChild(settings);
+        container.appendChild(this.controls);
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.plane.visible = visible;
+        this.settings?.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            this.app.sceneManager.add(this.plane);
+            this.app.interaction.addDraggable(this.plane);
+            this.update();
+        } else {
+            this.app.sceneManager.remove(this.plane);
+            this.app.interaction.removeDraggable(this.plane);
+            this.app.fieldVisualizer.clearFieldSlice();
+        }
+    }
+
+    setOrientation(orientation) {
+        this.orientation = orientation;
+        this.applyRotation();
+        this.update();
+    }
+
+    setLogScale(logScale) {
+        this.logScale = logScale;
+        this.render();
+    }
+
+    applyRotation() {
+        this.plane.rotation.set(
+            this.orientation === 'horizontal' ? -Math.PI / 2 : 0,
+            THREE.MathUtils.degToRad(this.angle),
+            0
+        );
+    }
+
+    /**
+     * Recompute the slice for the current sources and plane pose
+     */
+    update() {
+        if (!this.visible) return;
+
+        this.plane.updateMatrixWorld();
+        this.app.fieldVisualizer.generateFieldSlice(this.getSources(), {
+            center: this.plane.position.toArray(),
+            quaternion: this.plane.quaternion.toArray(),
+            size: this.size,
+            resolution: RESOLUTION
+        }, (magnitudes, resolution) => {
+            this.magnitudes = magnitudes;
+            this.resolution = resolution;
+            const sorted = Float32Array.from(magnitudes).sort();
+            this.scaleMax = sorted[Math.floor((sorted.length - 1) * SCALE_QUANTILE)];
+            this.render();
+        });
+    }
+
+    /**
+     * Position (0-1) of a field strength on the current colour scale
+     */
+    scalePosition(magnitude) {
+        if (!(this.scaleMax > 0)) return 0;
+        const t = this.logScale
+            ? Math.log10(magnitude / this.scaleMax) / LOG_DECADES + 1
+            : magnitude / this.scaleMax;
+        return Math.min(Math.max(t, 0), 1);
+    }
+
+    /**
+     * Colour the last result into the slice texture and refresh the legend
+     */
+    render() {
+        if (!this.magnitudes) return;
+
+        const { magnitudes, resolution } = this;
+        if (!this.texture || this.texture.image.width !== resolution) {
+            this.texture?.dispose();
+            this.texture = new THREE.DataTexture(new Uint8Array(resolution * resolution * 4), resolution, resolution);
+            this.texture.colorSpace = THREE.SRGBColorSpace;
+            this.texture.magFilter = THREE.LinearFilter;
+            this.plane.material.map = this.texture;
+            this.plane.material.needsUpdate = true;
+        }
+
+        const positions = Array.from(magnitudes, magnitude => this.scalePosition(magnitude));
+        const level = t => Math.min(Math.floor(t * CONTOUR_LEVELS), CONTOUR_LEVELS - 1);
+        const data = this.texture.image.data;
+
+        for (let row = 0; row < resolution; row++) {
+            for (let column = 0; column < resolution; column++) {
+                const index = row * resolution + column;
+                let [r, g, b] = colorAt(positions[index]);
+
+                // A contour runs between neighbouring cells on different levels
+                if (this.showContours && this.scaleMax > 0) {
+                    const here = level(positions[index]);
+                    const onContour = (column + 1 < resolution && level(positions[index + 1]) !== here) ||
+                        (row + 1 < resolution && level(positions[index + resolution]) !== here);
+                    if (onContour) {
+                        [r, g, b] = [r, g, b].map(c => Math.round(c + (255 - c) * 0.7));
+                    }
+                }
+
+                data.set([r, g, b, 255], index * 4);
+            }
+        }
+        this.texture.needsUpdate = true;
+
+        this.updateLegend();
+    }
+
+    updateLegend() {
+        if (!this.legend) return;
+
+        const [low, middle, high] = this.legend.querySelectorAll('.field-slice-legend-labels span');
+        if (!(this.scaleMax > 0)) {
+            low.textContent = '0 T';
+            middle.textContent = 'No field';
+            high.textContent = '';
+            return;
+        }
+
+        const min = this.logScale ? this.scaleMax / 10 ** LOG_DECADES : 0;
+        const mid = this.logScale ? this.scaleMax / 10 ** (LOG_DECADES / 2) : this.scaleMax / 2;
+        low.textContent = this.logScale ? `≤ ${formatTesla(min)}` : formatTesla(min);
+        middle.textContent = formatTesla(mid);
+        high.textContent = `≥ ${formatTesla(this.scaleMax)}`;
+    }
+
+    dispose() {
+        this.app.fieldVisualizer.clearFieldSlice();
+        this.app.sceneManager.remove(this.plane);
+        this.app.interaction.removeDraggable(this.plane);
+        this.plane.geometry.dispose();
+        this.plane.material.dispose();
+        this.texture?.dispose();
+        this.controls?.remove();
+    }
+
+    addStyles() {
+        if (document.getElementById('field-slice-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'field-slice-styles';
+        style.textContent = `
+            .field-slice-controls {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                margin-top: 1rem;
+            }
+            
+            .field-slice-settings {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+            }
+            
+            .field-slice-settings.hidden {
+                display: none;
+            }
+            
+            .field-slice-legend-bar {
+                height: 10px;
+                border-radius: 3px;
+                border: 1px solid var(--border);
+            }
+            
+            .field-slice-legend-labels {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.7rem;
+                color: var(--text-secondary);
+                margin-top: 0.25rem;
+            }
+            
+            .field-slice-legend-note {
+                font-size: 0.7rem;
+                color: var(--text-muted);
+                margin-top: 0.25rem;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
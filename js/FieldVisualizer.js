@@ -1,7 +1,69 @@
 /**
  * Field Visualizer - Magnetic field visualization engine
+ *
+ * The field maths lives in field/FieldSolver.js. Field lines and arrow grids are
+ * computed by the field worker and arrive here progressively; this class only
+ * turns them into geometry.
  */
 import * as THREE from 'three';
+import { MU_0, fieldAt, isInsideSource, sourceField } from './field/FieldSolver.js';
+import { FieldWorkerClient } from './field/FieldWorkerClient.js';
+
+export { MU_0 };
+
+// Remanent flux density (T) of a bar magnet when none is given (typical Alnico bar)
+const DEFAULT_REMANENCE = 1.0;
+
+// 3D field lines: tube radius (m), how far either side of the scene centre (m) the
+// depth cue fades over, and the spacing (m) of the bands that flow along each tube
+const TUBE_RADIUS = 0.02;
+const DEPTH_CUE_RANGE = 4;
+const FLOW_BAND_SPACING = 0.6;
+
+/**
+ * Describe a bar magnet or solenoid object for the field solver: its world pose,
+ * dimensions, remanence and signed current. Null for anything else.
+ */
+export function describeSource(source) {
+    const { type } = source.userData;
+    if ((type !== 'barMagnet' && type !== 'solenoid') || !source.getWorldPosition) return null;
+
+    const pose = {
+        type,
+        visible: Boolean(source.visible),
+        position: source.getWorldPosition(new THREE.Vector3()).toArray(),
+        quaternion: source.getWorldQuaternion(new THREE.Quaternion()).toArray()
+    };
+
+    if (type === 'barMagnet') {
+        const { length = 2, width = 0.5, height = 0.4 } = source.userData.dimensions || {};
+        const { remanence = DEFAULT_REMANENCE, strength = 1 } = source.userData;
+        // Strength sliders act as a multiplier on the material's remanence
+        return { ...pose, length, width, height, br: remanence * strength };
+    }
+
+    const { current = 0, turns = 1, length, radius, currentDirection } = source.userData;
+    return { ...pose, length, radius, turns, current: current * (currentDirection || 1) };
+}
+
+const TESLA_UNITS = [[1, 'T'], [1e-3, 'mT'], [1e-6, 'µT'], [1e-9, 'nT']];
+
+// Smaller values (tesla) are rounding noise and display as zero
+const DISPLAY_FLOOR = 1e-12;
+
+/**
+ * A field component or strength with an SI prefix, to three significant figures
+ */
+export function formatTesla(value) {
+    const size = Math.abs(value);
+    if (!(size >= DISPLAY_FLOOR)) return '0 T';
+    const [factor, unit] = TESLA_UNITS.find(([factor]) => size >= factor) || TESLA_UNITS[TESLA_UNITS.length - 1];
+    return `${Number((value / factor).toPrecision(3))} ${unit}`;
+}
+
+const describeSources = sources => sources.map(describeSource).filter(Boolean);
+
+const toVector = ([x, y, z]) => new THREE.Vector3(x, y, z);
 
 export class FieldVisualizer {
     constructor(scene) {
@@ -14,6 +76,28 @@ export class FieldVisualizer {
         this.showFieldLines = true;
         this.showArrows = true;
 
+        // 3D mode: lines from the whole pole face drawn as depth-cued tubes;
+        // otherwise the classic flat picture in each source's own plane
+        this.volumetricLines = false;
+        this.flowAnimation = true;
+
+        // Shared by every tube material, so one update per frame moves them all
+        this.tubeUniforms = {
+            cueDepth: { value: 10 },
+            cueRange: { value: DEPTH_CUE_RANGE },
+            flowPhase: { value: 0 },
+            flowStrength: { value: 1 }
+        };
+
+        // The last field-line request, redrawn when the line style changes
+        this.lineRequest = null;
+
+        // Field lines are indexed by seed, so each one the worker sends replaces
+        // its own predecessor; the next job starts after the last one received
+        this.nextLineIndex = 0;
+        this.pendingLineCount = 0;
+        this.fieldWorker = new FieldWorkerClient();
+
         // Theme colors
         this.colors = {
             fieldLine: 0x00d4aa,
@@ -44,7 +128,7 @@ export class FieldVisualizer {
     }
 
     updateMaterials() {
-        this.fieldLines.forEach(l => l.material.color.setHex(this.colors.fieldLine));
+        this.fieldLines.forEach(line => line.material.color.setHex(this.colors.fieldLine));
         this.arrows.forEach(a => {
             if (a.material) a.material.color.setHex(this.colors.arrow);
         });
@@ -58,247 +142,201 @@ export class FieldVisualizer {
     }
 
     /**
-     * Calculate total magnetic field at a point from all sources
+     * Calculate total magnetic field (tesla) at a point from all sources
      */
     calculateTotalField(point, sources) {
-        const totalField = new THREE.Vector3();
-
-        for (const source of sources) {
-            let field = new THREE.Vector3();
-            if (this.isInsideSource(point, source)) {
-                field = this.calculateInsideField(point, source);
-            } else {
-                if (source.userData.type === 'barMagnet') {
-                    field = this.calculateDipoleField(point, source);
-                } else if (source.userData.type === 'solenoid') {
-                    field = this.calculateSolenoidField(point, source);
-                }
-            }
-            totalField.add(field);
-        }
-        return totalField;
+        return toVector(fieldAt(point.toArray(), describeSources(sources)));
     }
 
     isInsideSource(point, source) {
-        const worldPos = new THREE.Vector3();
-        source.getWorldPosition(worldPos);
-        const rotation = new THREE.Quaternion();
-        source.getWorldQuaternion(rotation);
-
-        const localPoint = point.clone().sub(worldPos).applyQuaternion(rotation.clone().invert());
-
-        if (source.userData.type === 'barMagnet') {
-            const { length = 2, width = 0.5, height = 0.4 } = source.userData.dimensions || {};
-            return Math.abs(localPoint.x) < length / 2 &&
-                Math.abs(localPoint.y) < height / 2 &&
-                Math.abs(localPoint.z) < width / 2;
-        } else if (source.userData.type === 'solenoid') {
-            const { length, radius } = source.userData;
-            return Math.abs(localPoint.x) < length / 2 &&
-                Math.sqrt(localPoint.y ** 2 + localPoint.z ** 2) < radius;
-        }
-        return false;
-    }
-
-    calculateInsideField(point, source) {
-        const rotation = new THREE.Quaternion();
-        source.getWorldQuaternion(rotation);
-
-        if (source.userData.type === 'barMagnet') {
-            // Inside magnet, field goes S -> N (approximate uniform for viz)
-            const direction = new THREE.Vector3(1, 0, 0).applyQuaternion(rotation);
-            return direction.multiplyScalar(source.userData.strength * 2);
-        } else if (source.userData.type === 'solenoid') {
-            const { current, turns, currentDirection } = source.userData;
-            const direction = new THREE.Vector3(currentDirection * Math.sign(current), 0, 0).applyQuaternion(rotation);
-            return direction.multiplyScalar(Math.abs(current) * turns * 0.1);
-        }
-        return new THREE.Vector3();
+        const description = describeSource(source);
+        return description !== null && isInsideSource(point.toArray(), description);
     }
 
     /**
-     * Calculate magnetic field direction at a point from a bar magnet (Dipole Model)
+     * Field of a bar magnet (tesla), modelled as a uniformly magnetized block
      */
     calculateDipoleField(point, magnet) {
-        const worldPos = new THREE.Vector3();
-        magnet.getWorldPosition(worldPos);
-
-        const magnetRotation = new THREE.Quaternion();
-        magnet.getWorldQuaternion(magnetRotation);
-
-        let northPole = magnet.userData.northPole;
-        let southPole = magnet.userData.southPole;
-
-        // Fallback if user data is missing
-        if (!northPole || !southPole) {
-            const len = (magnet.userData.dimensions && magnet.userData.dimensions.length) || 2;
-            northPole = new THREE.Vector3(len / 2, 0, 0);
-            southPole = new THREE.Vector3(-len / 2, 0, 0);
-        }
-
-        const northWorld = northPole.clone().applyQuaternion(magnetRotation).add(worldPos);
-        const southWorld = southPole.clone().applyQuaternion(magnetRotation).add(worldPos);
-
-        const toNorth = new THREE.Vector3().subVectors(point, northWorld);
-        const toSouth = new THREE.Vector3().subVectors(point, southWorld);
-
-        const distNorth = Math.max(toNorth.length(), 0.1);
-        const distSouth = Math.max(toSouth.length(), 0.1);
-
-        const strength = magnet.userData.strength || 1;
-
-        const fieldFromNorth = toNorth.normalize().multiplyScalar(strength / (distNorth * distNorth));
-        const fieldFromSouth = toSouth.normalize().multiplyScalar(-strength / (distSouth * distSouth));
-
-        return fieldFromNorth.add(fieldFromSouth);
+        return toVector(sourceField(point.toArray(), describeSource(magnet)));
     }
 
     /**
-     * Calculate field from a solenoid
+     * Field of a solenoid (tesla), summed over its turns with Biot–Savart
      */
     calculateSolenoidField(point, solenoid) {
-        const worldPos = new THREE.Vector3();
-        solenoid.getWorldPosition(worldPos);
-        const rotation = new THREE.Quaternion();
-        solenoid.getWorldQuaternion(rotation);
-
-        const { current, turns, length, radius, currentDirection } = solenoid.userData;
-        const effectiveCurrent = current * (currentDirection || 1);
-
-        if (Math.abs(effectiveCurrent) < 0.01) return new THREE.Vector3();
-
-        const localPoint = point.clone().sub(worldPos).applyQuaternion(rotation.clone().invert());
-
-        const leftEnd = new THREE.Vector3(-length / 2, 0, 0);
-        const rightEnd = new THREE.Vector3(length / 2, 0, 0);
-
-        const toLeft = localPoint.clone().sub(leftEnd);
-        const toRight = localPoint.clone().sub(rightEnd);
-
-        const distLeft = Math.max(toLeft.length(), 0.1);
-        const distRight = Math.max(toRight.length(), 0.1);
-
-        const strength = effectiveCurrent * turns * 0.02;
-
-        const fieldFromRight = toRight.normalize().multiplyScalar(-strength / (distRight * distRight)); // North (Away)
-        const fieldFromLeft = toLeft.normalize().multiplyScalar(strength / (distLeft * distLeft)); // South (Towards)
-
-        const totalLocal = fieldFromRight.add(fieldFromLeft);
-        return totalLocal.applyQuaternion(rotation);
+        return toVector(sourceField(point.toArray(), describeSource(solenoid)));
     }
 
     /**
-     * Generate continuous closed-loop field lines for multiple sources
+     * Generate field lines for multiple sources. Lines start on each visible
+     * source's North face, spread in proportion to the flux through it, and are
+     * traced in the field worker; they replace the current lines one by one as
+     * they arrive. In the classic picture the seeds lie in each source's own
+     * plane; in 3D they cover the face. `numLines` is per source; other options
+     * go to traceFieldLine.
      */
     generateFieldLines(sources, options = {}) {
-        const { numLines = 12, steps = 200, stepSize = 0.1 } = options;
-
-        this.clearFieldLines();
-        this.clearArrows(); // Clear old isolated arrows if any
-
-        if (!sources || sources.length === 0) return;
+        const descriptions = describeSources(sources || []);
+        if (!descriptions.some(source => source.visible)) {
+            this.clearFieldLines();
+            return;
+        }
 
-        // Iterate through all sources to seed field lines
-        for (const source of sources) {
-            if (!source.visible) continue;
+        this.lineRequest = { sources, options };
+        const jobOptions = { ...options, planar: !this.volumetricLines };
+        this.fieldWorker.run('lines', 'lines', descriptions, jobOptions, message => this.receiveFieldLines(message), {
+            startIndex: this.nextLineIndex
+        });
+    }
 
-            const worldPos = new THREE.Vector3();
-            source.getWorldPosition(worldPos);
-            const rotation = new THREE.Quaternion();
-            source.getWorldQuaternion(rotation);
+    /**
+     * Switch between the classic flat field lines and 3D tubes, redrawing the
+     * current lines in the new style
+     */
+    setVolumetricLines(enabled) {
+        this.volumetricLines = enabled;
+        if (this.lineRequest) {
+            this.generateFieldLines(this.lineRequest.sources, this.lineRequest.options);
+        }
+    }
 
-            let seedCenter, seedRadius;
+    setFlowAnimation(enabled) {
+        this.flowAnimation = enabled;
+        this.tubeUniforms.flowStrength.value = enabled ? 1 : 0;
+    }
 
-            if (source.userData.type === 'barMagnet') {
-                let northPole = source.userData.northPole;
-                if (!northPole) {
-                    const len = (source.userData.dimensions && source.userData.dimensions.length) || 2;
-                    northPole = new THREE.Vector3(len / 2, 0, 0);
+    receiveFieldLines(message) {
+        if (message.type === 'line') {
+            const { index, points, closed } = message;
+            const count = this.pendingLineCount;
+            this.removeFieldLine(index);
+
+            if (points.length / 3 > 5) {
+                // Store line points for arrow animation
+                const vectors = [];
+                for (let i = 0; i < points.length; i += 3) {
+                    vectors.push(new THREE.Vector3(points[i], points[i + 1], points[i + 2]));
                 }
-                seedCenter = northPole.clone().applyQuaternion(rotation).add(worldPos);
-                seedRadius = 0.15;
-            } else if (source.userData.type === 'solenoid') {
-                const { length, radius, currentDirection } = source.userData;
-                // Right-hand grip rule: with fingers following current, thumb points to North
-                // Field lines emanate from North pole
-                // When currentDirection = -1, North is at -length/2 (left side)
-                // When currentDirection = +1, North is at +length/2 (right side)
-                const dir = (currentDirection || 1);
-                // Seed from North pole: negative direction means North is on negative x
-                const xOffset = -(length / 2) * dir;
-                seedCenter = new THREE.Vector3(xOffset, 0, 0).applyQuaternion(rotation).add(worldPos);
-                seedRadius = radius * 0.5;
-                if (source.userData.current < 0.1) continue;
-            } else {
-                continue;
-            }
-
-            for (let i = 0; i < numLines; i++) {
-                const angle = (i / numLines) * Math.PI * 2;
-                const perp1 = new THREE.Vector3(0, 1, 0).applyQuaternion(rotation);
-                const perp2 = new THREE.Vector3(0, 0, 1).applyQuaternion(rotation);
-
-                const offset = perp1.multiplyScalar(Math.sin(angle) * seedRadius)
-                    .add(perp2.multiplyScalar(Math.cos(angle) * seedRadius));
 
-                const startPoint = seedCenter.clone().add(offset);
-
-                const linePoints = this.traceFieldLine(startPoint, sources, steps, stepSize);
-
-                if (linePoints.length > 5) {
-                    const geometry = new THREE.BufferGeometry().setFromPoints(linePoints);
-                    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+                let line;
+                if (this.volumetricLines) {
+                    line = this.createFieldTube(vectors, closed);
+                } else {
+                    const geometry = new THREE.BufferGeometry();
+                    geometry.setAttribute('position', new THREE.BufferAttribute(points, 3));
+                    line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
                         color: this.colors.fieldLine,
                         linewidth: 2,
                         transparent: true,
                         opacity: 0.7
                     }));
-                    this.scene.add(line);
-                    this.fieldLines.push(line);
+                }
+                line.visible = this.showFieldLines;
+                this.scene.add(line);
+                this.fieldLines[index] = line;
 
-                    // Store line points for arrow animation
-                    line.userData.points = linePoints;
+                line.userData.points = vectors;
+                line.userData.closed = closed;
 
-                    if (this.showArrows) {
-                        this.addArrowsToLine(line, 5);
-                    }
+                if (this.showArrows) {
+                    this.addArrowsToLine(line, 5);
                 }
             }
+            this.nextLineIndex = (index + 1) % count;
+        } else if (message.type === 'start') {
+            this.pendingLineCount = message.count;
+            if (message.count === 0) this.removeFieldLines();
+        } else if (message.type === 'done') {
+            // Lines beyond this job's count belong to an older arrangement
+            for (let i = message.count; i < this.fieldLines.length; i++) {
+                this.removeFieldLine(i);
+            }
+            this.fieldLines.length = message.count;
+            this.nextLineIndex = 0;
         }
     }
 
-    traceFieldLine(startPoint, sources, steps, stepSize) {
-        const points = [startPoint.clone()];
-        let currentPoint = startPoint.clone();
-
-        for (let i = 0; i < steps; i++) {
-            const field = this.calculateTotalField(currentPoint, sources);
+    /**
+     * A field line as a shaded tube that darkens with depth, with bands flowing
+     * along it in the field direction
+     */
+    createFieldTube(points, closed) {
+        // A closed line ends back on its first point; the closed curve joins them
+        const curvePoints = closed ? points.slice(0, -1) : points;
+        const curve = new THREE.CatmullRomCurve3(curvePoints, closed, 'centripetal');
+        const tubeLength = curve.getLength();
+        const segments = Math.max(16, Math.min(points.length * 2, 512));
+        const geometry = new THREE.TubeGeometry(curve, segments, TUBE_RADIUS, 6, closed);
+
+        const material = new THREE.MeshStandardMaterial({
+            color: this.colors.fieldLine,
+            emissive: this.colors.fieldLine,
+            emissiveIntensity: 0.25,
+            roughness: 0.5
+        });
+        material.onBeforeCompile = shader => {
+            Object.assign(shader.uniforms, this.tubeUniforms, { flowLength: { value: tubeLength } });
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', '#include <common>\nvarying float vFlowU;')
+                .replace('#include <uv_vertex>', '#include <uv_vertex>\nvFlowU = uv.x;');
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                    varying float vFlowU;
+                    uniform float cueDepth;
+                    uniform float cueRange;
+                    uniform float flowPhase;
+                    uniform float flowStrength;
+                    uniform float flowLength;`)
+                .replace('#include <dithering_fragment>', `#include <dithering_fragment>
+                    float band = fract(vFlowU * flowLength / ${FLOW_BAND_SPACING.toFixed(2)} - flowPhase);
+                    gl_FragColor.rgb += flowStrength * 0.35 * smoothstep(0.75, 1.0, band);
+                    float depth = smoothstep(-cueRange, cueRange, vViewPosition.z - cueDepth);
+                    gl_FragColor.rgb *= 1.0 - 0.65 * depth;`);
+        };
 
-            if (field.length() < 0.0001) break;
+        const tube = new THREE.Mesh(geometry, material);
+        tube.onBeforeRender = (renderer, scene, camera) => {
+            this.tubeUniforms.cueDepth.value = camera.position.length();
+        };
+        return tube;
+    }
 
-            const step = field.normalize().multiplyScalar(stepSize);
-            currentPoint.add(step);
+    /**
+     * Remove one field line and the arrows riding on it
+     */
+    removeFieldLine(index) {
+        const line = this.fieldLines[index];
+        if (!line) return;
 
-            if (i > 10 && currentPoint.distanceTo(startPoint) < stepSize * 2) {
-                points.push(startPoint.clone());
-                break;
-            }
+        this.scene.remove(line);
+        line.geometry.dispose();
+        line.material.dispose();
+        delete this.fieldLines[index];
 
-            if (currentPoint.length() > 20) break;
+        this.arrows = this.arrows.filter(arrow => {
+            if (arrow.userData.line !== line) return true;
+            this.scene.remove(arrow);
+            if (arrow.material) arrow.material.dispose();
+            return false;
+        });
 
-            points.push(currentPoint.clone());
-        }
-        return points;
+        // The line's arrows share one geometry
+        line.userData.arrowGeometry?.dispose();
     }
 
     addArrowsToLine(line, count) {
         const points = line.userData.points;
         if (!points || points.length < 2) return;
 
-        const totalLen = points.length;
-        const interval = Math.floor(totalLen / count);
+        // Adaptive steps are uneven, so arrows move by distance along the line
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            distances.push(distances[i - 1] + points[i].distanceTo(points[i - 1]));
+        }
+        line.userData.distances = distances;
 
-        const arrowGeometry = this.createArrowGeometry(0.2);
+        const arrowGeometry = this.volumetricLines ? this.createConeGeometry(0.2) : this.createArrowGeometry(0.2);
+        line.userData.arrowGeometry = arrowGeometry;
         const arrowMaterial = new THREE.MeshBasicMaterial({ color: this.colors.arrow });
 
         // Phase offset for each line to create varied flow
@@ -321,15 +359,21 @@ export class FieldVisualizer {
         const line = arrow.userData.line;
         if (!line || !line.userData.points) return;
 
-        const points = line.userData.points;
+        const { points, distances } = line.userData;
         const t = (arrow.userData.t % 1 + 1) % 1; // Wrap 0-1
 
-        // Find index in points array
-        const totalIdx = (points.length - 1) * t;
-        const idx = Math.floor(totalIdx);
-        const alpha = totalIdx - idx;
-
-        if (idx >= points.length - 1) return;
+        // Find the segment containing this distance along the line
+        const target = t * distances[distances.length - 1];
+        let low = 0;
+        let high = distances.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (distances[middle] <= target) low = middle;
+            else high = middle;
+        }
+        const idx = low;
+        const segment = distances[idx + 1] - distances[idx];
+        const alpha = segment > 0 ? (target - distances[idx]) / segment : 0;
 
         const p1 = points[idx];
         const p2 = points[idx + 1];
@@ -350,6 +394,9 @@ export class FieldVisualizer {
     }
 
     animateFieldLines(time, speed = 0.5) {
+        if (!this.flowAnimation) return;
+
+        this.tubeUniforms.flowPhase.value += 0.02 * speed;
         if (!this.showArrows) return;
 
         this.arrows.forEach(arrow => {
@@ -369,56 +416,50 @@ export class FieldVisualizer {
     }
 
     /**
-     * Generate a vector field of arrows on a grid
+     * Generate a vector field of arrows on a grid; the directions are computed in
+     * the field worker and the arrows replace the current grid when they arrive
      */
     generateArrowField(sources, options = {}) {
-        const { gridSize = 5, spacing = 1.0, yLevel = 0 } = options;
+        const descriptions = describeSources(sources || []);
+        if (descriptions.length === 0) {
+            this.clearGridArrows();
+            return;
+        }
 
-        this.clearGridArrows();
-        if (!this.gridArrows) this.gridArrows = [];
+        this.fieldWorker.run('arrows', 'arrows', descriptions, options, message => this.receiveArrowField(message));
+    }
 
-        if (!sources || sources.length === 0) return;
+    receiveArrowField({ positions, directions }) {
+        this.removeGridArrows();
 
         const arrowGeometry = this.createArrowGeometry(0.15); // Smaller scale for grid
         const arrowMaterial = new THREE.MeshBasicMaterial({ color: this.colors.arrow });
+        const forward = new THREE.Vector3(1, 0, 0);
 
-        const start = -(gridSize - 1) * spacing / 2;
-
-        for (let i = 0; i < gridSize; i++) {
-            for (let j = 0; j < gridSize; j++) {
-                const x = start + i * spacing;
-                const z = start + j * spacing;
-
-                // Skip if too close to any source
-                let tooClose = false;
-                for (const source of sources) {
-                    const worldPos = new THREE.Vector3();
-                    source.getWorldPosition(worldPos);
-                    const dist = Math.sqrt(Math.pow(x - worldPos.x, 2) + Math.pow(z - worldPos.z, 2));
-                    if (dist < 0.6) {
-                        tooClose = true;
-                        break;
-                    }
-                }
-                if (tooClose) continue;
-
-                const pos = new THREE.Vector3(x, yLevel, z);
-                const field = this.calculateTotalField(pos, sources);
+        for (let i = 0; i < positions.length; i += 3) {
+            const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial.clone());
+            arrow.position.set(positions[i], positions[i + 1], positions[i + 2]);
+            arrow.quaternion.setFromUnitVectors(forward, new THREE.Vector3(directions[i], directions[i + 1], directions[i + 2]));
+            arrow.visible = this.showArrows;
 
-                if (field.length() > 0.01) {
-                    const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial.clone());
-                    arrow.position.copy(pos);
+            this.scene.add(arrow);
+            this.gridArrows.push(arrow);
+        }
+    }
 
-                    const dir = field.normalize();
-                    const quaternion = new THREE.Quaternion();
-                    quaternion.setFromUnitVectors(new THREE.Vector3(1, 0, 0), dir);
-                    arrow.quaternion.copy(quaternion);
+    /**
+     * Compute |B| over a slice plane in the field worker (options as for
+     * sliceMagnitudes); onSlice(magnitudes, resolution) gets the newest result only
+     */
+    generateFieldSlice(sources, options, onSlice) {
+        const descriptions = describeSources(sources || []);
+        this.fieldWorker.run('slice', 'slice', descriptions, options, ({ type, magnitudes, resolution }) => {
+            if (type === 'slice') onSlice(magnitudes, resolution);
+        });
+    }
 
-                    this.scene.add(arrow);
-                    this.gridArrows.push(arrow);
-                }
-            }
-        }
+    clearFieldSlice() {
+        this.fieldWorker.cancel('slice');
     }
 
     createArrowGeometry(scale) {
@@ -438,6 +479,15 @@ export class FieldVisualizer {
         return geometry;
     }
 
+    /**
+     * Solid cone pointing along +X, for arrows riding on 3D field lines
+     */
+    createConeGeometry(scale) {
+        const geometry = new THREE.ConeGeometry(0.2 * scale, 0.6 * scale, 10);
+        geometry.rotateZ(-Math.PI / 2);
+        return geometry;
+    }
+
     createFluxLines(transformer, options = {}) {
         this.clearFluxLines();
 
@@ -571,12 +621,15 @@ export class FieldVisualizer {
     }
 
     clearFieldLines() {
-        this.fieldLines.forEach(line => {
-            this.scene.remove(line);
-            line.geometry.dispose();
-            line.material.dispose();
-        });
+        this.fieldWorker.cancel('lines');
+        this.lineRequest = null;
+        this.removeFieldLines();
+    }
+
+    removeFieldLines() {
+        this.fieldLines.forEach((line, index) => this.removeFieldLine(index));
         this.fieldLines = [];
+        this.nextLineIndex = 0;
     }
 
     clearArrows() {
@@ -590,8 +643,11 @@ export class FieldVisualizer {
     }
 
     clearGridArrows() {
-        if (!this.gridArrows) return;
+        this.fieldWorker.cancel('arrows');
+        this.removeGridArrows();
+    }
 
+    removeGridArrows() {
         this.gridArrows.forEach(arrow => {
             this.scene.remove(arrow);
             if (arrow.geometry) arrow.geometry.dispose();
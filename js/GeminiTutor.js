@@ -1,54 +1,66 @@
 /**
  * GeminiTutor - AI-powered physics tutor for Electromagnetic Induction learning
- * Integrates with Google's Gemini API to provide personalized tutoring
+ * Talks to a pluggable model provider (Gemini, OpenAI-compatible or offline mock)
  */
+import { PROVIDER_TYPES, DEFAULT_PROVIDER_SETTINGS, createProvider, isPlaceholderKey } from './tutor/LLMProviders.js';
+import { getTutorAction, getToolDeclarations } from './tutor/TutorActions.js';
+import { renderMarkdown, escapeHtml } from './tutor/MarkdownRenderer.js';
+import { answerFromKnowledgeBase } from './tutor/KnowledgeBase.js';
+
+const PROVIDER_STORAGE_KEY = 'emlab-tutor-provider';
+
+// Conversation memory: each module keeps its own thread in localStorage
+const HISTORY_STORAGE_PREFIX = 'emlab-tutor-history:';
+const HISTORY_TOKEN_BUDGET = 3000;     // Approximate tokens of past turns sent per request
+const HISTORY_MAX_MESSAGES = 24;       // Hard cap on past turns sent per request
+const HISTORY_STORED_MESSAGES = 80;    // Messages kept per module for display
+const SUMMARY_MAX_CHARS = 1600;
+const CHARS_PER_TOKEN = 4;
 
 export class GeminiTutor {
     constructor(app) {
         this.app = app;
         this.apiKey = null;
+        this.provider = null;
+        this.providerSettings = null;
         this.isOpen = false;
         this.messages = [];
         this.isLoading = false;
+        this.abortController = null;
         this.currentModule = null;
 
-        // Student progress tracking
-        this.studentProgress = {
-            questionsAsked: 0,
-            topicsExplored: [],
-            weakTopics: [],
-            hintsUsed: 0,
-            correctAnswers: 0,
-            incorrectAnswers: 0
-        };
+        // Older turns that fell out of the request window are folded into a summary;
+        // messages before summarizedCount are already covered by it
+        this.conversationSummary = '';
+        this.summarizedCount = 0;
+        this.isSummarizing = false;
+
+        // Bumped whenever the thread is replaced, so a summary of the old one is dropped
+        this.threadGeneration = 0;
 
         // Assistance level settings
-        this.assistanceLevel = 1; // 1 = Hint only, 2 = Method outline, 3 = Full solution
+        this.assistanceLevel = 1; // 0 = Locked (mock exam), 1 = Hint only, 2 = Method outline, 3 = Full solution
         this.examMode = false;
 
+        // The student's own exam settings while a mock exam has locked them
+        this.savedExamSettings = null;
+
         // Explanation style preference
         this.explanationStyle = 'conceptual'; // conceptual, mathematical, step-by-step, visual, simplified
 
-        // Initialize UI
-        this.createChatUI();
+        // Initialize provider, then UI (the settings panel shows the provider fields)
         this.loadApiKey();
+        this.loadProviderSettings();
+        this.createChatUI();
     }
 
     /**
-     * Load API key - use built-in key or from localStorage
+     * Load the user's own API key from localStorage. Without one the tutor
+     * answers from the knowledge base.
      */
     loadApiKey() {
-        // Built-in API key for the application
-        const builtInKey = 'gen-lang-client-0984887015';
-
-        // Try to get from localStorage first (user may have set custom key)
         const storedKey = localStorage.getItem('gemini_api_key');
-        if (storedKey && storedKey !== 'PLACEHOLDER_API_KEY') {
-            this.apiKey = storedKey;
-        } else {
-            // Use built-in key
-            this.apiKey = builtInKey;
-        }
+        this.apiKey = isPlaceholderKey(storedKey) ? '' : storedKey;
     }
 
     /**
@@ -57,6 +69,60 @@ export class GeminiTutor {
     setApiKey(key) {
         this.apiKey = key;
         localStorage.setItem('gemini_api_key', key);
+
+        this.providerSettings.gemini.apiKey = key;
+        this.setProviderSettings(this.providerSettings);
+    }
+
+    /**
+     * Load the model provider settings from localStorage
+     */
+    loadProviderSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(PROVIDER_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.warn('Could not read tutor provider settings:', error);
+        }
+
+        this.providerSettings = {
+            type: PROVIDER_TYPES[saved.type] ? saved.type : DEFAULT_PROVIDER_SETTINGS.type,
+            gemini: { ...DEFAULT_PROVIDER_SETTINGS.gemini, ...saved.gemini },
+            openai: { ...DEFAULT_PROVIDER_SETTINGS.openai, ...saved.openai }
+        };
+
+        // Carry over a key the user stored before provider settings existed. Once
+        // provider settings are saved they win, so clearing the key there sticks.
+        if (saved.gemini?.apiKey === undefined) {
+            this.providerSettings.gemini.apiKey = this.apiKey;
+        }
+
+        // Older builds saved a placeholder key here, which left the tutor unable to go offline
+        if (isPlaceholderKey(this.providerSettings.gemini.apiKey)) {
+            this.providerSettings.gemini.apiKey = '';
+        }
+
+        this.provider = createProvider(this.providerSettings);
+    }
+
+    /**
+     * Switch provider and remember the choice
+     */
+    setProviderSettings(settings) {
+        this.providerSettings = settings;
+        this.provider = createProvider(settings);
+        localStorage.setItem(PROVIDER_STORAGE_KEY, JSON.stringify(settings));
+        this.updateStatus();
+    }
+
+    /**
+     * Show the active provider under the tutor's name
+     */
+    updateStatus() {
+        const status = this.chatContainer?.querySelector('.gemini-status');
+        if (status) {
+            status.textContent = `Ready to help · ${this.provider.label}`;
+        }
     }
 
     /**
@@ -109,10 +175,15 @@ export class GeminiTutor {
                     </div>
                     <div class="gemini-header-info">
                         <h3>EM-Vee</h3>
-                        <span class="gemini-status">Ready to help</span>
+                        <span class="gemini-status">Ready to help · ${this.provider.label}</span>
                     </div>
                 </div>
                 <div class="gemini-header-controls">
+                    <button id="gemini-progress-btn" class="gemini-control-btn" title="My progress">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M4 20V10M10 20V4M16 20v-7M22 20H2"/>
+                        </svg>
+                    </button>
                     <button id="gemini-settings-btn" class="gemini-control-btn" title="Settings">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <circle cx="12" cy="12" r="3"/>
@@ -171,23 +242,45 @@ export class GeminiTutor {
                         </label>
                     </div>
                 </div>
+                
+                <div class="gemini-settings-section">
+                    <h4>🔌 Model Provider</h4>
+                    <select id="gemini-provider-select" class="gemini-settings-input">
+                        ${Object.entries(PROVIDER_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                    </select>
+                    <div class="gemini-provider-fields" data-provider="gemini">
+                        <input type="password" id="gemini-provider-gemini-key" class="gemini-settings-input" placeholder="Gemini API key" autocomplete="off">
+                        <input type="text" id="gemini-provider-gemini-model" class="gemini-settings-input" placeholder="Model (gemini-2.5-flash-lite)">
+                    </div>
+                    <div class="gemini-provider-fields" data-provider="openai">
+                        <input type="url" id="gemini-provider-openai-url" class="gemini-settings-input" placeholder="Base URL, e.g. http://localhost:11434">
+                        <input type="text" id="gemini-provider-openai-model" class="gemini-settings-input" placeholder="Model name">
+                        <input type="password" id="gemini-provider-openai-key" class="gemini-settings-input" placeholder="API key (optional)" autocomplete="off">
+                    </div>
+                    <div class="gemini-provider-fields" data-provider="mock">
+                        <p class="gemini-settings-note">Canned replies without any network access, for demos and tests.</p>
+                    </div>
+                    <button id="gemini-provider-save" class="gemini-provider-save-btn">Use this provider</button>
+                </div>
+                
+                <div class="gemini-settings-section">
+                    <h4>💬 Conversation</h4>
+                    <button id="gemini-clear-history" class="gemini-clear-history-btn">🗑️ Start a new conversation for this topic</button>
+                </div>
+            </div>
+            
+            <!-- Progress Dashboard (hidden by default) -->
+            <div id="gemini-progress-panel" class="gemini-settings-panel hidden">
+                <div class="gemini-settings-header">
+                    <span>📊 My Progress</span>
+                    <button id="gemini-close-progress" class="gemini-close-settings-btn">×</button>
+                </div>
+                <div id="gemini-progress-content"></div>
             </div>
             
             <!-- Messages Area -->
             <div id="gemini-messages" class="gemini-messages">
-                <div class="gemini-welcome-message">
-                    <div class="gemini-welcome-icon">⚡</div>
-                    <h4>Welcome to EM-Vee!</h4>
-                    <p>I'm here to help you understand electromagnetic concepts. Ask me anything about:</p>
-                    <div class="gemini-topic-chips">
-                        <button class="gemini-chip" data-topic="Faraday's Law">Faraday's Law</button>
-                        <button class="gemini-chip" data-topic="Lenz's Law">Lenz's Law</button>
-                        <button class="gemini-chip" data-topic="Solenoids">Solenoids</button>
-                        <button class="gemini-chip" data-topic="Transformers">Transformers</button>
-                        <button class="gemini-chip" data-topic="Magnetic Flux">Magnetic Flux</button>
-                        <button class="gemini-chip" data-topic="Eddy Currents">Eddy Currents</button>
-                    </div>
-                </div>
+                ${this.getWelcomeHTML()}
             </div>
             
             <!-- Quick Actions -->
@@ -206,6 +299,11 @@ export class GeminiTutor {
                             <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z"/>
                         </svg>
                     </button>
+                    <button id="gemini-stop-btn" class="gemini-send-btn gemini-stop-btn hidden" title="Stop generating">
+                        <svg viewBox="0 0 24 24" fill="currentColor">
+                            <rect x="6" y="6" width="12" height="12" rx="2"/>
+                        </svg>
+                    </button>
                 </div>
                 <div class="gemini-input-hint">
                     Press Enter to send, Shift+Enter for new line
@@ -214,6 +312,27 @@ export class GeminiTutor {
         `;
     }
 
+    /**
+     * Welcome card shown while the current thread is empty
+     */
+    getWelcomeHTML() {
+        return `
+            <div class="gemini-welcome-message">
+                <div class="gemini-welcome-icon">⚡</div>
+                <h4>Welcome to EM-Vee!</h4>
+                <p>I'm here to help you understand electromagnetic concepts. Ask me anything about:</p>
+                <div class="gemini-topic-chips">
+                    <button class="gemini-chip" data-topic="Faraday's Law">Faraday's Law</button>
+                    <button class="gemini-chip" data-topic="Lenz's Law">Lenz's Law</button>
+                    <button class="gemini-chip" data-topic="Solenoids">Solenoids</button>
+                    <button class="gemini-chip" data-topic="Transformers">Transformers</button>
+                    <button class="gemini-chip" data-topic="Magnetic Flux">Magnetic Flux</button>
+                    <button class="gemini-chip" data-topic="Eddy Currents">Eddy Currents</button>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Setup chat event listeners
      */
@@ -230,9 +349,37 @@ export class GeminiTutor {
 
         // Settings button
         document.getElementById('gemini-settings-btn').addEventListener('click', () => {
+            document.getElementById('gemini-progress-panel').classList.add('hidden');
             document.getElementById('gemini-settings-panel').classList.toggle('hidden');
         });
 
+        // Progress dashboard
+        document.getElementById('gemini-progress-btn').addEventListener('click', () => {
+            const panel = document.getElementById('gemini-progress-panel');
+            document.getElementById('gemini-settings-panel').classList.add('hidden');
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) {
+                this.renderProgressPanel();
+            }
+        });
+
+        document.getElementById('gemini-close-progress').addEventListener('click', () => {
+            document.getElementById('gemini-progress-panel').classList.add('hidden');
+        });
+
+        document.getElementById('gemini-progress-content').addEventListener('click', (e) => {
+            if (e.target.id === 'gemini-reset-progress' && confirm('Reset all of your saved progress?')) {
+                this.app.learnerProfile.reset();
+            }
+        });
+
+        // Keep the dashboard current while it is open
+        this.app.learnerProfile.onChange = () => {
+            if (!document.getElementById('gemini-progress-panel').classList.contains('hidden')) {
+                this.renderProgressPanel();
+            }
+        };
+
         // Close settings button
         const closeSettingsBtn = document.getElementById('gemini-close-settings');
         if (closeSettingsBtn) {
@@ -266,12 +413,23 @@ export class GeminiTutor {
             }
         });
 
-        // Topic chips
-        document.querySelectorAll('.gemini-chip').forEach(chip => {
-            chip.addEventListener('click', () => {
-                const topic = chip.dataset.topic;
-                this.askQuestion(`Explain ${topic} in the context of electromagnetic induction.`);
-            });
+        // Topic chips (delegated, the welcome card is re-rendered with each thread)
+        document.getElementById('gemini-messages').addEventListener('click', (e) => {
+            const chip = e.target.closest('.gemini-chip');
+            if (chip) {
+                this.askQuestion(`Explain ${chip.dataset.topic} in the context of electromagnetic induction.`);
+            }
+        });
+
+        // Model provider
+        const providerSelect = document.getElementById('gemini-provider-select');
+        providerSelect.addEventListener('change', () => this.showProviderFields(providerSelect.value));
+        document.getElementById('gemini-provider-save').addEventListener('click', () => this.saveProviderForm());
+        this.fillProviderForm();
+
+        // Clear the current module's conversation
+        document.getElementById('gemini-clear-history').addEventListener('click', () => {
+            this.clearHistory();
         });
 
         // Quick action buttons
@@ -304,6 +462,59 @@ export class GeminiTutor {
                 this.sendMessage();
             }
         });
+
+        document.getElementById('gemini-stop-btn').addEventListener('click', () => {
+            this.stopGeneration();
+        });
+    }
+
+    /**
+     * Populate the provider form from the current settings
+     */
+    fillProviderForm() {
+        const settings = this.providerSettings;
+        document.getElementById('gemini-provider-select').value = settings.type;
+        document.getElementById('gemini-provider-gemini-key').value = settings.gemini.apiKey;
+        document.getElementById('gemini-provider-gemini-model').value = settings.gemini.model;
+        document.getElementById('gemini-provider-openai-url').value = settings.openai.baseUrl;
+        document.getElementById('gemini-provider-openai-model').value = settings.openai.model;
+        document.getElementById('gemini-provider-openai-key').value = settings.openai.apiKey;
+        this.showProviderFields(settings.type);
+    }
+
+    /**
+     * Show only the fields of the selected provider
+     */
+    showProviderFields(type) {
+        this.chatContainer.querySelectorAll('.gemini-provider-fields').forEach(fields => {
+            fields.style.display = fields.dataset.provider === type ? 'flex' : 'none';
+        });
+    }
+
+    /**
+     * Apply the provider form
+     */
+    saveProviderForm() {
+        const value = id => document.getElementById(id).value.trim();
+
+        this.setProviderSettings({
+            type: value('gemini-provider-select'),
+            gemini: {
+                apiKey: value('gemini-provider-gemini-key'),
+                model: value('gemini-provider-gemini-model') || DEFAULT_PROVIDER_SETTINGS.gemini.model
+            },
+            openai: {
+                baseUrl: value('gemini-provider-openai-url'),
+                model: value('gemini-provider-openai-model'),
+                apiKey: value('gemini-provider-openai-key')
+            }
+        });
+
+        if (this.provider.isConfigured()) {
+            this.showSystemMessage(`Now using ${this.provider.label}.`);
+        } else {
+            this.showSystemMessage(`${this.provider.label} needs more settings before it can answer.`);
+        }
     }
 
     /**
@@ -325,7 +536,7 @@ export class GeminiTutor {
         if (this.isOpen) {
             // Update current module context
             if (this.app && this.app.currentModule) {
-                this.currentModule = this.app.currentModule.name;
+                this.setModule(this.app.currentModule.name);
             }
             // Focus input
             setTimeout(() => {
@@ -342,13 +553,13 @@ export class GeminiTutor {
 
         switch (action) {
             case 'explain':
-                this.askQuestion(`Explain the physics concepts demonstrated in the ${this.getModuleDisplayName(moduleName)} simulation. Focus on the key electromagnetic principles at work.`);
+                this.askQuestion(`Explain the physics concepts demonstrated in the ${this.getModuleDisplayName(moduleName)} simulation. Focus on the key electromagnetic principles at work.`, { action });
                 break;
             case 'quiz':
-                this.askQuestion(`Give me a challenging practice question about ${this.getModuleDisplayName(moduleName)}. Include the question and options if applicable.`);
+                this.askQuestion(`Give me a challenging practice question about ${this.getModuleDisplayName(moduleName)}. Include the question and options if applicable.`, { action });
                 break;
             case 'formula':
-                this.askQuestion(`What are the key formulas and equations related to ${this.getModuleDisplayName(moduleName)}? Present them clearly with explanations of each variable.`);
+                this.askQuestion(`What are the key formulas and equations related to ${this.getModuleDisplayName(moduleName)}? Present them clearly with explanations of each variable.`, { action });
                 break;
         }
     }
@@ -384,93 +595,564 @@ export class GeminiTutor {
         input.style.height = 'auto';
         document.getElementById('gemini-send-btn').disabled = true;
 
-        // Add user message
-        this.addMessage('user', message);
-
-        // Track question
-        this.studentProgress.questionsAsked++;
-
         // Ask the question
-        await this.askQuestion(message, false);
+        await this.askQuestion(message);
     }
 
     /**
-     * Ask a question to the AI
+     * Ask a question to the AI. `action` names the quick action that asked it, if any,
+     * so the offline fallback can answer from the right notes.
      */
-    async askQuestion(question, addToChat = true) {
-        if (!this.apiKey) {
-            this.showSystemMessage('Please set your Gemini API key in the settings panel.');
-            document.getElementById('gemini-settings-panel').classList.remove('hidden');
+    async askQuestion(question, { action = null } = {}) {
+        // Topic chips and quick actions ask directly, so one reply at a time is enforced here
+        if (this.isLoading) return;
+
+        if (this.isLocked()) {
+            this.showSystemMessage('🔒 EM-Vee is locked during your mock exam. Ask again when you have submitted.');
             return;
         }
 
-        if (addToChat) {
-            this.addMessage('user', question);
+        if (!this.provider.isConfigured()) {
+            this.requestOfflineReply(question, { action });
+            this.showSystemMessage(`Set up ${this.provider.label} in the settings (⚙️) for full answers.`);
+            return;
         }
 
         this.isLoading = true;
+        this.abortController = new AbortController();
+        this.setGeneratingState(true);
         this.showTypingIndicator();
 
         try {
-            const response = await this.callGeminiAPI(question);
+            const { toolCalls } = await this.requestReply(question, { signal: this.abortController.signal });
             this.hideTypingIndicator();
-            this.addMessage('assistant', response);
+            toolCalls.forEach(call => this.showActionCard(call));
         } catch (error) {
             this.hideTypingIndicator();
-            console.error('Gemini API error:', error);
-            this.addMessage('assistant', `I apologize, but I encountered an error: ${error.message}. Please check your API key and try again.`);
+            if (error.name === 'AbortError') {
+                this.showSystemMessage(error.partialReply ? 'Stopped. The partial answer was kept.' : 'Stopped.');
+            } else if (this.isNetworkError(error) && !error.partialReply) {
+                this.answerUnsentQuestion(question, { action });
+                this.showSystemMessage(`Couldn't reach ${this.provider.label}, so this answer comes from the offline notes.`);
+            } else {
+                console.error('Tutor provider error:', error);
+                // Shown but not stored, so errors never end up in the conversation history
+                const kept = error.partialReply ? ' The partial answer above was kept.' : '';
+                this.renderMessage('assistant', `I apologize, but I encountered an error: ${error.message}.${kept} Please check the provider settings and try again.`);
+            }
         }
 
+        this.abortController = null;
+        this.setGeneratingState(false);
         this.isLoading = false;
     }
 
     /**
-     * Call the Gemini API
+     * Answer from the bundled knowledge base, recording the exchange in the
+     * current thread like any other reply. Returns the answer text.
      */
-    async callGeminiAPI(userMessage) {
-        const systemPrompt = this.buildSystemPrompt();
+    requestOfflineReply(question, { action = null } = {}) {
+        this.app.learnerProfile.recordTutorQuestion(question, this.currentModule);
+        this.addMessage('user', question);
+        return this.addOfflineAnswer(question, { action });
+    }
 
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent?key=${this.apiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [
-                    {
-                        parts: [
-                            { text: systemPrompt },
-                            { text: userMessage }
-                        ]
-                    }
-                ],
-                generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 2048
-                },
-                safetySettings: [
-                    { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-                    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-                    { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-                    { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
-                ]
-            })
+    /**
+     * Answer from the knowledge base after requestReply failed to reach the provider.
+     * The question was already counted and shown, but dropped from the thread, so it
+     * is only stored again. Returns the answer text.
+     */
+    answerUnsentQuestion(question, { action = null } = {}) {
+        this.storeMessage('user', question);
+        return this.addOfflineAnswer(question, { action });
+    }
+
+    /**
+     * Show and store the knowledge-base answer to a question already in the thread
+     */
+    addOfflineAnswer(question, { action = null } = {}) {
+        const text = answerFromKnowledgeBase(question, { module: this.currentModule, action });
+        this.addMessage('assistant', text);
+        return text;
+    }
+
+    /**
+     * Whether a failed request never reached the provider (offline, DNS, refused)
+     */
+    isNetworkError(error) {
+        // fetch() rejects with a TypeError when the request cannot be sent at all
+        return error instanceof TypeError || navigator.onLine === false;
+    }
+
+    /**
+     * Fill the progress dashboard from the learner profile
+     */
+    renderProgressPanel() {
+        const profile = this.app.learnerProfile;
+        const totals = profile.getTotals();
+        const accuracy = totals.examAttempts > 0 ? `${Math.round(totals.examCorrect / totals.examAttempts * 100)}%` : '–';
+
+        const rows = profile.getTopicSummaries().map(topic => {
+            const percent = topic.mastery === null ? null : Math.round(topic.mastery * 100);
+            const level = percent === null ? 'unknown' : percent < 50 ? 'weak' : percent < 80 ? 'fair' : 'strong';
+            const details = [
+                topic.examAttempts > 0 ? `${topic.examCorrect}/${topic.examAttempts} exam` : '',
+                topic.questions > 0 ? `${topic.questions} asked` : ''
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="gemini-mastery-row" title="${escapeHtml(details || 'No activity yet')}">
+                    <div class="gemini-mastery-label">
+                        <span>${escapeHtml(topic.title)}</span>
+                        <span class="gemini-mastery-value">${percent === null ? 'Not started' : `${percent}%`}</span>
+                    </div>
+                    <div class="gemini-mastery-bar">
+                        <div class="gemini-mastery-fill ${level}" style="width: ${percent ?? 0}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('gemini-progress-content').innerHTML = `
+            <div class="gemini-settings-section gemini-progress-totals">
+                <div><strong>${totals.questionsAsked}</strong><span>questions asked</span></div>
+                <div><strong>${accuracy}</strong><span>exam accuracy</span></div>
+                <div><strong>${totals.assemblyStars}/${totals.assemblyMaxStars}</strong><span>assembly stars</span></div>
+            </div>
+            <div class="gemini-settings-section">
+                <h4>🎓 Mastery by topic</h4>
+                ${rows}
+                <button id="gemini-reset-progress" class="gemini-clear-history-btn">🗑️ Reset progress</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Lock EM-Vee for a timed mock exam (exam mode at assistance level 0), or
+     * restore the student's own exam settings afterwards
+     */
+    setExamLock(locked) {
+        if (locked && !this.savedExamSettings) {
+            this.savedExamSettings = { examMode: this.examMode, assistanceLevel: this.assistanceLevel };
+            this.examMode = true;
+            this.assistanceLevel = 0;
+            this.stopGeneration();
+        } else if (!locked && this.savedExamSettings) {
+            ({ examMode: this.examMode, assistanceLevel: this.assistanceLevel } = this.savedExamSettings);
+            this.savedExamSettings = null;
+        }
+        this.syncExamControls();
+    }
+
+    isLocked() {
+        return this.examMode && this.assistanceLevel === 0;
+    }
+
+    /**
+     * Reflect exam mode and the lock in the settings panel and input
+     */
+    syncExamControls() {
+        const locked = this.isLocked();
+
+        const examModeToggle = document.getElementById('gemini-exam-mode');
+        examModeToggle.checked = this.examMode;
+        examModeToggle.disabled = locked;
+        document.getElementById('gemini-exam-options').style.display = this.examMode && !locked ? 'flex' : 'none';
+        document.querySelectorAll('input[name="assistance-level"]').forEach(radio => {
+            radio.checked = parseInt(radio.value) === this.assistanceLevel;
+        });
+
+        const input = document.getElementById('gemini-input');
+        input.disabled = locked;
+        input.placeholder = locked ? '🔒 Locked until your mock exam is submitted' : 'Ask your physics question...';
+        document.querySelectorAll('.gemini-quick-btn').forEach(btn => {
+            btn.disabled = locked;
+        });
+    }
+
+    /**
+     * Abort the reply being streamed into the floating chat
+     */
+    stopGeneration() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Swap the send button for the stop button while a reply streams
+     */
+    setGeneratingState(isGenerating) {
+        document.getElementById('gemini-send-btn').classList.toggle('hidden', isGenerating);
+        document.getElementById('gemini-stop-btn').classList.toggle('hidden', !isGenerating);
+    }
+
+    /**
+     * Record a question in the current thread, stream the reply into the floating chat
+     * (and to onText, for other chat UIs) and record it. Resolves to { text, toolCalls }.
+     * On failure or abort any partial reply is kept, and also set on the thrown error
+     * as `partialReply`.
+     */
+    async requestReply(question, { signal, onText } = {}) {
+        const moduleName = this.currentModule;
+        const history = this.getHistoryWindow();
+        this.app.learnerProfile.recordTutorQuestion(question, moduleName);
+        this.addMessage('user', question);
+
+        // Reply bubble, created when the first tokens arrive
+        let bubble = null;
+        const handleText = (text) => {
+            if (moduleName === this.currentModule) {
+                if (bubble) {
+                    this.updateMessage(bubble, text);
+                } else {
+                    this.hideTypingIndicator();
+                    bubble = this.renderMessage('assistant', text);
+                }
+            }
+            if (onText) onText(text);
+        };
+
+        // Snapshot of the thread the question belongs to, in case the module changes while waiting
+        const thread = {
+            messages: this.messages,
+            conversationSummary: this.conversationSummary,
+            summarizedCount: this.summarizedCount
+        };
+
+        let response;
+        try {
+            response = await this.requestCompletion(question, history.turns, { signal, onText: handleText });
+        } catch (error) {
+            const target = moduleName === this.currentModule ? this : thread;
+
+            if (error.partialText) {
+                // Keep what arrived, marked as cut short
+                const marker = error.name === 'AbortError' ? '(stopped)' : '(response interrupted)';
+                error.partialReply = `${error.partialText.trimEnd()}\n\n*${marker}*`;
+                target.messages.push({ role: 'assistant', content: error.partialReply });
+                if (bubble && target === this) {
+                    this.updateMessage(bubble, error.partialReply);
+                }
+            } else if (target.messages[target.messages.length - 1]?.content === question) {
+                // An unanswered question is not kept in the history
+                target.messages.pop();
+            }
+
+            this.saveHistory(moduleName, target);
+            throw error;
+        }
+
+        // A reply that only requests actions still needs something to show and remember
+        const text = response.text || `Let's try it in the simulation: ${response.toolCalls.map(call => this.describeToolCall(call)).join('; ')}.`;
+
+        if (moduleName !== this.currentModule) {
+            // Actions were meant for a scene that is no longer open, so they are dropped
+            thread.messages.push({ role: 'assistant', content: text });
+            this.saveHistory(moduleName, thread);
+            return { text, toolCalls: [] };
+        }
+
+        if (bubble) {
+            this.updateMessage(bubble, text);
+            this.storeMessage('assistant', text);
+        } else {
+            this.addMessage('assistant', text);
+        }
+
+        // Fold anything that no longer fits the window into the running summary
+        this.compactHistory(history.start);
+
+        return { text, toolCalls: response.toolCalls.filter(call => getTutorAction(call.name)) };
+    }
+
+    /**
+     * Ask the active provider, with optional prior turns ({ role, content }, oldest first).
+     * The simulation actions are offered as tools; passing onText streams the reply.
+     */
+    async requestCompletion(userMessage, history = [], { signal, onText } = {}) {
+        return this.provider.complete({
+            systemPrompt: this.buildSystemPrompt(),
+            messages: [...history, { role: 'user', content: userMessage }],
+            tools: this.app ? getToolDeclarations(this.app) : [],
+            signal,
+            onText
         });
+    }
+
+    /**
+     * One-line description of a requested action
+     */
+    describeToolCall(call) {
+        const action = getTutorAction(call.name);
+        return action ? action.describe(this.app, call.args) : call.name;
+    }
+
+    /**
+     * Build a card asking the student to confirm an action before it runs.
+     * Used by both chat UIs.
+     */
+    createActionCard(call) {
+        const card = document.createElement('div');
+        card.className = 'gemini-action-card';
+        card.innerHTML = `
+            <div class="gemini-action-title">🎛️ Suggested action</div>
+            <div class="gemini-action-desc"></div>
+            <div class="gemini-action-buttons">
+                <button class="gemini-action-apply">Apply</button>
+                <button class="gemini-action-dismiss">Dismiss</button>
+            </div>
+        `;
+
+        const desc = card.querySelector('.gemini-action-desc');
+        const buttons = card.querySelector('.gemini-action-buttons');
+        desc.textContent = this.describeToolCall(call);
+
+        const finish = (message, state) => {
+            buttons.remove();
+            desc.textContent = message;
+            card.classList.add(state);
+
+            // Opening a module swaps the chat to that module's thread; confirm there too
+            if (!card.isConnected) {
+                this.showSystemMessage(message);
+            }
+        };
+
+        card.querySelector('.gemini-action-apply').addEventListener('click', () => {
+            try {
+                finish(`✅ ${this.runToolCall(call)}`, 'applied');
+            } catch (error) {
+                finish(`⚠️ ${error.message}`, 'failed');
+            }
+        });
+
+        card.querySelector('.gemini-action-dismiss').addEventListener('click', () => {
+            finish(`Dismissed: ${this.describeToolCall(call)}`, 'dismissed');
+        });
+
+        return card;
+    }
+
+    /**
+     * Show an action card in the floating chat
+     */
+    showActionCard(call) {
+        const messagesContainer = document.getElementById('gemini-messages');
+        messagesContainer.appendChild(this.createActionCard(call));
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    /**
+     * Apply a requested action to the simulation and return its confirmation
+     */
+    runToolCall(call) {
+        const action = getTutorAction(call.name);
+        if (!action) {
+            throw new Error(`Unknown action "${call.name}"`);
+        }
+        return action.run(this.app, call.args || {});
+    }
+
+    /**
+     * Switch to the conversation thread of a module, restoring it from localStorage
+     */
+    setModule(moduleName) {
+        if (moduleName === this.currentModule) return;
+
+        this.currentModule = moduleName;
+        this.loadHistory();
+    }
+
+    /**
+     * localStorage key of a module's conversation thread
+     */
+    getHistoryKey(moduleName = this.currentModule) {
+        return `${HISTORY_STORAGE_PREFIX}${moduleName || 'general'}`;
+    }
+
+    /**
+     * Load the current module's thread and re-render the chat
+     */
+    loadHistory() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.getHistoryKey()) || 'null');
+        } catch (error) {
+            console.warn('Could not read tutor history:', error);
+        }
+
+        const messages = Array.isArray(saved?.messages)
+            ? saved.messages.filter(m => (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+            : [];
+
+        this.threadGeneration++;
+        this.messages = messages;
+        this.conversationSummary = typeof saved?.summary === 'string' ? saved.summary : '';
+        this.summarizedCount = Math.min(Math.max(parseInt(saved?.summarizedCount) || 0, 0), messages.length);
+
+        this.renderHistory();
+    }
+
+    /**
+     * Persist the current module's thread
+     */
+    saveHistory(moduleName = this.currentModule, thread = this) {
+        try {
+            localStorage.setItem(this.getHistoryKey(moduleName), JSON.stringify({
+                summary: thread.conversationSummary,
+                summarizedCount: thread.summarizedCount,
+                messages: thread.messages,
+                updatedAt: Date.now()
+            }));
+        } catch (error) {
+            console.warn('Could not save tutor history:', error);
+        }
+    }
+
+    /**
+     * Forget the current module's thread
+     */
+    clearHistory() {
+        this.threadGeneration++;
+        this.messages = [];
+        this.conversationSummary = '';
+        this.summarizedCount = 0;
+        localStorage.removeItem(this.getHistoryKey());
+        this.renderHistory();
+    }
+
+    /**
+     * Rough token estimate (about four characters per token for English text)
+     */
+    estimateTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error?.message || 'API request failed');
+    /**
+     * Most recent unsummarized turns that fit the token budget, oldest first.
+     * `start` is the index in this.messages where the window begins.
+     */
+    getHistoryWindow() {
+        const turns = [];
+        let start = this.messages.length;
+        let tokens = 0;
+
+        for (let i = this.messages.length - 1; i >= this.summarizedCount; i--) {
+            const cost = this.estimateTokens(this.messages[i].content);
+            if (turns.length >= HISTORY_MAX_MESSAGES || tokens + cost > HISTORY_TOKEN_BUDGET) break;
+
+            tokens += cost;
+            start = i;
+            turns.unshift(this.messages[i]);
+        }
+
+        // Begin on a student turn so the roles alternate from the start
+        while (turns.length > 0 && turns[0].role !== 'user') {
+            turns.shift();
+            start++;
         }
 
-        const data = await response.json();
+        return { turns, start };
+    }
+
+    /**
+     * Summarize the turns between the last summary and the start of the window.
+     * Runs in the background; if the student switches module or starts a new
+     * conversation meanwhile the result is dropped and the next request tries again.
+     */
+    async compactHistory(windowStart) {
+        if (windowStart <= this.summarizedCount || this.isSummarizing) return;
+
+        const generation = this.threadGeneration;
+        const turns = this.messages.slice(this.summarizedCount, windowStart);
+
+        this.isSummarizing = true;
+        const summary = await this.summarizeTurns(turns);
+        this.isSummarizing = false;
+
+        if (generation !== this.threadGeneration) return;
 
-        if (data.candidates && data.candidates[0]?.content?.parts?.[0]?.text) {
-            return data.candidates[0].content.parts[0].text;
+        this.conversationSummary = summary;
+        this.summarizedCount = Math.min(windowStart, this.messages.length);
+
+        // Drop the oldest summarized messages once the stored thread gets long
+        const overflow = Math.min(this.summarizedCount, this.messages.length - HISTORY_STORED_MESSAGES);
+        if (overflow > 0) {
+            this.messages.splice(0, overflow);
+            this.summarizedCount -= overflow;
         }
 
-        throw new Error('No response generated');
+        this.saveHistory();
+    }
+
+    /**
+     * Merge turns into the running summary, falling back to a list of the
+     * student's questions if the summary request fails
+     */
+    async summarizeTurns(turns) {
+        const transcript = turns
+            .map(turn => `${turn.role === 'user' ? 'Student' : 'Tutor'}: ${turn.content}`)
+            .join('\n\n');
+        const previous = this.conversationSummary ? `Summary so far:\n${this.conversationSummary}\n\n` : '';
+
+        try {
+            const summary = await this.provider.generate({
+                systemPrompt: 'You condense physics tutoring conversations. In under 150 words of plain text, summarize what the student asked, what was explained, any values or results worked out, and any misconceptions noticed.',
+                messages: [{ role: 'user', content: `${previous}New exchanges:\n${transcript}` }],
+                maxOutputTokens: 400
+            });
+            return summary.trim().slice(0, SUMMARY_MAX_CHARS);
+        } catch (error) {
+            console.warn('Could not summarize tutor history:', error);
+            const questions = turns
+                .filter(turn => turn.role === 'user')
+                .map(turn => `- ${turn.content.replace(/\s+/g, ' ').slice(0, 120)}`);
+            return [this.conversationSummary, 'The student also asked:', ...questions]
+                .filter(Boolean)
+                .join('\n')
+                .slice(-SUMMARY_MAX_CHARS);
+        }
+    }
+
+    /**
+     * Format the open module's getSnapshot() as "- key: value unit" lines
+     */
+    getSimulationSnapshot() {
+        const module = this.app?.currentModule;
+        if (!module || !module.getSnapshot || module.name !== this.currentModule) return '';
+
+        let snapshot;
+        try {
+            snapshot = module.getSnapshot();
+        } catch (error) {
+            console.warn('Could not read simulation snapshot:', error);
+            return '';
+        }
+
+        const { units = {}, ...values } = snapshot || {};
+        const formatValue = value => {
+            if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(4)));
+            if (Array.isArray(value)) return `(${value.map(formatValue).join(', ')})`;
+            return String(value);
+        };
+
+        return Object.entries(values)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `- ${key}: ${formatValue(value)}${units[key] ? ` ${units[key]}` : ''}`)
+            .join('\n');
+    }
+
+    /**
+     * List the sliders on screen so the model can refer to them by id
+     */
+    getControlsDescription() {
+        const sliders = this.app?.sliders ? this.app.sliders.getSliders() : [];
+        if (sliders.length === 0) return '- (no sliders in this view)';
+
+        return sliders
+            .map(slider => `- ${slider.id} (${slider.label}): ${slider.value}${slider.unit}, range ${slider.min}–${slider.max}`)
+            .join('\n');
     }
 
     /**
@@ -481,6 +1163,17 @@ export class GeminiTutor {
             `The student is currently viewing the "${this.getModuleDisplayName(this.currentModule)}" simulation.` :
             'The student is using an electromagnetic induction learning application.';
 
+        const snapshot = this.getSimulationSnapshot();
+        const stateContext = snapshot ?
+            `\n\nCURRENT SIMULATION STATE (live values on the student's screen; quote these numbers when relevant):\n${snapshot}` : '';
+
+        const summaryContext = this.conversationSummary ?
+            `\n\nEARLIER IN THIS CONVERSATION (summary):\n${this.conversationSummary}` : '';
+
+        const learnerProfile = this.app.learnerProfile.describeForPrompt();
+        const learnerContext = learnerProfile ?
+            `\n\nSTUDENT PROFILE (from their exam answers, assembly work and questions):\n${learnerProfile}` : '';
+
         const styleGuide = {
             conceptual: 'Focus on intuitive understanding and physical reasoning. Use analogies and real-world examples.',
             mathematical: 'Emphasize mathematical derivations and equations. Show all steps clearly.',
@@ -507,7 +1200,7 @@ export class GeminiTutor {
         return `You are an expert physics tutor named "Gemini" specializing in electromagnetic induction for pre-university and university freshman students. You are integrated into an interactive electromagnetic simulation application.
 
 CONTEXT:
-${moduleContext}
+${moduleContext}${stateContext}${summaryContext}${learnerContext}
 
 YOUR EXPERTISE COVERS:
 - Electromagnetic Induction
@@ -532,8 +1225,13 @@ BEHAVIOR RULES:
 5. Indicate vector directions where relevant
 6. NEVER hallucinate formulas, laws, or physical constants
 7. If uncertain, clearly state uncertainty and suggest verification
-8. Relate explanations to the simulation the student is using
+8. Relate explanations to the simulation the student is using, using the current simulation state values where they help (e.g. "with your 10:20 ratio the output is doubled")
 9. Encourage active learning and experimentation
+10. Adapt to the student profile: go slower and check understanding on topics they struggle with, and do not re-teach basics of topics they are confident with
+
+SIMULATION ACTIONS:
+When the student asks you to show, change or run something, call the matching function (set_slider, load_module, drop_magnet, set_electromagnet_switch) and briefly say what they should watch for. The student confirms each action before it runs. Sliders currently on screen:
+${this.getControlsDescription()}
 
 FORMATTING:
 - Use markdown for formatting
@@ -546,9 +1244,52 @@ Remember: Accuracy and educational reliability are more important than creativit
     }
 
     /**
-     * Add a message to the chat
+     * Add a message to the chat and to the current thread
      */
     addMessage(role, content) {
+        const messageDiv = this.renderMessage(role, content);
+        this.storeMessage(role, content);
+        return messageDiv;
+    }
+
+    /**
+     * Append a message to the current thread and persist it
+     */
+    storeMessage(role, content) {
+        this.messages.push({ role, content });
+        this.saveHistory();
+    }
+
+    /**
+     * Replace the content of a rendered bubble (used while a reply streams in)
+     */
+    updateMessage(messageDiv, content) {
+        const messagesContainer = document.getElementById('gemini-messages');
+        const atBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+
+        messageDiv.querySelector('.gemini-message-content').innerHTML = this.formatMessage(content);
+
+        // Follow the stream unless the student scrolled up to read
+        if (atBottom) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+    }
+
+    /**
+     * Re-render the chat from the current thread
+     */
+    renderHistory() {
+        const messagesContainer = document.getElementById('gemini-messages');
+        if (!messagesContainer) return;
+
+        messagesContainer.innerHTML = this.messages.length > 0 ? '' : this.getWelcomeHTML();
+        this.messages.forEach(message => this.renderMessage(message.role, message.content));
+    }
+
+    /**
+     * Render a message bubble without storing it; returns the bubble element
+     */
+    renderMessage(role, content) {
         // Remove welcome message if present
         const welcomeMsg = document.querySelector('.gemini-welcome-message');
         if (welcomeMsg) {
@@ -573,33 +1314,15 @@ Remember: Accuracy and educational reliability are more important than creativit
 
         messagesContainer.appendChild(messageDiv);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
-
-        // Store message
-        this.messages.push({ role, content });
+        return messageDiv;
     }
 
     /**
      * Format message content with markdown-like styling
      */
     formatMessage(content) {
-        // Convert markdown-style formatting to HTML
-        let formatted = content
-            // Code blocks
-            .replace(/```([\s\S]*?)```/g, '<pre class="gemini-code">$1</pre>')
-            // Inline code
-            .replace(/`([^`]+)`/g, '<code>$1</code>')
-            // Bold
-            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-            // Italic
-            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-            // Headers
-            .replace(/^### (.*$)/gm, '<h5>$1</h5>')
-            .replace(/^## (.*$)/gm, '<h4>$1</h4>')
-            .replace(/^# (.*$)/gm, '<h3>$1</h3>')
-            // Line breaks
-            .replace(/\n/g, '<br>');
-
-        return formatted;
+        // Escapes everything first, so replies can never inject markup
+        return renderMarkdown(content);
     }
 
     /**
@@ -609,7 +1332,9 @@ Remember: Accuracy and educational reliability are more important than creativit
         const messagesContainer = document.getElementById('gemini-messages');
         const messageDiv = document.createElement('div');
         messageDiv.className = 'gemini-system-message';
-        messageDiv.innerHTML = `<span>ℹ️ ${message}</span>`;
+        const span = document.createElement('span');
+        span.textContent = `ℹ️ ${message}`;
+        messageDiv.appendChild(span);
         messagesContainer.appendChild(messageDiv);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
@@ -935,6 +1660,181 @@ Remember: Accuracy and educational reliability are more important than creativit
                 color: #4285F4;
             }
             
+            .gemini-action-card {
+                margin-left: 2.75rem;
+                padding: 0.75rem 1rem;
+                background: rgba(66, 133, 244, 0.08);
+                border: 1px dashed rgba(66, 133, 244, 0.5);
+                border-radius: 12px;
+                font-size: 0.85rem;
+                color: #e8f4ff;
+            }
+            
+            .gemini-action-card.applied {
+                border-style: solid;
+                border-color: rgba(52, 168, 83, 0.6);
+                background: rgba(52, 168, 83, 0.08);
+            }
+            
+            .gemini-action-card.failed {
+                border-style: solid;
+                border-color: rgba(251, 188, 5, 0.6);
+            }
+            
+            .gemini-action-card.dismissed {
+                opacity: 0.6;
+            }
+            
+            .gemini-action-title {
+                font-size: 0.75rem;
+                color: #a0c8e8;
+                margin-bottom: 0.25rem;
+            }
+            
+            .gemini-action-buttons {
+                display: flex;
+                gap: 0.5rem;
+                margin-top: 0.5rem;
+            }
+            
+            .gemini-action-buttons button {
+                padding: 0.35rem 0.9rem;
+                border-radius: 16px;
+                font-size: 0.75rem;
+                cursor: pointer;
+                border: 1px solid rgba(255, 255, 255, 0.15);
+                background: rgba(255, 255, 255, 0.05);
+                color: #a0c8e8;
+            }
+            
+            .gemini-action-buttons .gemini-action-apply {
+                background: linear-gradient(135deg, #4285F4, #34A853);
+                border-color: transparent;
+                color: white;
+            }
+            
+            .gemini-settings-input {
+                width: 100%;
+                padding: 0.45rem 0.6rem;
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 8px;
+                color: #e8f4ff;
+                font-size: 0.75rem;
+                box-sizing: border-box;
+            }
+            
+            .gemini-settings-input:focus {
+                outline: none;
+                border-color: #4285F4;
+            }
+            
+            .gemini-settings-input option {
+                background: #1a1b3d;
+            }
+            
+            .gemini-provider-fields {
+                flex-direction: column;
+                gap: 0.4rem;
+                margin: 0.5rem 0;
+            }
+            
+            .gemini-settings-note {
+                margin: 0;
+                font-size: 0.75rem;
+                color: #a0c8e8;
+            }
+            
+            .gemini-provider-save-btn {
+                padding: 0.5rem 0.75rem;
+                background: rgba(66, 133, 244, 0.2);
+                border: 1px solid #4285F4;
+                border-radius: 20px;
+                color: #4285F4;
+                font-size: 0.75rem;
+                cursor: pointer;
+                transition: all 0.2s ease;
+            }
+            
+            .gemini-provider-save-btn:hover {
+                background: rgba(66, 133, 244, 0.35);
+            }
+            
+            .gemini-clear-history-btn {
+                padding: 0.5rem 0.75rem;
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 20px;
+                color: #a0c8e8;
+                font-size: 0.75rem;
+                cursor: pointer;
+                transition: all 0.2s ease;
+            }
+            
+            .gemini-clear-history-btn:hover {
+                background: rgba(234, 67, 53, 0.15);
+                border-color: #EA4335;
+                color: #EA4335;
+            }
+            
+            .gemini-progress-totals {
+                display: flex;
+                justify-content: space-around;
+                text-align: center;
+            }
+            
+            .gemini-progress-totals strong {
+                display: block;
+                font-size: 1.1rem;
+                color: #e8f4ff;
+            }
+            
+            .gemini-progress-totals span {
+                font-size: 0.7rem;
+                color: #a0c8e8;
+            }
+            
+            .gemini-mastery-row {
+                margin-bottom: 0.6rem;
+            }
+            
+            .gemini-mastery-label {
+                display: flex;
+                justify-content: space-between;
+                font-size: 0.75rem;
+                color: #e8f4ff;
+                margin-bottom: 0.25rem;
+            }
+            
+            .gemini-mastery-value {
+                color: #a0c8e8;
+            }
+            
+            .gemini-mastery-bar {
+                height: 6px;
+                background: rgba(255, 255, 255, 0.08);
+                border-radius: 3px;
+                overflow: hidden;
+            }
+            
+            .gemini-mastery-fill {
+                height: 100%;
+                border-radius: 3px;
+                transition: width 0.3s ease;
+            }
+            
+            .gemini-mastery-fill.weak {
+                background: #EA4335;
+            }
+            
+            .gemini-mastery-fill.fair {
+                background: #FBBC05;
+            }
+            
+            .gemini-mastery-fill.strong {
+                background: #34A853;
+            }
+            
             .gemini-level-options {
                 display: flex;
                 flex-direction: column;
@@ -1061,7 +1961,7 @@ Remember: Accuracy and educational reliability are more important than creativit
                 font-size: 0.85em;
             }
             
-            .gemini-message-content pre.gemini-code {
+            .gemini-message-content pre.md-code {
                 background: rgba(0, 0, 0, 0.4);
                 padding: 0.75rem;
                 border-radius: 8px;
@@ -1071,13 +1971,27 @@ Remember: Accuracy and educational reliability are more important than creativit
                 margin: 0.5rem 0;
             }
             
+            .gemini-message-content pre.md-code code {
+                background: none;
+                padding: 0;
+            }
+            
+            .gemini-message-content p {
+                margin: 0 0 0.5rem;
+            }
+            
+            .gemini-message-content p:last-child {
+                margin-bottom: 0;
+            }
+            
             .gemini-message-content strong {
                 color: #4285F4;
             }
             
             .gemini-message-content h3,
             .gemini-message-content h4,
-            .gemini-message-content h5 {
+            .gemini-message-content h5,
+            .gemini-message-content h6 {
                 color: #34A853;
                 margin: 0.75rem 0 0.5rem;
             }
@@ -1152,6 +2066,11 @@ Remember: Accuracy and educational reliability are more important than creativit
                 border-color: rgba(66, 133, 244, 0.3);
             }
             
+            .gemini-quick-btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            
             /* Input Area */
             .gemini-input-area {
                 padding: 1rem;
@@ -1219,6 +2138,10 @@ Remember: Accuracy and educational reliability are more important than creativit
                 height: 20px;
             }
             
+            .gemini-stop-btn {
+                background: linear-gradient(135deg, #EA4335, #FBBC05);
+            }
+            
             .gemini-input-hint {
                 font-size: 0.65rem;
                 color: #6a8db0;
@@ -285,7 +285,7 @@ export class SliderManager {
         sliderGroup.appendChild(input);
 
         this.container.appendChild(sliderGroup);
-        this.sliders.set(id, { element: sliderGroup, input, valueSpan, unit });
+        this.sliders.set(id, { element: sliderGroup, input, valueSpan, unit, label, min, max, step });
 
         return input;
     }
@@ -304,6 +304,18 @@ export class SliderManager {
         }
     }
 
+    getSliders() {
+        return Array.from(this.sliders, ([id, slider]) => ({
+            id,
+            label: slider.label,
+            min: slider.min,
+            max: slider.max,
+            step: slider.step,
+            unit: slider.unit,
+            value: parseFloat(slider.input.value)
+        }));
+    }
+
     removeSlider(id) {
         const slider = this.sliders.get(id);
         if (slider) {
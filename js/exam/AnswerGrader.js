@@ -0,0 +1,222 @@
+/**
+ * AnswerGrader - Parses typed numeric answers with units and grades them
+ *
+ * "0.131 kV", "131V", "1.31 × 10^2 V" and "8.4×10⁻⁴ V" are all understood. Values are
+ * converted to SI base units and compared within one unit of the last significant
+ * figure of the expected answer. Wrong answers are checked against common slips
+ * (sign, powers of ten from prefixes, a factor of 2 or π) for targeted feedback.
+ */
+
+// SI units by symbol, with the quantity they measure
+const UNITS = {
+    'V': 'voltage',
+    'A': 'current',
+    'T': 'magnetic field',
+    'Wb': 'magnetic flux',
+    'H': 'inductance',
+    'J': 'energy',
+    'W': 'power',
+    'Ω': 'resistance',
+    's': 'time',
+    'Hz': 'frequency',
+    'm': 'length',
+    'm²': 'area',
+    'N': 'force',
+    'A/s': 'rate of change of current',
+    'T/s': 'rate of change of field',
+    'Wb/s': 'rate of change of flux'
+};
+
+const UNIT_ALIASES = {
+    'v': 'V', 'volt': 'V', 'volts': 'V',
+    'amp': 'A', 'amps': 'A', 'ampere': 'A', 'amperes': 'A',
+    'tesla': 'T',
+    'weber': 'Wb', 'webers': 'Wb', 'wb': 'Wb',
+    'henry': 'H', 'henries': 'H', 'henrys': 'H',
+    'joule': 'J', 'joules': 'J',
+    'watt': 'W', 'watts': 'W',
+    'ohm': 'Ω', 'ohms': 'Ω', '\u2126': 'Ω',
+    'sec': 's', 'second': 's', 'seconds': 's',
+    'hz': 'Hz', 'hertz': 'Hz',
+    'metre': 'm', 'metres': 'm', 'meter': 'm', 'meters': 'm',
+    'm^2': 'm²', 'm2': 'm²',
+    'newton': 'N', 'newtons': 'N',
+    'A s^-1': 'A/s', 'A s⁻¹': 'A/s', 'As^-1': 'A/s', 'As⁻¹': 'A/s', 'A/sec': 'A/s',
+    'T s^-1': 'T/s', 'T s⁻¹': 'T/s',
+    'Wb s^-1': 'Wb/s', 'Wb s⁻¹': 'Wb/s'
+};
+
+const PREFIXES = {
+    'G': 1e9, 'M': 1e6, 'k': 1e3, 'c': 1e-2, 'm': 1e-3, 'μ': 1e-6, 'µ': 1e-6, 'u': 1e-6, 'n': 1e-9, 'p': 1e-12
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+
+// Slips worth naming, as the ratio given/expected they produce
+const COMMON_SLIPS = [
+    { factor: 1e3, message: 'Your answer is 1000× too big. Check milli-prefixes: did you leave a time in ms (e.g. 15 ms = 15 × 10⁻³ s) or a value in mV/mT?' },
+    { factor: 1e-3, message: 'Your answer is 1000× too small. Check milli-prefixes: did you convert something to ms, mV or mT, or divide by 1000 twice?' },
+    { factor: 1e6, message: 'Your answer is 10⁶× too big. Check micro/mega prefixes.' },
+    { factor: 1e-6, message: 'Your answer is 10⁶× too small. Check micro/mega prefixes.' },
+    { factor: 1e4, message: 'Your answer is 10⁴× too big. Check the area conversion: 1 cm² = 10⁻⁴ m².' },
+    { factor: 1e-4, message: 'Your answer is 10⁴× too small. Check the area conversion: 1 cm² = 10⁻⁴ m².' },
+    { factor: 1e2, message: 'Your answer is 100× too big. Did you leave a length in cm instead of m?' },
+    { factor: 1e-2, message: 'Your answer is 100× too small. Check your cm → m conversion.' },
+    { factor: 2, message: 'Your answer is twice the expected value. Check for a missing ½ (e.g. E = ½LI²) or a 2 in the denominator (e.g. B = μ₀NI/2r).' },
+    { factor: 0.5, message: 'Your answer is half the expected value. Check for an extra ½ or a factor of 2.' },
+    { factor: Math.PI, message: 'Your answer is π× too big. Check where π belongs (area πr², μ₀ = 4π × 10⁻⁷).' },
+    { factor: 1 / Math.PI, message: 'Your answer is π× too small. Did you drop a π (area πr², μ₀ = 4π × 10⁻⁷)?' }
+];
+
+// How close a ratio must be to a slip factor to name it
+const SLIP_TOLERANCE = 0.02;
+
+/**
+ * Count significant figures in a typed number ("2.0" → 2, "0.0084" → 2, "1200" → 2)
+ */
+export function countSignificantFigures(numberText) {
+    const mantissa = numberText.replace(/^[-+−]/, '').split(/[eE]/)[0];
+    const digits = mantissa.replace('.', '').replace(/^0+/, '');
+    if (!digits) return 1;
+    return mantissa.includes('.') ? digits.length : digits.replace(/0+$/, '').length || 1;
+}
+
+/**
+ * Resolve a unit string to { unit, scale }, or null if it is not recognised
+ */
+export function parseUnit(unitText) {
+    const text = unitText.trim().replace(/\s+/g, ' ');
+    const resolve = candidate => UNITS[candidate] ? candidate : UNIT_ALIASES[candidate] || UNIT_ALIASES[candidate.toLowerCase()] || null;
+
+    const direct = resolve(text);
+    if (direct) return { unit: direct, scale: 1 };
+
+    // Prefixed unit: kV, mA, μT, ms, cm ...
+    const prefix = text[0];
+    if (PREFIXES[prefix] && text.length > 1) {
+        const base = resolve(text.slice(1));
+        if (base) {
+            // Prefixes on squared units apply before squaring (1 cm² = 10⁻⁴ m²)
+            const scale = base === 'm²' ? PREFIXES[prefix] ** 2 : PREFIXES[prefix];
+            return { unit: base, scale };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse typed input such as "0.131 kV". Returns { value, unit, sigFigs } with the
+ * value in SI base units (unit is null when none was typed), or { error }.
+ */
+export function parseQuantity(input) {
+    const text = String(input).trim()
+        .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, match => `^${[...match].map(char => SUPERSCRIPTS[char]).join('')}`)
+        .replace(/−/g, '-')
+        .replace(/,/g, '')
+        .replace(/[.;]$/, '')
+        // A bare power of ten such as "10^-4 s"
+        .replace(/^([-+]?)10\s*\^/, '$11×10^');
+
+    const match = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*(?:(?:[x×*·]|\\times)\s*10\s*\^\s*\(?\s*([-+]?\d+)\s*\)?)?\s*(.*)$/.exec(text);
+    if (!match) {
+        return { error: 'Type a number first, e.g. 131 V or 1.31 × 10^2 V.' };
+    }
+
+    const [, numberText, exponent, unitText] = match;
+    let value = parseFloat(numberText) * (exponent ? 10 ** parseInt(exponent) : 1);
+    const sigFigs = countSignificantFigures(numberText);
+
+    if (!unitText) {
+        return { value, unit: null, sigFigs };
+    }
+
+    const unit = parseUnit(unitText.replace(/\^2$/, '²'));
+    if (!unit) {
+        return { error: `"${unitText}" is not a unit I recognise. Try V, mV, A, T, Wb, H, J, Ω or A/s.` };
+    }
+
+    value *= unit.scale;
+    return { value, unit: unit.unit, sigFigs };
+}
+
+/**
+ * One unit in the last significant figure of the expected value
+ */
+function toleranceFor(expected, sigFigs) {
+    if (expected === 0) return 10 ** -sigFigs;
+    return 10 ** (Math.floor(Math.log10(Math.abs(expected))) - sigFigs + 1);
+}
+
+function isClose(ratio, factor) {
+    return Math.abs(ratio / factor - 1) < SLIP_TOLERANCE;
+}
+
+/**
+ * Format a value to significant figures, in scientific notation when very small or large
+ */
+export function formatNumber(value, sigFigs = 3) {
+    const abs = Math.abs(value);
+    if (abs !== 0 && (abs < 1e-2 || abs >= 1e4)) {
+        const [mantissa, exponent] = value.toExponential(Math.max(sigFigs - 1, 0)).split('e');
+        const superscript = String(parseInt(exponent)).replace(/[-\d]/g, char => char === '-' ? '⁻' : '⁰¹²³⁴⁵⁶⁷⁸⁹'[char]);
+        return `${mantissa} × 10${superscript}`;
+    }
+    // toPrecision keeps trailing zeros ("3.00") but switches to exponent form above 10^sigFigs
+    return abs >= 10 ** sigFigs ? String(Math.round(Number(value.toPrecision(sigFigs)))) : value.toPrecision(sigFigs);
+}
+
+/**
+ * Grade a typed answer against { value, unit, sigFigs = 3 }.
+ * Returns { status: 'correct' | 'incorrect' | 'invalid', message, parsed }.
+ */
+export function gradeNumericAnswer(input, expected) {
+    const sigFigs = expected.sigFigs || 3;
+    const parsed = parseQuantity(input);
+    if (parsed.error) {
+        return { status: 'invalid', message: parsed.error, parsed };
+    }
+
+    const tolerance = toleranceFor(expected.value, sigFigs);
+    const valueMatches = value => Math.abs(value - expected.value) <= tolerance * 1.0001;
+
+    if (!parsed.unit) {
+        // The number may already be in the right unit, but units are part of the answer
+        const hint = valueMatches(parsed.value) ? 'The number is right, but' : 'Also,';
+        return { status: 'incorrect', message: `${hint} an answer needs its unit: give it in ${expected.unit}.`, parsed };
+    }
+
+    if (parsed.unit !== expected.unit) {
+        return {
+            status: 'incorrect',
+            message: `That unit measures ${UNITS[parsed.unit]}, but this answer is a ${UNITS[expected.unit]} (${expected.unit}).`,
+            parsed
+        };
+    }
+
+    if (valueMatches(parsed.value)) {
+        return { status: 'correct', message: `Correct: ${formatNumber(expected.value, sigFigs)} ${expected.unit}.`, parsed };
+    }
+
+    const ratio = parsed.value / expected.value;
+    if (valueMatches(-parsed.value)) {
+        return {
+            status: 'incorrect',
+            message: 'Right size, wrong sign. The minus sign in Faraday\'s law only gives the direction (Lenz\'s law); check which sign the question wants.',
+            parsed
+        };
+    }
+
+    const slip = COMMON_SLIPS.find(candidate => isClose(Math.abs(ratio), candidate.factor));
+    if (slip) {
+        const signNote = ratio < 0 ? ' The sign is also flipped.' : '';
+        return { status: 'incorrect', message: `${slip.message}${signNote}`, parsed };
+    }
+
+    const direction = Math.abs(ratio) > 1 ? 'too big' : 'too small';
+    return {
+        status: 'incorrect',
+        message: `Not quite: ${formatNumber(parsed.value, parsed.sigFigs)} ${expected.unit} is ${direction}. Recheck your working step by step.`,
+        parsed
+    };
+}
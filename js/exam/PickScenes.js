@@ -0,0 +1,197 @@
+/**
+ * PickScenes - Small 3D scenes for "click the answer" exam questions
+ *
+ * Each kind builds a group to add to the scene, the clickable targets (ids from
+ * SCENE_TARGETS) and a camera view. The correct answer is not part of the scene,
+ * so nothing in it gives the answer away.
+ */
+import * as THREE from 'three';
+import { SCENE_TARGETS } from './QuestionTypes.js';
+
+const TARGET_COLOR = 0x00d4aa;
+
+function createLabelSprite(text, color = '#ffffff') {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = color;
+    ctx.font = 'bold 80px Inter, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 64, 64);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false });
+    return new THREE.Sprite(material);
+}
+
+function createTargetMaterial() {
+    return new THREE.MeshStandardMaterial({
+        color: TARGET_COLOR,
+        emissive: TARGET_COLOR,
+        emissiveIntensity: 0.2,
+        metalness: 0.2,
+        roughness: 0.4,
+        side: THREE.DoubleSide
+    });
+}
+
+/**
+ * Wrap an object as a clickable target with a generous invisible hit area
+ */
+function createTarget(id, object, hitRadius) {
+    const target = new THREE.Group();
+    target.add(object);
+
+    const hitArea = new THREE.Mesh(
+        new THREE.SphereGeometry(hitRadius, 12, 8),
+        new THREE.MeshBasicMaterial({ transparent: true, opacity: 0, depthWrite: false })
+    );
+    target.add(hitArea);
+
+    target.userData = { targetId: id };
+
+    // Brighter and slightly larger while selected
+    const highlight = (on) => {
+        target.scale.setScalar(on ? 1.15 : 1);
+        object.traverse(child => {
+            if (child.material?.emissive) child.material.emissiveIntensity = on ? 0.9 : 0.2;
+        });
+    };
+
+    return { id, object: target, highlight };
+}
+
+/**
+ * A three-quarter circle with an arrowhead, in the local xy-plane.
+ * Anticlockwise seen from +z unless `clockwise`.
+ */
+function createCircularArrow({ radius = 0.45, clockwise = false } = {}) {
+    const group = new THREE.Group();
+    const material = createTargetMaterial();
+    const start = Math.PI * 0.25;
+    const arc = Math.PI * 1.5;
+
+    const ring = new THREE.Mesh(new THREE.TorusGeometry(radius, 0.05, 8, 48, arc), material);
+    ring.rotation.z = start;
+    group.add(ring);
+
+    // Arrowhead along the tangent at the end of the arc
+    const end = start + arc;
+    const head = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.25, 12), material);
+    head.position.set(Math.cos(end) * radius, Math.sin(end) * radius, 0);
+    head.rotation.z = end;
+    group.add(head);
+
+    // Mirroring reverses the sense of rotation
+    if (clockwise) group.scale.x = -1;
+
+    return group;
+}
+
+/**
+ * A coil with a bar magnet moving towards or away from it along x; the viewer
+ * looks from the magnet's side. Targets: clockwise / anticlockwise arrows.
+ */
+function buildCoilCurrentScene({ pole = 'North', approaching = true }, components) {
+    const group = new THREE.Group();
+
+    const coil = new THREE.Mesh(new THREE.TorusGeometry(0.9, 0.06, 12, 64), components.materials.copper);
+    coil.rotation.y = Math.PI / 2;
+    group.add(coil);
+
+    // The bar magnet's north end is at +x; turn it round so the named pole faces the coil
+    const magnet = components.createBarMagnet({ length: 1.6 });
+    magnet.position.x = 2.2;
+    if (pole === 'North') magnet.rotation.y = Math.PI;
+    group.add(magnet);
+
+    const motion = new THREE.ArrowHelper(
+        new THREE.Vector3(approaching ? -1 : 1, 0, 0),
+        new THREE.Vector3(approaching ? 2.6 : 1.8, 0.7, 0),
+        0.8,
+        0xf1c40f,
+        0.25,
+        0.15
+    );
+    group.add(motion);
+
+    // Arrows face the viewer on +x: local +z becomes world +x
+    const targets = [
+        { id: 'clockwise', clockwise: true, z: 1.9 },
+        { id: 'anticlockwise', clockwise: false, z: -1.9 }
+    ].map(({ id, clockwise, z }) => {
+        const arrow = createCircularArrow({ clockwise });
+        arrow.rotation.y = Math.PI / 2;
+        const target = createTarget(id, arrow, 0.7);
+        target.object.position.set(0, 0, z);
+        group.add(target.object);
+        return target;
+    });
+
+    return { group, targets, camera: { position: [7, 1.5, 0.8], target: [0, 0, 0] } };
+}
+
+/**
+ * A solenoid along x with arrows showing the current on its front windings.
+ * Targets: the left and right ends.
+ */
+function buildSolenoidPoleScene({ currentFront = 'up' }, components) {
+    const group = new THREE.Group();
+    const length = 2.4;
+    const radius = 0.6;
+
+    group.add(components.createSolenoid({ turns: 8, radius, length }));
+
+    [-0.8, 0, 0.8].forEach(x => {
+        const arrow = components.createCurrentArrow({ length: 0.4 });
+        arrow.position.set(x, 0, radius + 0.1);
+        arrow.rotation.z = currentFront === 'up' ? Math.PI / 2 : -Math.PI / 2;
+        group.add(arrow);
+    });
+
+    const targets = [
+        { id: 'left-end', x: -(length / 2 + 0.45) },
+        { id: 'right-end', x: length / 2 + 0.45 }
+    ].map(({ id, x }) => {
+        const marker = new THREE.Group();
+        marker.add(new THREE.Mesh(new THREE.SphereGeometry(0.28, 24, 16), createTargetMaterial()));
+        const label = createLabelSprite('?');
+        label.scale.set(0.35, 0.35, 1);
+        marker.add(label);
+
+        const target = createTarget(id, marker, 0.55);
+        target.object.position.x = x;
+        group.add(target.object);
+        return target;
+    });
+
+    return { group, targets, camera: { position: [1.5, 2, 6], target: [0, 0, 0] } };
+}
+
+const SCENE_BUILDERS = {
+    'coil-current': buildCoilCurrentScene,
+    'solenoid-pole': buildSolenoidPoleScene
+};
+
+/**
+ * Build the scene for a question's `scene` description using the app's ComponentLibrary
+ */
+export function buildPickScene(scene, components) {
+    const builder = SCENE_BUILDERS[scene.kind];
+    if (!builder || !SCENE_TARGETS[scene.kind]) {
+        throw new Error(`Unknown scene kind "${scene.kind}"`);
+    }
+    return builder(scene, components);
+}
+
+/**
+ * Free the geometry a pick scene created (materials from the ComponentLibrary are shared)
+ */
+export function disposePickScene(group) {
+    group.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+    });
+}
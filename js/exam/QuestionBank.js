@@ -0,0 +1,334 @@
+/**
+ * QuestionBank - Versioned JSON/YAML question-bank format for Exam Practice
+ *
+ * Teachers add questions as files instead of code. A bank looks like:
+ *
+ *   {
+ *     "format": "emlab-question-bank",
+ *     "version": 1,
+ *     "id": "my-class",                        (optional, defaults to the file name)
+ *     "title": "Extra induction questions",
+ *     "questions": [{
+ *       "id": "q1", "title": "...", "scenario": "...", "question": "...",
+ *       "data": ["N = 200", ...], "hint": "...",
+ *       "difficulty": "Easy" | "Medium" | "Hard",
+ *       "topics": ["faraday-law", ...],        (knowledge base topic ids)
+ *       "module": "induction",                 (optional linked simulation)
+ *       "simulation": { "state": { "n": 20 }, "caption": "..." },   (optional preset for that module)
+ *       "solution": { "formula": "...", "steps": ["..."], "answer": "...", "explanation": "..." },
+ *       "answers": [{ "label": "EMF", "value": 131, "unit": "V", "sigFigs": 3 }]   (optional)
+ *     }]
+ *   }
+ *
+ * Questions are numeric unless they set "type" (see QuestionTypes.js):
+ *   "choice"  "choices": ["...", ...], "correct": 1, "explanations": ["...", ...] (optional, one per choice)
+ *   "multi"   "choices": ["...", ...], "correct": [0, 2]
+ *   "order"   "items": ["first step", "second step", ...]   (in the correct order; shown shuffled)
+ *   "scene"   "scene": { "kind": "coil-current", "correct": "clockwise", ... }
+ *
+ * Text fields may use markdown and $...$ math. Invalid questions are skipped and
+ * reported; problems with the file itself throw.
+ */
+import { parseUnit } from './AnswerGrader.js';
+import { QUESTION_TYPES, SCENE_TARGETS } from './QuestionTypes.js';
+
+export const QUESTION_BANK_FORMAT = 'emlab-question-bank';
+export const QUESTION_BANK_VERSION = 1;
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+const BUNDLED_BANKS_URL = 'assets/questions/';
+const IMPORTED_STORAGE_KEY = 'emlab-question-banks';
+
+/**
+ * Parse file text as JSON, or as YAML for .yaml/.yml files
+ */
+export async function parseQuestionBank(text, fileName = '') {
+    if (/\.ya?ml$/i.test(fileName)) {
+        let yaml;
+        try {
+            // Loaded on demand from the import map, so JSON banks work offline
+            yaml = await import('js-yaml');
+        } catch (error) {
+            throw new Error('YAML support could not be loaded (are you offline?). Save the bank as JSON instead.');
+        }
+        try {
+            return yaml.load(text);
+        } catch (error) {
+            throw new Error(`Invalid YAML: ${error.reason || error.message}`);
+        }
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+}
+
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isTextList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const isChoiceIndex = (value, choices) => Number.isInteger(value) && value >= 0 && value < choices.length;
+
+/**
+ * Check the fields for a non-numeric question type; returns [fields, null] or [null, message]
+ */
+function validateTypeFields(raw, type) {
+    switch (type) {
+        case 'choice':
+        case 'multi': {
+            if (!isTextList(raw.choices) || raw.choices.length < 2) return [null, '"choices" must list at least two options'];
+            if (type === 'choice') {
+                if (!isChoiceIndex(raw.correct, raw.choices)) return [null, '"correct" must be the index of one of the choices (from 0)'];
+            } else if (!Array.isArray(raw.correct) || raw.correct.length === 0 ||
+                !raw.correct.every(index => isChoiceIndex(index, raw.choices)) || new Set(raw.correct).size !== raw.correct.length) {
+                return [null, '"correct" must list the indexes of the right choices (from 0)'];
+            }
+            if (raw.explanations !== undefined &&
+                (!isTextList(raw.explanations) || raw.explanations.length !== raw.choices.length)) {
+                return [null, '"explanations" must have one string per choice'];
+            }
+            return [{
+                choices: raw.choices,
+                correct: type === 'multi' ? [...raw.correct].sort((a, b) => a - b) : raw.correct,
+                ...(raw.explanations && { explanations: raw.explanations })
+            }, null];
+        }
+
+        case 'order':
+            if (!isTextList(raw.items) || raw.items.length < 2) return [null, '"items" must list at least two steps'];
+            return [{ items: raw.items }, null];
+
+        case 'scene': {
+            const scene = raw.scene;
+            if (!scene || typeof scene !== 'object' || Array.isArray(scene)) return [null, '"scene" must be an object'];
+            const targets = SCENE_TARGETS[scene.kind];
+            if (!targets) return [null, `unknown scene kind "${scene.kind}" (use ${Object.keys(SCENE_TARGETS).join(', ')})`];
+            if (!targets.some(target => target.id === scene.correct)) {
+                return [null, `"scene.correct" must be one of ${targets.map(target => target.id).join(', ')}`];
+            }
+            return [{ scene: { ...scene } }, null];
+        }
+
+        default:
+            return [{}, null];
+    }
+}
+
+/**
+ * Check one question; returns [normalizedQuestion, null] or [null, message]
+ */
+function validateQuestion(raw, { topics, modules }) {
+    if (!raw || typeof raw !== 'object') return [null, 'must be an object'];
+
+    for (const field of ['id', 'title', 'scenario', 'question']) {
+        if (!isText(raw[field])) return [null, `"${field}" is required`];
+    }
+    if (raw.data !== undefined && !isTextList(raw.data)) return [null, '"data" must be a list of strings'];
+    if (raw.hint !== undefined && typeof raw.hint !== 'string') return [null, '"hint" must be a string'];
+
+    const difficulty = DIFFICULTIES.find(level => level.toLowerCase() === String(raw.difficulty).toLowerCase());
+    if (!difficulty) return [null, `"difficulty" must be one of ${DIFFICULTIES.join(', ')}`];
+
+    if (!isTextList(raw.topics) || raw.topics.length === 0) return [null, '"topics" must list at least one topic id'];
+    const unknownTopic = raw.topics.find(topic => !topics.includes(topic));
+    if (unknownTopic) return [null, `unknown topic "${unknownTopic}" (use ${topics.join(', ')})`];
+
+    if (raw.module !== undefined && !modules.includes(raw.module)) {
+        return [null, `unknown module "${raw.module}" (use ${modules.join(', ')})`];
+    }
+
+    const type = raw.type ?? 'numeric';
+    if (!QUESTION_TYPES.includes(type)) return [null, `unknown type "${type}" (use ${QUESTION_TYPES.join(', ')})`];
+    if (type !== 'numeric' && raw.answers !== undefined) return [null, '"answers" is only for numeric questions'];
+    const [typeFields, typeError] = validateTypeFields(raw, type);
+    if (typeError) return [null, typeError];
+
+    const simulation = raw.simulation;
+    if (simulation !== undefined) {
+        if (raw.module === undefined) return [null, '"simulation" needs a "module" to open'];
+        if (!simulation || typeof simulation !== 'object' || Array.isArray(simulation)) return [null, '"simulation" must be an object'];
+        const state = simulation.state ?? {};
+        if (typeof state !== 'object' || Array.isArray(state) ||
+            !Object.values(state).every(value => ['number', 'string', 'boolean'].includes(typeof value))) {
+            return [null, '"simulation.state" must map setting names to numbers, text or true/false'];
+        }
+        if (simulation.caption !== undefined && typeof simulation.caption !== 'string') return [null, '"simulation.caption" must be a string'];
+    }
+
+    const solution = raw.solution;
+    if (!solution || typeof solution !== 'object' || !isText(solution.answer)) return [null, '"solution.answer" is required'];
+    if (solution.steps !== undefined && !isTextList(solution.steps)) return [null, '"solution.steps" must be a list of strings'];
+    for (const field of ['formula', 'explanation']) {
+        if (solution[field] !== undefined && typeof solution[field] !== 'string') return [null, `"solution.${field}" must be a string`];
+    }
+
+    let answers;
+    if (raw.answers !== undefined) {
+        if (!Array.isArray(raw.answers) || raw.answers.length === 0) return [null, '"answers" must be a non-empty list'];
+        answers = [];
+        for (const [index, answer] of raw.answers.entries()) {
+            if (!isText(answer?.label)) return [null, `answers[${index}].label is required`];
+            if (typeof answer.value !== 'number' || !Number.isFinite(answer.value)) return [null, `answers[${index}].value must be a number`];
+            const unit = isText(answer.unit) ? parseUnit(answer.unit) : null;
+            if (!unit) return [null, `answers[${index}].unit "${answer.unit}" is not a recognised unit`];
+            const sigFigs = answer.sigFigs ?? 3;
+            if (!Number.isInteger(sigFigs) || sigFigs < 1 || sigFigs > 6) return [null, `answers[${index}].sigFigs must be a whole number from 1 to 6`];
+
+            // Store in SI base units, like the grader's parsed input
+            answers.push({ label: answer.label, value: answer.value * unit.scale, unit: unit.unit, sigFigs });
+        }
+    }
+
+    return [{
+        title: raw.title,
+        scenario: raw.scenario,
+        data: raw.data || [],
+        question: raw.question,
+        hint: raw.hint || 'Re-read the given data and decide which law links them.',
+        difficulty,
+        topics: raw.topics,
+        module: raw.module || null,
+        ...(type !== 'numeric' && { type }),
+        ...typeFields,
+        ...(simulation && { simulation: { state: simulation.state ?? {}, caption: simulation.caption || '' } }),
+        solution: {
+            formula: solution.formula || '',
+            steps: solution.steps || [],
+            answer: solution.answer,
+            explanation: solution.explanation || ''
+        },
+        ...(answers && { answers })
+    }, null];
+}
+
+/**
+ * Validate a parsed bank. Throws for problems with the bank as a whole;
+ * returns { id, title, questions, errors } where errors lists skipped questions.
+ * `topics` and `modules` are the ids questions may refer to.
+ */
+export function validateQuestionBank(bank, { name = 'question bank', topics = [], modules = [] } = {}) {
+    if (!bank || typeof bank !== 'object' || Array.isArray(bank)) {
+        throw new Error(`${name}: a question bank must be an object with a "questions" list`);
+    }
+    if (bank.format !== QUESTION_BANK_FORMAT) {
+        throw new Error(`${name}: "format" must be "${QUESTION_BANK_FORMAT}"`);
+    }
+    if (!Number.isInteger(bank.version) || bank.version < 1) {
+        throw new Error(`${name}: "version" must be a whole number`);
+    }
+    if (bank.version > QUESTION_BANK_VERSION) {
+        throw new Error(`${name}: made for a newer EM Lab (format version ${bank.version}; this version reads up to ${QUESTION_BANK_VERSION})`);
+    }
+    if (!Array.isArray(bank.questions) || bank.questions.length === 0) {
+        throw new Error(`${name}: "questions" must be a non-empty list`);
+    }
+
+    const id = isText(bank.id) ? bank.id : name.replace(/\.(json|ya?ml)$/i, '');
+    const title = isText(bank.title) ? bank.title : id;
+    const seen = new Set();
+    const questions = [];
+    const errors = [];
+
+    bank.questions.forEach((raw, index) => {
+        const label = `${name} › questions[${index}]${isText(raw?.id) ? ` (${raw.id})` : ''}`;
+        const [question, error] = validateQuestion(raw, { topics, modules });
+
+        if (error) {
+            errors.push(`${label}: ${error}`);
+        } else if (seen.has(raw.id)) {
+            errors.push(`${label}: duplicate id`);
+        } else {
+            seen.add(raw.id);
+            questions.push({ ...question, id: `${id}/${raw.id}`, source: title });
+        }
+    });
+
+    return { id, title, questions, errors };
+}
+
+/**
+ * Read, parse and validate a user-chosen File
+ */
+export async function loadQuestionBankFile(file, options = {}) {
+    const text = await file.text();
+    const raw = await parseQuestionBank(text, file.name);
+    return { raw, ...validateQuestionBank(raw, { ...options, name: file.name }) };
+}
+
+/**
+ * Load the banks listed in assets/questions/manifest.json. A bank that fails to
+ * load is reported in `errors` without stopping the others.
+ */
+export async function loadBundledQuestionBanks(options = {}, baseUrl = BUNDLED_BANKS_URL) {
+    const banks = [];
+    const errors = [];
+
+    let manifest;
+    try {
+        const response = await fetch(`${baseUrl}manifest.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        manifest = await response.json();
+    } catch (error) {
+        return { banks, errors: [`Could not load the question bank list: ${error.message}`] };
+    }
+
+    for (const fileName of manifest.banks || []) {
+        try {
+            const response = await fetch(`${baseUrl}${fileName}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const raw = await parseQuestionBank(await response.text(), fileName);
+            const bank = validateQuestionBank(raw, { ...options, name: fileName });
+            banks.push(bank);
+            errors.push(...bank.errors);
+        } catch (error) {
+            errors.push(`${fileName}: ${error.message}`);
+        }
+    }
+
+    return { banks, errors };
+}
+
+/**
+ * Banks the user imported earlier, as saved raw bank objects by file name
+ */
+export function loadImportedQuestionBanks(options = {}) {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(IMPORTED_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read imported question banks:', error);
+    }
+
+    const banks = [];
+    const errors = [];
+    saved.forEach(({ name, raw }) => {
+        try {
+            banks.push(validateQuestionBank(raw, { ...options, name }));
+        } catch (error) {
+            errors.push(error.message);
+        }
+    });
+    return { banks, errors };
+}
+
+/**
+ * Remember an imported bank (replacing one with the same file name)
+ */
+export function saveImportedQuestionBank(name, raw) {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(IMPORTED_STORAGE_KEY)) || [];
+    } catch (error) {
+        saved = [];
+    }
+
+    saved = saved.filter(entry => entry.name !== name);
+    saved.push({ name, raw });
+
+    try {
+        localStorage.setItem(IMPORTED_STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Could not save imported question bank:', error);
+    }
+}
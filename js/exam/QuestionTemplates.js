@@ -0,0 +1,533 @@
+/**
+ * QuestionTemplates - Exam Practice questions with randomized givens
+ *
+ * Each template lists its parameters (a range with a step, or a list of choices)
+ * and a build() that turns one draw of them into a full question: scenario, given
+ * data, worked solution and the expected numeric answers, all computed from the
+ * same formulas so every attempt gets fresh numbers and a correct solution.
+ * `module` is the simulation that shows the situation, and build() may add a
+ * `simulation` preset ({ state, caption }) that sets it up to match the question.
+ * Questions other than numeric ones set `type` (see QuestionTypes.js).
+ * Based on Topic 5: Electromagnetic Induction.
+ */
+import { formatNumber } from './AnswerGrader.js';
+
+const MU_0 = 4 * Math.PI * 1e-7;
+
+const fmt = (value, sigFigs = 3) => formatNumber(value, sigFigs);
+
+export const QUESTION_TEMPLATES = [
+    {
+        id: 'generator-coil-emf',
+        title: 'Generator Coil EMF',
+        difficulty: 'Medium',
+        topics: ['faraday-law', 'magnetic-flux'],
+        module: 'induction',
+        params: {
+            N: { min: 100, max: 400, step: 50 },
+            rCm: { min: 2, max: 8, step: 0.5 },
+            B: { min: 0.5, max: 1.5, step: 0.05 },
+            tMs: { min: 5, max: 30, step: 1 }
+        },
+        build: ({ N, rCm, B, tMs }) => {
+            const r = rCm / 100;
+            const area = Math.PI * r * r;
+            const emf = N * B * area / (tMs / 1000);
+
+            return {
+                scenario: `A generator coil rotates through one-fourth of a revolution (θ=0° to θ=90°) in ${tMs} ms.`,
+                data: [
+                    `Turns (N) = ${N}`,
+                    `Radius (r) = ${rCm.toFixed(2)} cm = ${fmt(r)} m`,
+                    `Magnetic Field (B) = ${B.toFixed(2)} T`,
+                    `Time (Δt) = ${tMs} ms = ${tMs} × 10⁻³ s`
+                ],
+                question: 'Calculate the induced EMF.',
+                hint: "Use Faraday's Law: ε = -N(dΦ/dt). Remember that flux Φ = BA·cos(θ).",
+                simulation: {
+                    state: { n: 30 },
+                    caption: 'Move the magnet through the coil: the faster the flux through it changes, the bigger the EMF.'
+                },
+                solution: {
+                    formula: String.raw`$\varepsilon = -N\frac{d\Phi}{dt} = -NBA\frac{d(\cos\theta)}{dt}$`,
+                    steps: [
+                        `Area A = πr² = π × (${fmt(r)})² = ${fmt(area)} m²`,
+                        'Change in cos θ: cos(90°) - cos(0°) = 0 - 1 = -1',
+                        `ε = -${N} × ${B.toFixed(2)} × ${fmt(area)} × (-1)/(${tMs}×10⁻³)`,
+                        `ε = ${fmt(emf)} V`
+                    ],
+                    answer: `${fmt(emf)} V`,
+                    explanation: 'The EMF is induced because the magnetic flux through the coil changes as it rotates.'
+                },
+                answers: [
+                    { label: 'Induced EMF', value: emf, unit: 'V', sigFigs: 3 }
+                ]
+            };
+        }
+    },
+    {
+        id: 'emf-factors',
+        title: 'Increasing the Induced EMF',
+        difficulty: 'Medium',
+        topics: ['faraday-law'],
+        module: 'induction',
+        params: {},
+        build: () => ({
+            type: 'multi',
+            scenario: 'A bar magnet is pushed into a coil connected to a sensitive voltmeter.',
+            data: [
+                'The magnet moves into the coil at a steady speed',
+                'The voltmeter shows a small reading while it moves'
+            ],
+            question: 'Which changes would increase the induced EMF? Select all that apply.',
+            hint: "Faraday's law: ε = NΔΦ/Δt. Which changes make N, ΔΦ or 1/Δt bigger?",
+            choices: [
+                'Push the magnet in faster',
+                'Use a coil with more turns',
+                'Use a stronger magnet',
+                'Use a voltmeter with a higher resistance',
+                'Hold the magnet still inside the coil',
+                'Use thicker wire for the same number of turns'
+            ],
+            correct: [0, 1, 2],
+            simulation: {
+                state: { n: 30 },
+                caption: 'Try different speeds and numbers of turns, and watch the galvanometer.'
+            },
+            solution: {
+                formula: String.raw`$\varepsilon = N\frac{\Delta\Phi}{\Delta t}$`,
+                steps: [
+                    'Faster motion: the same ΔΦ happens in a shorter Δt, so ε increases',
+                    'More turns: N increases, so ε increases',
+                    'Stronger magnet: B and so ΔΦ increase, so ε increases',
+                    'A still magnet gives no change in flux, so no EMF',
+                    'The voltmeter and the wire thickness change the current, not the EMF'
+                ],
+                answer: 'Push the magnet in faster; use more turns; use a stronger magnet.',
+                explanation: 'The EMF depends only on how fast the flux linkage NΦ changes.'
+            }
+        })
+    },
+    {
+        id: 'self-inductance-circuit',
+        title: 'Self-Inductance Circuit',
+        difficulty: 'Hard',
+        topics: ['inductance'],
+        module: 'solenoid',
+        params: {
+            L: { min: 1, max: 10, step: 0.5 },
+            V: { choices: [6, 9, 12, 18, 24] },
+            R: { min: 2, max: 12, step: 1 }
+        },
+        build: ({ L, V, R }) => {
+            const rate = V / L;
+            const current = V / R;
+            const energy = 0.5 * L * current * current;
+
+            return {
+                scenario: 'A coil is connected in series with a switch to a battery.',
+                data: [
+                    `Self-inductance (L) = ${L.toFixed(1)} H`,
+                    `Voltage (V) = ${V} V`,
+                    `Total Resistance (R) = ${R.toFixed(1)} Ω`
+                ],
+                question: 'Calculate: (a) Rate of current growth when switch is closed, (b) Final current value, (c) Energy stored when current is maximum.',
+                hint: 'At t=0, all voltage appears across the inductor. Final current is when inductor acts as wire.',
+                simulation: {
+                    state: { i: 2, m: 'current' },
+                    caption: 'Change the current and watch the field inside the coil change. An inductor opposes exactly this change in flux.'
+                },
+                solution: {
+                    formula: String.raw`Back EMF: $\varepsilon = -L\frac{dI}{dt}$, Energy: $E = \frac{1}{2}LI^2$`,
+                    steps: [
+                        `(a) At t=0, I=0, so back EMF = -V = -${V}V`,
+                        `    -L(dI/dt) = -${V}, so dI/dt = ${V}/${L.toFixed(1)} = ${fmt(rate)} A/s`,
+                        `(b) Final current: I = V/R = ${V}/${R} = ${fmt(current)} A`,
+                        `(c) Energy: E = ½ × ${L.toFixed(1)} × (${fmt(current)})² = ${fmt(energy)} J`
+                    ],
+                    answer: `(a) ${fmt(rate)} A/s, (b) ${fmt(current)} A, (c) ${fmt(energy)} J`,
+                    explanation: 'The inductor opposes change in current. Initially all voltage appears across it, but finally it acts as a wire.'
+                },
+                answers: [
+                    { label: '(a) Rate of current growth', value: rate, unit: 'A/s', sigFigs: 3 },
+                    { label: '(b) Final current', value: current, unit: 'A', sigFigs: 3 },
+                    { label: '(c) Energy stored', value: energy, unit: 'J', sigFigs: 3 }
+                ]
+            };
+        }
+    },
+    {
+        id: 'coil-near-bar-magnet',
+        title: 'Coil Near Bar Magnet',
+        difficulty: 'Medium',
+        topics: ['magnetic-flux', 'faraday-law'],
+        module: 'induction',
+        params: {
+            areaCm2: { min: 0.2, max: 1.0, step: 0.1 },
+            N: { min: 50, max: 300, step: 25 },
+            nearMt: { min: 30, max: 80, step: 5 },
+            farMt: { min: 2, max: 15, step: 1 },
+            dt: { min: 0.1, max: 0.6, step: 0.05 }
+        },
+        build: ({ areaCm2, N, nearMt, farMt, dt }) => {
+            const area = areaCm2 * 1e-4;
+            const initial = N * nearMt * 1e-3 * area;
+            const final = N * farMt * 1e-3 * area;
+            const change = initial - final;
+            const emf = change / dt;
+
+            return {
+                scenario: 'A small coil is positioned along the axis of a large bar magnet. A graph shows B vs distance.',
+                data: [
+                    `Coil Area (A) = ${areaCm2.toFixed(2)} cm² = ${areaCm2.toFixed(2)} × 10⁻⁴ m²`,
+                    `Turns (N) = ${N}`,
+                    `At x = 5.0 cm: B = ${nearMt} mT`,
+                    `At x = 15.0 cm: B = ${farMt} mT`,
+                    `Time to move from 5cm to 15cm: Δt = ${dt.toFixed(2)} s`
+                ],
+                question: 'Calculate the average induced EMF when the coil moves from 5cm to 15cm.',
+                hint: 'Find the change in flux linkage, then divide by time. Flux linkage = NBA.',
+                simulation: {
+                    state: { n: Math.min(30, Math.max(5, Math.round(N / 10))), y: 2.5 },
+                    caption: `Bring the magnet towards the coil: the field at the coil rises, like ${farMt} mT → ${nearMt} mT in the question.`
+                },
+                solution: {
+                    formula: String.raw`$\varepsilon = \frac{\Delta\Phi}{\Delta t}$, where $\Phi = NBA$`,
+                    steps: [
+                        `Initial flux linkage: Φ₁ = ${N} × ${nearMt}×10⁻³ × ${areaCm2.toFixed(2)}×10⁻⁴ = ${fmt(initial)} Wb`,
+                        `Final flux linkage: Φ₂ = ${N} × ${farMt}×10⁻³ × ${areaCm2.toFixed(2)}×10⁻⁴ = ${fmt(final)} Wb`,
+                        `Change: ΔΦ = |Φ₂ - Φ₁| = ${fmt(change)} Wb`,
+                        `EMF: ε = ${fmt(change)} / ${dt.toFixed(2)} = ${fmt(emf)} V`
+                    ],
+                    answer: `${fmt(emf)} V (${fmt(emf * 1000)} mV)`,
+                    explanation: "Faraday's Law: The magnitude of induced EMF equals the rate of change of magnetic flux linkage."
+                },
+                answers: [
+                    { label: 'Average induced EMF', value: emf, unit: 'V', sigFigs: 3 }
+                ]
+            };
+        }
+    },
+    {
+        id: 'lenz-law-application',
+        title: "Lenz's Law Application",
+        difficulty: 'Easy',
+        topics: ['lenz-law'],
+        module: 'lenz',
+        params: {
+            pole: { choices: ['North', 'South'] },
+            approaching: { choices: [true, false] }
+        },
+        build: ({ pole, approaching }) => {
+            const otherPole = pole === 'North' ? 'South' : 'North';
+            // Approaching poles are repelled (like pole), retreating ones attracted (unlike pole)
+            const facingPole = approaching ? pole : otherPole;
+            // Seen from the magnet, current anticlockwise makes a North face
+            const direction = facingPole === 'North' ? 'ANTICLOCKWISE' : 'CLOCKWISE';
+            const motion = approaching ? 'pushed towards' : 'pulled away from';
+            const fluxChange = approaching ? 'increases' : 'decreases';
+            const effect = approaching ? 'repel the approaching' : 'attract the retreating';
+
+            return {
+                scenario: `A bar magnet (${pole} pole facing solenoid) is ${approaching ? 'moved towards' : 'moved away from'} a solenoid connected to a galvanometer.`,
+                data: [
+                    `The magnet is ${motion} the solenoid`,
+                    `${pole} pole faces the solenoid`
+                ],
+                question: 'Describe and explain the galvanometer observation. Which way does current flow?',
+                hint: 'Lenz\'s Law: The induced current opposes the change. Decide whether the flux is increasing or decreasing, then which pole the solenoid end must become.',
+                simulation: {
+                    state: { k: 0.85 },
+                    caption: 'Drop the magnet down the conducting tube. The induced currents oppose its motion, so it falls slowly.'
+                },
+                solution: {
+                    formula: "Lenz's Law: Induced current opposes the change in flux",
+                    steps: [
+                        `1. When the magnet is ${motion} the solenoid, the magnetic flux through it ${fluxChange}`,
+                        "2. By Faraday's Law, changing flux induces an EMF and current",
+                        "3. By Lenz's Law, the induced current opposes the change",
+                        `4. To ${effect} ${pole} pole, the solenoid end becomes a ${facingPole} pole`,
+                        `5. Looking from magnet's side: current flows ${direction}`
+                    ],
+                    answer: `Galvanometer deflects. Current flows ${direction.toLowerCase()} (seen from the magnet) to create a ${facingPole} pole facing the ${approaching ? 'approaching' : 'retreating'} magnet.`,
+                    explanation: "Lenz's Law ensures energy conservation - work must be done to move the magnet."
+                }
+            };
+        }
+    },
+    {
+        id: 'lenz-method',
+        title: "Applying Lenz's Law",
+        difficulty: 'Easy',
+        topics: ['lenz-law'],
+        module: 'lenz',
+        params: {},
+        build: () => ({
+            type: 'order',
+            scenario: 'You are asked for the direction of the current induced in a coil when a magnet moves near it.',
+            data: [
+                'A magnet moves relative to a closed coil'
+            ],
+            question: 'Put these steps in the order you would use them.',
+            hint: 'Start from what changes, and finish with what you can observe.',
+            items: [
+                'Decide whether the flux through the coil is increasing or decreasing',
+                'Decide which way the induced field must point to oppose that change',
+                'Use the right-hand grip rule to find the current that makes this field',
+                'Check: the coil now pushes against the motion of the magnet'
+            ],
+            simulation: {
+                state: { k: 0.85 },
+                caption: 'Drop the magnet down the conducting tube and follow the same steps for the induced currents.'
+            },
+            solution: {
+                formula: "Lenz's Law: Induced current opposes the change in flux",
+                steps: [
+                    '1. What changes? The flux through the coil',
+                    '2. Lenz: the induced field opposes the change',
+                    '3. Right-hand grip rule: field direction → current direction',
+                    '4. Energy check: the coil resists the motion, so work is needed'
+                ],
+                answer: 'Flux change → opposing field → grip rule for the current → check the opposing force.',
+                explanation: 'Working from the flux change avoids guessing the current direction.'
+            }
+        })
+    },
+    {
+        id: 'lenz-direction-3d',
+        title: "Lenz's Law in 3D",
+        difficulty: 'Medium',
+        topics: ['lenz-law'],
+        module: 'induction',
+        params: {
+            pole: { choices: ['North', 'South'] },
+            approaching: { choices: [true, false] }
+        },
+        build: ({ pole, approaching }) => {
+            const otherPole = pole === 'North' ? 'South' : 'North';
+            const facingPole = approaching ? pole : otherPole;
+            const direction = facingPole === 'North' ? 'anticlockwise' : 'clockwise';
+
+            return {
+                type: 'scene',
+                scenario: `The ${pole} pole of a bar magnet is ${approaching ? 'pushed towards' : 'pulled away from'} a closed coil.`,
+                data: [
+                    `${pole} pole faces the coil`,
+                    `The magnet moves ${approaching ? 'towards' : 'away from'} the coil (yellow arrow)`
+                ],
+                question: 'In the 3D view, click the arrow that shows the induced current in the coil, as seen from the magnet.',
+                hint: 'First decide which pole the coil face must become to oppose the motion. Seen from outside, anticlockwise current makes a North face.',
+                scene: { kind: 'coil-current', pole, approaching, correct: direction },
+                simulation: {
+                    state: { n: 20, y: 2.5 },
+                    caption: 'Move the magnet in and out of the coil and watch which way the galvanometer swings.'
+                },
+                solution: {
+                    formula: "Lenz's Law: Induced current opposes the change in flux",
+                    steps: [
+                        `1. The flux through the coil ${approaching ? 'increases' : 'decreases'}`,
+                        `2. To ${approaching ? 'repel' : 'attract'} the ${pole} pole, the coil face becomes a ${facingPole} pole`,
+                        `3. Seen from the magnet, a ${facingPole} face needs ${direction} current`
+                    ],
+                    answer: `${direction.charAt(0).toUpperCase()}${direction.slice(1)} (seen from the magnet)`,
+                    explanation: 'Anticlockwise current seen from outside makes a North face; clockwise makes a South face.'
+                }
+            };
+        }
+    },
+    {
+        id: 'solenoid-pole-3d',
+        title: 'Right-Hand Grip Rule',
+        difficulty: 'Easy',
+        topics: ['solenoid'],
+        module: 'solenoid',
+        params: {
+            currentFront: { choices: ['up', 'down'] }
+        },
+        build: ({ currentFront }) => {
+            const northEnd = currentFront === 'up' ? 'left-end' : 'right-end';
+            const side = northEnd === 'left-end' ? 'left' : 'right';
+
+            return {
+                type: 'scene',
+                scenario: 'A current flows through a solenoid. The orange arrows show the conventional current on the front of the windings.',
+                data: [
+                    `Current on the front windings flows ${currentFront}wards`
+                ],
+                question: 'In the 3D view, click the end of the solenoid that becomes a North pole.',
+                hint: 'Curl the fingers of your right hand the way the current flows round the coil. Your thumb points to the North end.',
+                scene: { kind: 'solenoid-pole', currentFront, correct: northEnd },
+                simulation: {
+                    state: { i: 1.5, m: 'current' },
+                    caption: 'Follow the current arrows round the coil and check where the field lines leave it.'
+                },
+                solution: {
+                    formula: 'Right-hand grip rule: fingers follow the current, thumb points North',
+                    steps: [
+                        `1. On the front of the coil the current flows ${currentFront}wards`,
+                        `2. Curl your right hand's fingers that way round the coil`,
+                        `3. Your thumb points to the ${side} end`
+                    ],
+                    answer: `The ${side} end is the North pole`,
+                    explanation: 'Field lines run through the inside of the solenoid from its South end to its North end, then leave from North.'
+                }
+            };
+        }
+    },
+    {
+        id: 'pacemaker-induction',
+        title: 'Pacemaker Induction',
+        difficulty: 'Hard',
+        topics: ['solenoid', 'faraday-law'],
+        module: 'solenoid',
+        params: {
+            smallTurns: { min: 100, max: 200, step: 10 },
+            smallAreaCm2: { min: 0.5, max: 2, step: 0.5 },
+            largeTurns: { min: 300, max: 800, step: 50 },
+            radiusCm: { min: 5, max: 15, step: 1 },
+            coilResistance: { min: 5, max: 20, step: 5 },
+            batteryEmf: { min: 30, max: 90, step: 10 },
+            internalResistance: { min: 5, max: 15, step: 5 }
+        },
+        build: ({ smallTurns, smallAreaCm2, largeTurns, radiusCm, coilResistance, batteryEmf, internalResistance }) => {
+            const dt = 1e-4;
+            const radius = radiusCm / 100;
+            const area = smallAreaCm2 * 1e-4;
+            const current = batteryEmf / (coilResistance + internalResistance);
+            const field = MU_0 * largeTurns * current / (2 * radius);
+            const linkage = smallTurns * field * area;
+            const emf = linkage / dt;
+
+            return {
+                scenario: 'A pacemaker setup with a small coil (inside chest) and large coil (outside chest).',
+                data: [
+                    `Small Coil: N=${smallTurns}, Area=${smallAreaCm2.toFixed(1)} cm² (${fmt(area)} m²)`,
+                    `Large Coil: N=${largeTurns}, Radius=${radiusCm} cm (${fmt(radius)} m), R=${coilResistance} Ω`,
+                    `Battery: EMF=${batteryEmf} V, Internal Resistance r=${internalResistance} Ω`,
+                    'Time for current to drop to zero = 10⁻⁴ s'
+                ],
+                question: 'Estimate the instantaneous PD across the small coil when the external circuit is opened.',
+                hint: 'Calculate the B-field at center of large coil, then find flux linkage in small coil. Use rapid change in time.',
+                simulation: {
+                    state: { i: 1.5 },
+                    caption: 'The large coil acts like this solenoid. Its field links the small coil, so changing its current induces an EMF there.'
+                },
+                solution: {
+                    formula: String.raw`$B = \frac{\mu_0 N I}{2r}$, $\Phi = NBA$, $\varepsilon = \frac{\Delta\Phi}{\Delta t}$`,
+                    steps: [
+                        `Step 1: Current in large coil: I = ${batteryEmf}/(${coilResistance}+${internalResistance}) = ${fmt(current)} A`,
+                        `Step 2: B-field at center: B = (4π×10⁻⁷)(${largeTurns})(${fmt(current)})/(2×${fmt(radius)}) = ${fmt(field)} T`,
+                        `Step 3: Flux linkage in small coil: Φ = ${smallTurns} × ${fmt(field)} × ${fmt(area)} = ${fmt(linkage)} Wb`,
+                        `Step 4: Induced EMF: ε = ${fmt(linkage)} / 10⁻⁴ = ${fmt(emf)} V`
+                    ],
+                    answer: `${fmt(emf)} V`,
+                    explanation: 'The very rapid change when switching OFF (short Δt) produces a much larger EMF than switching ON.'
+                },
+                answers: [
+                    { label: 'PD across the small coil', value: emf, unit: 'V', sigFigs: 3 }
+                ]
+            };
+        }
+    },
+    {
+        id: 'transformer-type',
+        title: 'Step-Up or Step-Down?',
+        difficulty: 'Easy',
+        topics: ['transformer'],
+        module: 'transformer',
+        params: {
+            Np: { choices: [200, 400, 500, 1000] },
+            stepUp: { choices: [true, false] },
+            factor: { choices: [2, 4, 5, 10] }
+        },
+        build: ({ Np, stepUp, factor }) => {
+            const Ns = stepUp ? Np * factor : Np / factor;
+
+            return {
+                type: 'choice',
+                scenario: `An ideal transformer has ${Np} turns on its primary coil and ${Ns} turns on its secondary coil.`,
+                data: [
+                    `Primary turns (Np) = ${Np}`,
+                    `Secondary turns (Ns) = ${Ns}`
+                ],
+                question: 'Which statement describes this transformer?',
+                hint: 'Compare the turns ratio with the voltage ratio, then remember that an ideal transformer keeps the power the same.',
+                choices: [
+                    'Step-up: the secondary voltage is higher and the secondary current is lower',
+                    'Step-up: the secondary voltage and current are both higher',
+                    'Step-down: the secondary voltage is lower and the secondary current is higher',
+                    'Step-down: the secondary voltage and current are both lower'
+                ],
+                correct: stepUp ? 0 : 2,
+                explanations: [
+                    'Check the turns ratio: are there more turns on the primary or the secondary?',
+                    'If voltage and current both went up, more power would come out than goes in.',
+                    'Check the turns ratio: are there more turns on the primary or the secondary?',
+                    'If voltage and current both went down, power would be lost, but an ideal transformer keeps VI the same.'
+                ],
+                simulation: {
+                    state: { np: stepUp ? 10 : 30, ns: stepUp ? 30 : 10 },
+                    caption: `A ${stepUp ? 'step-up' : 'step-down'} transformer: compare the primary and secondary voltages.`
+                },
+                solution: {
+                    formula: String.raw`$\frac{V_s}{V_p} = \frac{N_s}{N_p}$, $V_p I_p = V_s I_s$`,
+                    steps: [
+                        `Turns ratio Ns/Np = ${Ns}/${Np} = ${fmt(Ns / Np)}`,
+                        `So Vs = ${fmt(Ns / Np)} × Vp: the voltage is stepped ${stepUp ? 'up' : 'down'}`,
+                        `Power is the same on both sides, so the current is stepped ${stepUp ? 'down' : 'up'} by the same factor`
+                    ],
+                    answer: stepUp ?
+                        'Step-up: the secondary voltage is higher and the secondary current is lower' :
+                        'Step-down: the secondary voltage is lower and the secondary current is higher',
+                    explanation: 'Voltage goes up by the turns ratio; current goes down by the same ratio, so power in equals power out.'
+                }
+            };
+        }
+    }
+];
+
+let variantCount = 0;
+
+/**
+ * Draw one value for a parameter
+ */
+function drawParameter(spec, random) {
+    if (spec.choices) {
+        return spec.choices[Math.floor(random() * spec.choices.length)];
+    }
+    const steps = Math.round((spec.max - spec.min) / spec.step);
+    const value = spec.min + spec.step * Math.floor(random() * (steps + 1));
+    // Trim floating-point noise from the step arithmetic (0.1 * 3 = 0.30000000000000004)
+    return Number(value.toFixed(6));
+}
+
+/**
+ * Build a fresh question from a template. `random` returns numbers in [0, 1).
+ */
+export function generateQuestion(template, random = Math.random) {
+    const params = Object.fromEntries(
+        Object.entries(template.params).map(([name, spec]) => [name, drawParameter(spec, random)])
+    );
+
+    return {
+        id: `${template.id}-${++variantCount}`,
+        templateId: template.id,
+        title: template.title,
+        difficulty: template.difficulty,
+        topics: template.topics,
+        module: template.module,
+        params,
+        ...template.build(params)
+    };
+}
+
+/**
+ * One fresh question per template, in syllabus order
+ */
+export function generateQuestionSet(templates = QUESTION_TEMPLATES, random = Math.random) {
+    return templates.map(template => generateQuestion(template, random));
+}
+
+export function getQuestionTemplate(id) {
+    return QUESTION_TEMPLATES.find(template => template.id === id) || null;
+}
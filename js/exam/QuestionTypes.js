@@ -0,0 +1,165 @@
+/**
+ * QuestionTypes - Answer formats for Exam Practice questions and how to mark them
+ *
+ * A question's `type` decides what the student gives and what `response` holds:
+ *   numeric  answers: [{ label, value, unit, sigFigs }]       response: ['131 V', ...]
+ *   choice   choices: ['...'], correct: 1                     response: 1
+ *   multi    choices: ['...'], correct: [0, 2]                response: [0, 2]
+ *   order    items: ['first', 'second', ...] (correct order)  response: [2, 0, 1, ...]
+ *   scene    scene: { kind, correct: 'clockwise', ... }       response: 'clockwise'
+ * A numeric question without `answers` is marked by the student against the solution.
+ */
+import { formatNumber, gradeNumericAnswer } from './AnswerGrader.js';
+
+export const QUESTION_TYPES = ['numeric', 'choice', 'multi', 'order', 'scene'];
+
+// What can be clicked in each kind of 3D scene (built by PickScenes.js)
+export const SCENE_TARGETS = {
+    'coil-current': [
+        { id: 'clockwise', label: 'Clockwise' },
+        { id: 'anticlockwise', label: 'Anticlockwise' }
+    ],
+    'solenoid-pole': [
+        { id: 'left-end', label: 'Left end' },
+        { id: 'right-end', label: 'Right end' }
+    ]
+};
+
+export function questionType(question) {
+    return question.type || 'numeric';
+}
+
+/**
+ * Whether the app can mark the question itself
+ */
+export function isAutoMarked(question) {
+    return questionType(question) !== 'numeric' || Array.isArray(question.answers);
+}
+
+function sceneTargetLabel(question, id) {
+    return SCENE_TARGETS[question.scene.kind]?.find(target => target.id === id)?.label || id;
+}
+
+/**
+ * Whether the student has given an answer to mark yet
+ */
+export function hasResponse(question, response) {
+    switch (questionType(question)) {
+        case 'numeric':
+            return Array.isArray(response) && question.answers.every((answer, index) => response[index]?.trim());
+        case 'choice':
+            return typeof response === 'number';
+        case 'multi':
+            return Array.isArray(response) && response.length > 0;
+        case 'order':
+            return Array.isArray(response);
+        case 'scene':
+            return typeof response === 'string';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Mark a response. Returns { status: 'correct' | 'incorrect' | 'invalid', message },
+ * plus `grades` with one result per part for numeric questions.
+ */
+export function gradeResponse(question, response) {
+    switch (questionType(question)) {
+        case 'numeric': {
+            const grades = question.answers.map((answer, index) => response?.[index]?.trim() ?
+                gradeNumericAnswer(response[index], answer) :
+                { status: 'invalid', message: 'Enter a value with its unit.' });
+
+            if (grades.some(grade => grade.status === 'invalid')) {
+                return { status: 'invalid', message: 'Answer every part with a number and a unit.', grades };
+            }
+            const correct = grades.every(grade => grade.status === 'correct');
+            return { status: correct ? 'correct' : 'incorrect', message: correct ? 'Correct!' : 'Not quite.', grades };
+        }
+
+        case 'choice': {
+            if (typeof response !== 'number') return { status: 'invalid', message: 'Choose an answer first.' };
+            if (response === question.correct) return { status: 'correct', message: 'Correct!' };
+            return {
+                status: 'incorrect',
+                message: question.explanations?.[response] || 'Not that one. Re-read the question and think about which law applies.'
+            };
+        }
+
+        case 'multi': {
+            if (!Array.isArray(response) || response.length === 0) {
+                return { status: 'invalid', message: 'Select at least one option.' };
+            }
+            const expected = new Set(question.correct);
+            const found = response.filter(index => expected.has(index)).length;
+            const wrong = response.length - found;
+            if (wrong === 0 && found === expected.size) {
+                return { status: 'correct', message: 'Correct: you found all of them.' };
+            }
+            const wrongNote = wrong > 0 ? `, plus ${wrong} that ${wrong === 1 ? 'doesn\'t' : 'don\'t'} belong` : '';
+            return { status: 'incorrect', message: `You chose ${found} of the ${expected.size} right options${wrongNote}.` };
+        }
+
+        case 'order': {
+            if (!Array.isArray(response)) return { status: 'invalid', message: 'Put the steps in order first.' };
+            const placed = response.filter((item, position) => item === position).length;
+            if (placed === question.items.length) return { status: 'correct', message: 'Correct order!' };
+            return { status: 'incorrect', message: `${placed} of ${question.items.length} are in the right place.` };
+        }
+
+        case 'scene': {
+            if (typeof response !== 'string') return { status: 'invalid', message: 'Click your answer in the 3D view.' };
+            const label = sceneTargetLabel(question, response);
+            if (response === question.scene.correct) return { status: 'correct', message: `Correct: ${label.toLowerCase()}.` };
+            return { status: 'incorrect', message: `Not ${label.toLowerCase()}. Work through the rule step by step.` };
+        }
+
+        default:
+            return { status: 'invalid', message: `Unknown question type "${question.type}".` };
+    }
+}
+
+/**
+ * A response as plain text, for reports
+ */
+export function describeResponse(question, response) {
+    if (response === undefined || response === null) return '';
+
+    switch (questionType(question)) {
+        case 'numeric':
+            return response.join(' | ');
+        case 'choice':
+            return question.choices[response] ?? '';
+        case 'multi':
+            return response.map(index => question.choices[index]).join('; ');
+        case 'order':
+            return response.map(index => question.items[index]).join(' → ');
+        case 'scene':
+            return sceneTargetLabel(question, response);
+        default:
+            return String(response);
+    }
+}
+
+/**
+ * The expected answer as plain text, for reports
+ */
+export function describeExpected(question) {
+    switch (questionType(question)) {
+        case 'numeric':
+            return question.answers ?
+                question.answers.map(answer => `${formatNumber(answer.value, answer.sigFigs)} ${answer.unit}`).join(' | ') :
+                question.solution.answer;
+        case 'choice':
+            return question.choices[question.correct];
+        case 'multi':
+            return question.correct.map(index => question.choices[index]).join('; ');
+        case 'order':
+            return question.items.join(' → ');
+        case 'scene':
+            return sceneTargetLabel(question, question.scene.correct);
+        default:
+            return question.solution.answer;
+    }
+}
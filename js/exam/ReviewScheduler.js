@@ -0,0 +1,137 @@
+/**
+ * ReviewScheduler - Leitner-style spaced repetition for Exam Practice questions
+ *
+ * Every question the student answers sits in one of five boxes. A clean correct
+ * answer moves it up a box, so it comes back after a longer gap; an answer that
+ * needed a hint or EM-Vee keeps it in its box; a wrong answer sends it back to
+ * box 1 and makes it due straight away. Template questions are tracked by
+ * template, so a review brings the same question back with fresh numbers.
+ */
+
+const STORAGE_KEY = 'emlab-review-schedule';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days until a question in each box is due again
+const BOX_INTERVAL_DAYS = { 1: 1, 2: 2, 3: 4, 4: 8, 5: 16 };
+const TOP_BOX = 5;
+
+// Boxes at or below this are still shaky, and come before other questions
+const WEAK_BOX = 2;
+
+export const REVIEW_OUTCOMES = ['correct', 'hinted', 'wrong'];
+
+/**
+ * The id a question is scheduled under: its template, or its own id
+ */
+export function reviewKey(question) {
+    return question.templateId || question.id;
+}
+
+export class ReviewScheduler {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.items = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+            if (saved && typeof saved.items === 'object') {
+                return saved.items;
+            }
+        } catch (error) {
+            console.warn('Could not read review schedule:', error);
+        }
+        return {};
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ items: this.items }));
+        } catch (error) {
+            console.warn('Could not save review schedule:', error);
+        }
+    }
+
+    /**
+     * Record how a question went and schedule its next review
+     */
+    recordOutcome(question, outcome, now = Date.now()) {
+        if (!REVIEW_OUTCOMES.includes(outcome)) {
+            throw new Error(`Unknown review outcome "${outcome}"`);
+        }
+
+        const key = reviewKey(question);
+        const item = this.items[key] || { box: 1, due: now, attempts: 0, correct: 0, hinted: 0, wrong: 0 };
+
+        item.attempts++;
+        item[outcome]++;
+        item.lastOutcome = outcome;
+        item.lastReviewed = now;
+
+        if (outcome === 'wrong') {
+            item.box = 1;
+            item.due = now;
+        } else {
+            if (outcome === 'correct') item.box = Math.min(item.box + 1, TOP_BOX);
+            item.due = now + BOX_INTERVAL_DAYS[item.box] * DAY_MS;
+        }
+
+        this.items[key] = item;
+        this.save();
+        return item;
+    }
+
+    getItem(question) {
+        return this.items[reviewKey(question)] || null;
+    }
+
+    isDue(question, now = Date.now()) {
+        const item = this.getItem(question);
+        return item !== null && item.due <= now;
+    }
+
+    /**
+     * Questions due for review, most urgent first
+     */
+    getDue(questions, now = Date.now()) {
+        return this.order(questions.filter(q => this.isDue(q, now)), { now });
+    }
+
+    /**
+     * Order questions for a practice session: due questions (lowest box, most
+     * overdue first), then weak ones not yet due, then unseen questions (those on
+     * `weakTopics` first), then the rest by due date. Ties keep their given order.
+     */
+    order(questions, { now = Date.now(), weakTopics = [] } = {}) {
+        const rank = q => {
+            const item = this.getItem(q);
+            if (!item) {
+                const onWeakTopic = q.topics.some(topic => weakTopics.includes(topic));
+                return [2, onWeakTopic ? 0 : 1, 0];
+            }
+            if (item.due <= now) return [0, item.box, item.due];
+            if (item.box <= WEAK_BOX) return [1, item.box, item.due];
+            return [3, item.due, 0];
+        };
+
+        return questions
+            .map((question, index) => ({ question, index, rank: rank(question) }))
+            .sort((a, b) => {
+                for (let i = 0; i < a.rank.length; i++) {
+                    if (a.rank[i] !== b.rank[i]) return a.rank[i] - b.rank[i];
+                }
+                return a.index - b.index;
+            })
+            .map(entry => entry.question);
+    }
+
+    /**
+     * Forget the schedule
+     */
+    reset() {
+        this.items = {};
+        this.save();
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * FieldJobs - Field-line, arrow-grid and slice jobs for the field worker
+ *
+ * Sources cross to the worker packed into a Float64Array whose buffer is
+ * transferred, and results come back as transferred Float32Arrays. The same
+ * runner works on the main thread when workers are unavailable.
+ */
+import { arrowGrid, fieldLineSeeds, sliceMagnitudes, traceFieldLine } from './FieldSolver.js';
+
+const SOURCE_TYPES = ['barMagnet', 'solenoid'];
+
+// Numbers per packed source:
+// type, visible, position (3), quaternion (4), length, width, height, radius, turns, current, br
+export const SOURCE_STRIDE = 16;
+
+/**
+ * Pack source descriptions (see FieldSolver.js) for transfer
+ */
+export function packSources(sources) {
+    const packed = new Float64Array(sources.length * SOURCE_STRIDE);
+    sources.forEach((source, index) => {
+        packed.set([
+            SOURCE_TYPES.indexOf(source.type),
+            source.visible ? 1 : 0,
+            ...source.position,
+            ...source.quaternion,
+            source.length || 0,
+            source.width || 0,
+            source.height || 0,
+            source.radius || 0,
+            source.turns || 0,
+            source.current || 0,
+            source.br || 0
+        ], index * SOURCE_STRIDE);
+    });
+    return packed;
+}
+
+export function unpackSources(packed) {
+    const sources = [];
+    for (let offset = 0; offset < packed.length; offset += SOURCE_STRIDE) {
+        const [type, visible, px, py, pz, qx, qy, qz, qw, length, width, height, radius, turns, current, br] =
+            packed.subarray(offset, offset + SOURCE_STRIDE);
+        sources.push({
+            type: SOURCE_TYPES[type] || null,
+            visible: visible === 1,
+            position: [px, py, pz],
+            quaternion: [qx, qy, qz, qw],
+            length,
+            width,
+            height,
+            radius,
+            turns,
+            current,
+            br
+        });
+    }
+    return sources;
+}
+
+// Let queued messages (newer jobs, cancellations) arrive before the next line
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Run one job: { jobId, kind: 'lines' | 'arrows' | 'slice', sources (packed), options,
+ * startIndex }. post(message, transfer) sends results:
+ *   lines:  { type: 'start', count }, then { type: 'line', index, points, closed } per
+ *           line, then { type: 'done', count }
+ *   arrows: { type: 'arrows', positions, directions }
+ *   slice:  { type: 'slice', resolution, magnitudes }
+ * Lines are traced one at a time from `startIndex`, wrapping round, so a job that is
+ * cancelled early still refreshes different lines from the one before it. The job
+ * stops with { type: 'cancelled' } once isCancelled() returns true. A slice waits a
+ * turn before starting, so a drag that queues several only computes the newest.
+ */
+export async function runFieldJob(job, post, isCancelled) {
+    const { jobId, kind, options = {} } = job;
+    const sources = unpackSources(job.sources);
+
+    if (kind === 'arrows') {
+        const grid = arrowGrid(sources, options);
+        const positions = Float32Array.from(grid.positions);
+        const directions = Float32Array.from(grid.directions);
+        post({ type: 'arrows', jobId, positions, directions }, [positions.buffer, directions.buffer]);
+        return;
+    }
+
+    if (kind === 'slice') {
+        await yieldToMessages();
+        if (isCancelled()) {
+            post({ type: 'cancelled', jobId });
+            return;
+        }
+
+        const magnitudes = Float32Array.from(sliceMagnitudes(sources, options));
+        post({ type: 'slice', jobId, resolution: Math.sqrt(magnitudes.length), magnitudes }, [magnitudes.buffer]);
+        return;
+    }
+
+    const { numLines = 12, planar = false, ...traceOptions } = options;
+    const seeds = fieldLineSeeds(sources, numLines, { planar });
+    post({ type: 'start', jobId, count: seeds.length });
+
+    for (let n = 0; n < seeds.length; n++) {
+        await yieldToMessages();
+        if (isCancelled()) {
+            post({ type: 'cancelled', jobId });
+            return;
+        }
+
+        const index = ((job.startIndex || 0) + n) % seeds.length;
+        const { start, origin } = seeds[index];
+        const { points, closed } = traceFieldLine(start, sources, { ...traceOptions, origin });
+        const flat = Float32Array.from(points.flat());
+        post({ type: 'line', jobId, index, points: flat, closed }, [flat.buffer]);
+    }
+
+    post({ type: 'done', jobId, count: seeds.length });
+}
@@ -0,0 +1,571 @@
+/**
+ * FieldSolver - Magnetic field and field-line maths on plain source descriptions
+ *
+ * Used by the field worker and by the main thread, so it has no DOM or three.js
+ * dependencies. Points and vectors are [x, y, z] arrays (metres, tesla) and a
+ * source is described in world space as
+ *   { type: 'barMagnet', position, quaternion, visible, length, width, height, br }
+ *   { type: 'solenoid', position, quaternion, visible, length, radius, turns, current }
+ * where quaternion is [x, y, z, w], br is the magnet's remanence in tesla times its
+ * strength, and current is in amperes, signed by its direction.
+ */
+
+// Vacuum permeability (T·m/A). Scene units are treated as metres.
+export const MU_0 = 4 * Math.PI * 1e-7;
+
+// Fields weaker than this (tesla) are treated as zero when tracing or drawing
+export const MIN_FIELD = 1e-15;
+
+// Squared-distance softening (m²) so the field stays finite on the winding itself
+const WIRE_SOFTENING = 1e-4;
+
+// Above this many turns, neighbouring turns are lumped into one loop carrying their combined current
+const MAX_SOLENOID_LOOPS = 64;
+
+// Solenoids carrying less than this (A) get no field lines of their own
+const MIN_LINE_CURRENT = 0.1;
+
+// Field-line seeds sit this far (m) outside the pole face they leave from
+const SEED_OFFSET = 0.02;
+
+// Each pole face is split into this many cells per side to measure its flux for seeding
+const SEED_GRID = 8;
+
+// Cells along a pole face's midline when seeding lines in the source's own plane
+const MIDLINE_CELLS = 32;
+
+// 1/φ: successive multiples spread seeds evenly across the second face coordinate
+const GOLDEN_RATIO_CONJUGATE = (Math.sqrt(5) - 1) / 2;
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const addScaled = (a, b, s) => [a[0] + b[0] * s, a[1] + b[1] * s, a[2] + b[2] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const length = a => Math.sqrt(dot(a, a));
+const distance = (a, b) => length(sub(a, b));
+const lerp = (a, b, t) => addScaled(a, sub(b, a), t);
+
+/**
+ * Rotate a vector by a unit quaternion [x, y, z, w]
+ */
+function rotate(v, q) {
+    const [x, y, z] = v;
+    const [qx, qy, qz, qw] = q;
+    const tx = 2 * (qy * z - qz * y);
+    const ty = 2 * (qz * x - qx * z);
+    const tz = 2 * (qx * y - qy * x);
+    return [
+        x + qw * tx + qy * tz - qz * ty,
+        y + qw * ty + qz * tx - qx * tz,
+        z + qw * tz + qx * ty - qy * tx
+    ];
+}
+
+function rotateInverse(v, q) {
+    return rotate(v, [-q[0], -q[1], -q[2], q[3]]);
+}
+
+function toLocal(point, source) {
+    return rotateInverse(sub(point, source.position), source.quaternion);
+}
+
+/**
+ * ln(a + r) where r = sqrt(a² + rest), rewritten for negative a to avoid cancellation
+ */
+function logSum(a, r, rest) {
+    if (a >= 0) return Math.log(a + r);
+    return Math.log(Math.max(rest, 1e-24)) - Math.log(r - a);
+}
+
+/**
+ * Complete elliptic integrals K(m) and E(m) via the arithmetic-geometric mean
+ */
+function ellipticKE(m) {
+    let a = 1;
+    let b = Math.sqrt(1 - m);
+    let pow = 0.5;
+    let sum = m * pow;
+
+    for (let i = 0; i < 20 && Math.abs(a - b) > 1e-12 * a; i++) {
+        const c = (a - b) / 2;
+        const aNext = (a + b) / 2;
+        b = Math.sqrt(a * b);
+        a = aNext;
+        pow *= 2;
+        sum += pow * c * c;
+    }
+
+    const K = Math.PI / (2 * a);
+    return { K, E: K * (1 - sum) };
+}
+
+/**
+ * Position in [0, 1] where the running total of piecewise-constant `weights`
+ * (equal-width cells) reaches `target`
+ */
+function invertCumulative(weights, target) {
+    let sum = 0;
+    for (let i = 0; i < weights.length; i++) {
+        if (weights[i] > 0 && sum + weights[i] >= target) {
+            return (i + (target - sum) / weights[i]) / weights.length;
+        }
+        sum += weights[i];
+    }
+    return 1;
+}
+
+export function isInsideSource(point, source) {
+    const [x, y, z] = toLocal(point, source);
+
+    if (source.type === 'barMagnet') {
+        return Math.abs(x) < source.length / 2 &&
+            Math.abs(y) < source.height / 2 &&
+            Math.abs(z) < source.width / 2;
+    } else if (source.type === 'solenoid') {
+        return Math.abs(x) < source.length / 2 &&
+            Math.sqrt(y * y + z * z) < source.radius;
+    }
+    return false;
+}
+
+/**
+ * Geometric part of the H field from a uniformly charged rectangle in the plane
+ * x = faceX spanning |y| < height/2, |z| < width/2 (unit charge density, times 4π).
+ */
+function poleFaceField(local, faceX, height, width) {
+    let dx = local[0] - faceX;
+    if (Math.abs(dx) < 1e-12) dx = 1e-12;
+
+    const dx2 = dx * dx;
+    const ys = [local[1] + height / 2, local[1] - height / 2];
+    const zs = [local[2] + width / 2, local[2] - width / 2];
+    const h = [0, 0, 0];
+
+    for (let i = 0; i < 2; i++) {
+        for (let j = 0; j < 2; j++) {
+            const sign = (i + j) % 2 === 0 ? 1 : -1;
+            const y = ys[i];
+            const z = zs[j];
+            const r = Math.sqrt(dx2 + y * y + z * z);
+
+            h[0] += sign * Math.atan(y * z / (dx * r));
+            h[1] -= sign * logSum(z, r, dx2 + y * y);
+            h[2] -= sign * logSum(y, r, dx2 + z * z);
+        }
+    }
+
+    return h;
+}
+
+/**
+ * Field of a bar magnet in its own frame, modelled as a uniformly magnetized block.
+ * The magnetization along local +x is replaced by surface pole charges ±M on the
+ * N and S faces, whose field has a closed form. Inside the block the magnetization
+ * itself is added (B = μ₀(H + M)), so the normal component of B is continuous
+ * across the pole faces.
+ */
+function barMagnetField(local, { length, width, height, br }) {
+    if (!br) return [0, 0, 0];
+
+    // Sum the N face (+σ at +x) and the S face (−σ at −x); σ = M = Br/μ₀
+    const north = poleFaceField(local, length / 2, height, width);
+    const south = poleFaceField(local, -length / 2, height, width);
+    const field = sub(north, south).map(component => component * br / (4 * Math.PI));
+
+    if (Math.abs(local[0]) < length / 2 &&
+        Math.abs(local[1]) < height / 2 &&
+        Math.abs(local[2]) < width / 2) {
+        field[0] += br;
+    }
+
+    return field;
+}
+
+/**
+ * Field of a single circular current loop in its own cylindrical coordinates.
+ * z is the axial offset from the loop plane, rho the distance from the axis.
+ * Positive current produces a positive axial field at the centre.
+ */
+function loopField(z, rho, radius, current) {
+    const alpha2 = Math.max((radius - rho) ** 2 + z * z, WIRE_SOFTENING);
+    const beta2 = (radius + rho) ** 2 + z * z;
+    const beta = Math.sqrt(beta2);
+    const r2 = rho * rho + z * z;
+    const m = Math.min(1 - alpha2 / beta2, 1 - 1e-12);
+    const { K, E } = ellipticKE(m);
+
+    const c = MU_0 * current / (2 * Math.PI * alpha2 * beta);
+    const bAxial = c * ((radius * radius - r2) * E + alpha2 * K);
+    const bRadial = rho > 1e-9 ? c * z * ((radius * radius + r2) * E - alpha2 * K) / rho : 0;
+
+    return { bAxial, bRadial };
+}
+
+/**
+ * Field of a solenoid in its own frame, summing the exact off-axis field of each
+ * turn as a circular loop (Biot–Savart via complete elliptic integrals)
+ */
+function solenoidField(local, { current, turns, length, radius }) {
+    // The helix in createSolenoid winds so that positive current circulates about -x
+    // (North pole at -x), matching the right-hand grip rule used by the modules.
+    const effectiveCurrent = -current;
+    if (!effectiveCurrent || turns < 1) return [0, 0, 0];
+
+    const loops = Math.min(Math.round(turns), MAX_SOLENOID_LOOPS);
+    const loopCurrent = effectiveCurrent * turns / loops;
+    const pitch = length / loops;
+
+    const rho = Math.sqrt(local[1] ** 2 + local[2] ** 2);
+    let axial = 0;
+    let radial = 0;
+
+    for (let k = 0; k < loops; k++) {
+        const loopX = -length / 2 + (k + 0.5) * pitch;
+        const { bAxial, bRadial } = loopField(local[0] - loopX, rho, radius, loopCurrent);
+        axial += bAxial;
+        radial += bRadial;
+    }
+
+    return rho > 1e-9 ?
+        [axial, radial * local[1] / rho, radial * local[2] / rho] :
+        [axial, 0, 0];
+}
+
+/**
+ * Field (tesla) of one source at a world point. The models hold inside the
+ * source too: the magnet's includes its magnetization, and the Biot–Savart sum
+ * gives B ≈ μ₀nI inside a solenoid.
+ */
+export function sourceField(point, source) {
+    const local = toLocal(point, source);
+    let field;
+    if (source.type === 'barMagnet') {
+        field = barMagnetField(local, source);
+    } else if (source.type === 'solenoid') {
+        field = solenoidField(local, source);
+    } else {
+        return [0, 0, 0];
+    }
+    return rotate(field, source.quaternion);
+}
+
+/**
+ * Total field (tesla) of all sources at a world point
+ */
+export function fieldAt(point, sources) {
+    let total = [0, 0, 0];
+    for (const source of sources) {
+        total = add(total, sourceField(point, source));
+    }
+    return total;
+}
+
+/**
+ * The North face of a source, where its field lines leave it: `point(u, v)` maps
+ * the unit square onto the face (pushed `offset` outwards) and `areaWeight(u, v)`
+ * is the area each (u, v) stands for. `midlinePoint(w)` maps [0, 1] onto the
+ * face's diameter in the source's own x–z plane. Null for sources with no field.
+ */
+export function getPoleFace(source) {
+    let mapFace;
+    let mapMidline;
+    let areaWeight;
+
+    if (source.type === 'barMagnet') {
+        const { width, height } = source;
+        mapFace = (u, v) => [(u - 0.5) * height, (v - 0.5) * width];
+        mapMidline = w => [0, (w - 0.5) * width];
+        areaWeight = () => 1;
+    } else if (source.type === 'solenoid') {
+        // Stay clear of the winding itself, where the field is softened
+        const faceRadius = source.radius * 0.9;
+        mapFace = (u, v) => [faceRadius * u * Math.cos(2 * Math.PI * v), faceRadius * u * Math.sin(2 * Math.PI * v)];
+        mapMidline = w => [0, faceRadius * (2 * w - 1)];
+        areaWeight = u => u;
+    } else {
+        return null;
+    }
+
+    // North is the end the field inside the source points towards
+    const axial = rotateInverse(sourceField(source.position, source), source.quaternion)[0];
+    if (Math.abs(axial) < MIN_FIELD) return null;
+    const sign = Math.sign(axial);
+    const halfLength = source.length / 2;
+    const toWorld = ([y, z], offset) =>
+        add(rotate([sign * (halfLength + offset), y, z], source.quaternion), source.position);
+
+    return {
+        normal: rotate([sign, 0, 0], source.quaternion),
+        point: (u, v, offset = 0) => toWorld(mapFace(u, v), offset),
+        midlinePoint: (w, offset = 0) => toWorld(mapMidline(w), offset),
+        areaWeight
+    };
+}
+
+/**
+ * `count` seed points just outside a pole face, with density proportional to the
+ * outward flux through it. Evenly spread (u, v) points - stratified in u, golden
+ * ratio steps in v - are warped through the face's flux distribution, measured
+ * on a SEED_GRID × SEED_GRID grid of cells.
+ */
+export function seedPoleFace(face, sources, count) {
+    const flux = [];
+    for (let i = 0; i < SEED_GRID; i++) {
+        const row = [];
+        for (let j = 0; j < SEED_GRID; j++) {
+            const u = (i + 0.5) / SEED_GRID;
+            const v = (j + 0.5) / SEED_GRID;
+            const normalField = dot(fieldAt(face.point(u, v, SEED_OFFSET), sources), face.normal);
+            row.push(Math.max(normalField, 0) * face.areaWeight(u, v));
+        }
+        flux.push(row);
+    }
+
+    const rowFlux = flux.map(row => row.reduce((sum, value) => sum + value, 0));
+    const totalFlux = rowFlux.reduce((sum, value) => sum + value, 0);
+    if (!(totalFlux > 0)) return [];
+
+    const seeds = [];
+    for (let k = 0; k < count; k++) {
+        const u = invertCumulative(rowFlux, ((k + 0.5) / count) * totalFlux);
+        const row = Math.min(Math.floor(u * SEED_GRID), SEED_GRID - 1);
+        const v = invertCumulative(flux[row], ((k * GOLDEN_RATIO_CONJUGATE) % 1) * rowFlux[row]);
+        seeds.push(face.point(u, v, SEED_OFFSET));
+    }
+    return seeds;
+}
+
+/**
+ * `count` seed points just outside a pole face's midline, spaced in proportion to
+ * the outward flux across it, so the lines stay in the source's own x–z plane
+ */
+export function seedPoleMidline(face, sources, count) {
+    const flux = [];
+    for (let i = 0; i < MIDLINE_CELLS; i++) {
+        const normalField = dot(fieldAt(face.midlinePoint((i + 0.5) / MIDLINE_CELLS, SEED_OFFSET), sources), face.normal);
+        flux.push(Math.max(normalField, 0));
+    }
+
+    const totalFlux = flux.reduce((sum, value) => sum + value, 0);
+    if (!(totalFlux > 0)) return [];
+
+    const seeds = [];
+    for (let k = 0; k < count; k++) {
+        const w = invertCumulative(flux, ((k + 0.5) / count) * totalFlux);
+        seeds.push(face.midlinePoint(w, SEED_OFFSET));
+    }
+    return seeds;
+}
+
+/**
+ * Where field lines start: `numLines` seeds on the North face of each visible
+ * source, as { start, origin }. With `planar`, the seeds lie along the face's
+ * midline for the classic flat picture; otherwise they cover the whole face.
+ */
+export function fieldLineSeeds(sources, numLines, { planar = false } = {}) {
+    const seeds = [];
+    for (const source of sources) {
+        if (!source.visible) continue;
+        if (source.type === 'solenoid' && Math.abs(source.current) < MIN_LINE_CURRENT) continue;
+
+        const face = getPoleFace(source);
+        if (!face) continue;
+
+        const starts = planar ? seedPoleMidline(face, sources, numLines) : seedPoleFace(face, sources, numLines);
+        starts.forEach(start => seeds.push({ start, origin: source }));
+    }
+    return seeds;
+}
+
+/**
+ * Unit vector along the field at a point, or null where there is no field
+ */
+function fieldDirection(point, sources) {
+    const field = fieldAt(point, sources);
+    const magnitude = length(field);
+    return magnitude < MIN_FIELD ? null : field.map(component => component / magnitude);
+}
+
+/**
+ * One classical RK4 step of length h along the field direction
+ */
+function rk4Step(point, sources, h) {
+    const k1 = fieldDirection(point, sources);
+    if (!k1) return null;
+    const k2 = fieldDirection(addScaled(point, k1, h / 2), sources);
+    if (!k2) return null;
+    const k3 = fieldDirection(addScaled(point, k2, h / 2), sources);
+    if (!k3) return null;
+    const k4 = fieldDirection(addScaled(point, k3, h), sources);
+    if (!k4) return null;
+
+    return [0, 1, 2].map(i => point[i] + h * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) / 6);
+}
+
+/**
+ * An adaptive RK4 step by step doubling: one step of h is compared with two of
+ * h/2, and h shrinks until they agree within `tolerance` (or reaches minStep).
+ * Returns { point, step, nextStep }, or null where the field vanishes.
+ */
+function adaptiveStep(point, sources, h, { minStep, maxStep, tolerance }) {
+    for (;;) {
+        const full = rk4Step(point, sources, h);
+        const half = rk4Step(point, sources, h / 2);
+        const double = half && rk4Step(half, sources, h / 2);
+        if (!full || !double) return null;
+
+        // Richardson estimate of the local error of the two half steps
+        const error = distance(full, double) / 15;
+        const scale = error > 0 ? 0.9 * Math.pow(tolerance / error, 0.2) : 2;
+
+        if (error <= tolerance || h <= minStep) {
+            return {
+                point: addScaled(double, sub(double, full), 1 / 15),
+                step: h,
+                nextStep: Math.min(maxStep, Math.max(minStep, h * Math.min(scale, 2)))
+            };
+        }
+        h = Math.max(minStep, h * Math.max(scale, 0.2));
+    }
+}
+
+/**
+ * Where the straight segment from `from` to `to` crosses the surface of `source`
+ * (the two ends must be on opposite sides of it)
+ */
+function findSourceBoundary(from, to, source) {
+    const fromInside = isInsideSource(from, source);
+    let a = from;
+    let b = to;
+
+    for (let i = 0; i < 12; i++) {
+        const mid = lerp(a, b, 0.5);
+        if (isInsideSource(mid, source) === fromInside) a = mid;
+        else b = mid;
+    }
+    return lerp(a, b, 0.5);
+}
+
+/**
+ * Trace a field line from startPoint with adaptive RK4. The line stops where it
+ * re-enters a source, comes back round to its start, leaves a sphere of radius
+ * `bounds`, the field vanishes, or after maxSteps. A line that re-enters the
+ * source it started from (`origin`) is followed through it; if it comes out
+ * where it started, the loop is closed.
+ * Returns { points, closed, end } with end 'closed', 'source', 'bounds', 'field' or 'steps'.
+ */
+export function traceFieldLine(startPoint, sources, options = {}) {
+    const {
+        origin = null,
+        stepSize = 0.1,
+        minStep = 0.005,
+        maxStep = 0.4,
+        tolerance = 1e-3,
+        maxSteps = 500,
+        bounds = 20,
+        closeDistance = 0.1
+    } = options;
+    const stepOptions = { minStep, maxStep, tolerance };
+
+    const points = [startPoint];
+    let point = startPoint;
+    let h = stepSize;
+    let travelled = 0;
+
+    // While following the line back through its own source: where it went in
+    let entryIndex = -1;
+
+    for (let i = 0; i < maxSteps; i++) {
+        const step = adaptiveStep(point, sources, h, stepOptions);
+        if (!step) {
+            return { points: entryIndex === -1 ? points : points.slice(0, entryIndex + 1), closed: false, end: 'field' };
+        }
+        const next = step.point;
+        h = step.nextStep;
+        travelled += step.step;
+
+        if (entryIndex !== -1) {
+            if (!isInsideSource(next, origin)) {
+                points.push(findSourceBoundary(point, next, origin));
+                if (distance(points[points.length - 1], startPoint) < closeDistance) {
+                    points.push(startPoint);
+                    return { points, closed: true, end: 'closed' };
+                }
+                // Came out somewhere else: end the line where it went in
+                return { points: points.slice(0, entryIndex + 1), closed: false, end: 'source' };
+            }
+        } else {
+            const entered = sources.find(source => isInsideSource(next, source));
+            if (entered) {
+                points.push(findSourceBoundary(point, next, entered));
+                if (entered !== origin) return { points, closed: false, end: 'source' };
+                entryIndex = points.length - 1;
+            } else if (travelled > closeDistance * 2 && distance(next, startPoint) < closeDistance) {
+                points.push(startPoint);
+                return { points, closed: true, end: 'closed' };
+            } else if (length(next) > bounds) {
+                points.push(next);
+                return { points, closed: false, end: 'bounds' };
+            }
+        }
+
+        points.push(next);
+        point = next;
+    }
+
+    return { points: entryIndex === -1 ? points : points.slice(0, entryIndex + 1), closed: false, end: 'steps' };
+}
+
+/**
+ * Field directions on a gridSize × gridSize grid in the plane y = yLevel, skipping
+ * points within 0.6 m (horizontally) of a source. Returns flat position and unit
+ * direction arrays, three numbers per arrow.
+ */
+export function arrowGrid(sources, { gridSize = 5, spacing = 1.0, yLevel = 0 } = {}) {
+    const positions = [];
+    const directions = [];
+    const start = -(gridSize - 1) * spacing / 2;
+
+    for (let i = 0; i < gridSize; i++) {
+        for (let j = 0; j < gridSize; j++) {
+            const x = start + i * spacing;
+            const z = start + j * spacing;
+
+            const tooClose = sources.some(source =>
+                Math.hypot(x - source.position[0], z - source.position[2]) < 0.6);
+            if (tooClose) continue;
+
+            const direction = fieldDirection([x, yLevel, z], sources);
+            if (direction) {
+                positions.push(x, yLevel, z);
+                directions.push(...direction);
+            }
+        }
+    }
+
+    return { positions, directions };
+}
+
+/**
+ * |B| (tesla) on a resolution × resolution grid over a square slice of side `size`
+ * centred on `center`. The slice spans its own x and y axes, turned by `quaternion`.
+ * Values are row by row from the slice's -y edge, each row from its -x edge,
+ * which is the layout of a texture on a three.js PlaneGeometry.
+ */
+export function sliceMagnitudes(sources, { center = [0, 0, 0], quaternion = [0, 0, 0, 1], size = 6, resolution = 96 } = {}) {
+    const magnitudes = [];
+    const xAxis = rotate([1, 0, 0], quaternion);
+    const yAxis = rotate([0, 1, 0], quaternion);
+    const cell = size / resolution;
+
+    for (let row = 0; row < resolution; row++) {
+        const v = (row + 0.5) * cell - size / 2;
+        for (let column = 0; column < resolution; column++) {
+            const u = (column + 0.5) * cell - size / 2;
+            const point = addScaled(addScaled(center, xAxis, u), yAxis, v);
+            magnitudes.push(length(fieldAt(point, sources)));
+        }
+    }
+
+    return magnitudes;
+}
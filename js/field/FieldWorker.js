@@ -0,0 +1,28 @@
+/**
+ * FieldWorker - Runs field jobs (see FieldJobs.js) off the main thread
+ *
+ * Each channel ('lines', 'arrows', 'slice') has one current job. A newer job on
+ * the same channel, or a { type: 'cancel', channel } message, makes the running
+ * one stale, and it stops before its next line (or before a slice starts).
+ */
+import { runFieldJob } from './FieldJobs.js';
+
+const currentJobs = {};
+
+self.onmessage = ({ data }) => {
+    const { channel } = data;
+
+    if (data.type === 'cancel') {
+        currentJobs[channel] = null;
+        return;
+    }
+
+    currentJobs[channel] = data.jobId;
+    runFieldJob(
+        data,
+        (message, transfer) => self.postMessage({ ...message, channel }, transfer),
+        () => currentJobs[channel] !== data.jobId
+    ).catch(error => {
+        self.postMessage({ type: 'error', channel, jobId: data.jobId, message: error.message });
+    });
+};
@@ -0,0 +1,88 @@
+/**
+ * FieldWorkerClient - Sends field jobs to the field worker and routes results back
+ *
+ * Starting a job on a channel supersedes that channel's previous job: the worker
+ * drops it before its next line, and any results it already sent are ignored.
+ * If module workers are unavailable (or the worker fails to load), jobs run on
+ * the main thread instead, still yielding between lines.
+ */
+import { packSources, runFieldJob } from './FieldJobs.js';
+
+export class FieldWorkerClient {
+    constructor() {
+        this.nextJobId = 0;
+
+        // Current job per channel: { jobId, kind, sources, options, startIndex, onMessage }
+        this.jobs = {};
+
+        this.worker = null;
+        try {
+            this.worker = new Worker(new URL('./FieldWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                console.warn('Field worker unavailable, computing fields on the main thread:', event.message || event);
+                this.useMainThread();
+            };
+        } catch (error) {
+            console.warn('Field worker unavailable, computing fields on the main thread:', error);
+        }
+    }
+
+    /**
+     * Start a job on `channel` with source descriptions (see FieldSolver.js).
+     * onMessage receives this job's results only.
+     */
+    run(channel, kind, sources, options, onMessage, { startIndex = 0 } = {}) {
+        const job = { jobId: ++this.nextJobId, kind, sources, options, startIndex, onMessage };
+        this.jobs[channel] = job;
+        this.dispatch(channel, job);
+        return job.jobId;
+    }
+
+    dispatch(channel, { jobId, kind, sources, options, startIndex }) {
+        const packed = packSources(sources);
+        const message = { channel, jobId, kind, sources: packed, options, startIndex };
+
+        if (this.worker) {
+            this.worker.postMessage(message, [packed.buffer]);
+        } else {
+            runFieldJob(
+                message,
+                (result) => this.handleMessage({ ...result, channel }),
+                () => this.jobs[channel]?.jobId !== jobId
+            ).catch(error => console.warn('Field job failed:', error));
+        }
+    }
+
+    /**
+     * Drop the channel's current job
+     */
+    cancel(channel) {
+        if (!this.jobs[channel]) return;
+        this.jobs[channel] = null;
+        this.worker?.postMessage({ type: 'cancel', channel });
+    }
+
+    handleMessage(message) {
+        const job = this.jobs[message.channel];
+        if (!job || job.jobId !== message.jobId) return;
+
+        if (message.type === 'error') {
+            console.warn('Field job failed:', message.message);
+            return;
+        }
+        job.onMessage(message);
+    }
+
+    /**
+     * Stop using the worker and rerun the current jobs here
+     */
+    useMainThread() {
+        this.worker?.terminate();
+        this.worker = null;
+        Object.entries(this.jobs).forEach(([channel, job]) => {
+            if (job) this.dispatch(channel, job);
+        });
+    }
+}
@@ -14,6 +14,7 @@ import { InductionModule } from './modules/InductionModule.js';
 import { TransformerModule } from './modules/TransformerModule.js';
 import { LenzLawModule } from './modules/LenzLawModule.js';
 import { ElectromagnetModule } from './modules/ElectromagnetModule.js';
+import { SandboxModule } from './modules/SandboxModule.js';
 
 
 import { AssemblyModule } from './modules/AssemblyModule.js';
@@ -21,6 +22,7 @@ import { ExamPracticeModule } from './modules/ExamPracticeModule.js';
 import { AITutorModule } from './modules/AITutorModule.js';
 import { MagnetCuttingModule } from './modules/MagnetCuttingModule.js';
 import { GeminiTutor } from './GeminiTutor.js';
+import { LearnerProfile } from './tutor/LearnerProfile.js';
 
 class ElectromagneticLabApp {
     constructor() {
@@ -39,6 +41,9 @@ class ElectromagneticLabApp {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
+        // While set, scene clicks choose one of these targets: { targets, onPick }
+        this.scenePick = null;
+
         // Initialize core systems
         this.init();
     }
@@ -69,6 +74,9 @@ class ElectromagneticLabApp {
             // Setup options container for module-specific controls
             this.optionsContainer = document.getElementById('options-container');
 
+            // Persistent learner profile, fed by the modules and read by the tutor
+            this.learnerProfile = new LearnerProfile();
+
             // Initialize modules
             this.modules = {
                 barMagnet: new BarMagnetModule(this),
@@ -77,6 +85,7 @@ class ElectromagneticLabApp {
                 transformer: new TransformerModule(this),
                 lenz: new LenzLawModule(this),
                 electromagnet: new ElectromagnetModule(this),
+                sandbox: new SandboxModule(this),
                 magnetCutting: new MagnetCuttingModule(this),
                 assembly: new AssemblyModule(this),
                 examPractice: new ExamPracticeModule(this),
@@ -95,46 +104,30 @@ class ElectromagneticLabApp {
             this.setupSceneClickDetection();
 
             // Check URL hash or parameters for module selection
-            const hashModule = window.location.hash.slice(1); // Remove '#' from hash
+            const { moduleName: hashModule, state: hashState } = this.parseLocationHash();
             const urlParams = new URLSearchParams(window.location.search);
             const moduleParam = urlParams.get('module');
 
             // Priority: hash > query param > default
             let targetModule = 'barMagnet';
+            let targetState = null;
             if (hashModule && this.modules[hashModule]) {
                 targetModule = hashModule;
+                targetState = hashState;
             } else if (moduleParam && this.modules[moduleParam]) {
                 targetModule = moduleParam;
             }
 
-            // Load the target module
-            this.loadModule(targetModule);
-
-            // Update sidebar active state to match
-            const moduleItems = document.querySelectorAll('.module-item');
-            moduleItems.forEach(item => {
-                if (item.dataset.module === targetModule) {
-                    item.classList.add('active');
-                } else {
-                    item.classList.remove('active');
-                }
-            });
+            // Load the target module and restore any shared state
+            this.loadModule(targetModule, targetState);
+            this.setActiveModuleItem(targetModule);
 
             // Listen for hash changes to allow dynamic module switching
             window.addEventListener('hashchange', () => {
-                const newHash = window.location.hash.slice(1);
-                if (newHash && this.modules[newHash]) {
-                    this.loadModule(newHash);
-
-                    // Update sidebar active state
-                    const items = document.querySelectorAll('.module-item');
-                    items.forEach(item => {
-                        if (item.dataset.module === newHash) {
-                            item.classList.add('active');
-                        } else {
-                            item.classList.remove('active');
-                        }
-                    });
+                const { moduleName, state } = this.parseLocationHash();
+                if (moduleName && this.modules[moduleName]) {
+                    this.loadModule(moduleName, state);
+                    this.setActiveModuleItem(moduleName);
                 }
             });
 
@@ -212,6 +205,12 @@ class ElectromagneticLabApp {
             this.resetCurrentModule();
         });
 
+        // Share link button
+        const shareLinkBtn = document.getElementById('share-link-btn');
+        if (shareLinkBtn) {
+            shareLinkBtn.addEventListener('click', () => this.copyShareLink());
+        }
+
         // Reset view button
         const resetViewBtn = document.getElementById('reset-view-btn');
         resetViewBtn.addEventListener('click', () => {
@@ -280,6 +279,17 @@ class ElectromagneticLabApp {
             }
         });
 
+        // 3D lines are seeded across the whole pole face and drawn as tubes
+        const fieldLines3dToggle = document.getElementById('field-lines-3d');
+        fieldLines3dToggle.addEventListener('change', (e) => {
+            this.fieldVisualizer.setVolumetricLines(e.target.checked);
+        });
+
+        const animateFlowToggle = document.getElementById('animate-flow');
+        animateFlowToggle.addEventListener('change', (e) => {
+            this.fieldVisualizer.setFlowAnimation(e.target.checked);
+        });
+
         const showGridToggle = document.getElementById('show-grid');
         showGridToggle.addEventListener('change', (e) => {
             this.sceneManager.toggleGrid(e.target.checked);
@@ -310,6 +320,12 @@ class ElectromagneticLabApp {
     }
 
     setupSceneClickDetection() {
+        // A click that ends an orbit drag is not a pick
+        let pointerDown = null;
+        this.canvas.addEventListener('pointerdown', (event) => {
+            pointerDown = { x: event.clientX, y: event.clientY };
+        });
+
         // Click detection for in-scene buttons (like Lenz's Law drop button)
         this.canvas.addEventListener('click', (event) => {
             const rect = this.canvas.getBoundingClientRect();
@@ -318,6 +334,20 @@ class ElectromagneticLabApp {
 
             this.raycaster.setFromCamera(this.mouse, this.sceneManager.camera);
 
+            if (this.scenePick) {
+                const dragged = pointerDown && Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) > 5;
+                const hit = dragged ? null : this.raycaster.intersectObjects(this.scenePick.targets, true)[0];
+                if (hit) {
+                    // Report the target itself, not the child mesh that was hit
+                    let target = hit.object;
+                    while (target && !this.scenePick.targets.includes(target)) {
+                        target = target.parent;
+                    }
+                    this.scenePick.onPick(target, hit.point);
+                }
+                return;
+            }
+
             // Find all sprites with isButton userData
             const sprites = [];
             this.sceneManager.scene.traverse((child) => {
@@ -336,7 +366,112 @@ class ElectromagneticLabApp {
         });
     }
 
-    loadModule(moduleName) {
+    /**
+     * Read the module name and optional state from the URL hash.
+     * Format: #moduleName&key=value&key=1,2,3 (arrays are comma separated)
+     */
+    parseLocationHash() {
+        const [moduleName, ...pairs] = window.location.hash.slice(1).split('&');
+        if (pairs.length === 0) return { moduleName, state: null };
+
+        const state = {};
+        for (const pair of pairs) {
+            const [key, raw = ''] = pair.split('=');
+            if (!key) continue;
+
+            // Skip values mangled in transit (e.g. a link cut off mid-escape)
+            let decoded;
+            try {
+                decoded = decodeURIComponent(raw);
+            } catch (error) {
+                console.warn(`Ignoring malformed link value for "${key}":`, raw);
+                continue;
+            }
+
+            const parts = decoded.split(',');
+            const values = parts.map(v => (v !== '' && !isNaN(v) ? Number(v) : v));
+            state[key] = parts.length > 1 ? values : values[0];
+        }
+
+        return { moduleName, state: Object.keys(state).length > 0 ? state : null };
+    }
+
+    /**
+     * Build a compact hash for a module's state, e.g. #transformer&np=50&ns=200
+     */
+    encodeStateHash(moduleName, state) {
+        const encodeValue = (value) => {
+            if (typeof value === 'boolean') return value ? '1' : '0';
+            if (typeof value === 'number') return String(Number(value.toFixed(3)));
+            return encodeURIComponent(value);
+        };
+
+        let hash = `#${moduleName}`;
+        for (const [key, value] of Object.entries(state || {})) {
+            if (value === undefined || value === null) continue;
+            const encoded = Array.isArray(value) ? value.map(encodeValue).join(',') : encodeValue(value);
+            hash += `&${key}=${encoded}`;
+        }
+        return hash;
+    }
+
+    /**
+     * Put the current module's state into the URL and copy the link to the clipboard
+     */
+    async copyShareLink() {
+        if (!this.currentModule) return;
+
+        const state = this.currentModule.getState ? this.currentModule.getState() : null;
+        const hash = this.encodeStateHash(this.currentModule.name, state);
+
+        // replaceState avoids a hashchange event, which would reload the module
+        history.replaceState(null, '', hash);
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.showToast('🔗 Link to this setup copied');
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            this.showToast('🔗 Link updated in the address bar');
+        }
+    }
+
+    showToast(message) {
+        const toast = document.createElement('div');
+        toast.textContent = message;
+        toast.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: rgba(0, 212, 170, 0.9);
+            color: #0a1f1c;
+            padding: 12px 24px;
+            border-radius: 8px;
+            font-family: Inter, sans-serif;
+            font-weight: 500;
+            z-index: 1000;
+            animation: fadeInUp 0.3s ease;
+        `;
+
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            toast.style.transition = 'opacity 0.3s ease';
+            setTimeout(() => toast.remove(), 300);
+        }, 2000);
+    }
+
+    setActiveModuleItem(moduleName) {
+        document.querySelectorAll('.module-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.module === moduleName);
+        });
+    }
+
+    loadModule(moduleName, state = null) {
+        this.clearReturnLink();
+        this.stopScenePick();
+
         // Cleanup current module
         if (this.currentModule) {
             this.currentModule.cleanup();
@@ -360,14 +495,74 @@ class ElectromagneticLabApp {
         const module = this.modules[moduleName];
         if (module) {
             this.currentModule = module;
+
+            // Each module has its own tutor conversation thread
+            if (this.geminiTutor) {
+                this.geminiTutor.setModule(moduleName);
+            }
+
             module.init();
 
+            // Apply shared state once the module has built its controls
+            if (state && module.setState) {
+                try {
+                    module.setState(state);
+                } catch (error) {
+                    console.warn(`Could not apply state to ${moduleName}:`, error);
+                }
+            }
+
             // Update header
             document.getElementById('current-module-title').textContent = module.title;
             document.getElementById('current-module-desc').textContent = module.description;
         }
     }
 
+    /**
+     * Show a button over the simulation that returns to where the user came from
+     * (e.g. an exam question). It is removed when the next module loads.
+     */
+    showReturnLink(label, caption, onReturn) {
+        this.clearReturnLink();
+
+        const bar = document.createElement('div');
+        bar.id = 'return-link';
+        bar.className = 'return-link';
+
+        const button = document.createElement('button');
+        button.className = 'return-link-btn';
+        button.textContent = label;
+        button.addEventListener('click', onReturn);
+        bar.appendChild(button);
+
+        if (caption) {
+            const text = document.createElement('span');
+            text.className = 'return-link-caption';
+            text.textContent = caption;
+            bar.appendChild(text);
+        }
+
+        document.getElementById('canvas-container').appendChild(bar);
+    }
+
+    /**
+     * Send scene clicks on any of `targets` (or their children) to onPick(target, point)
+     * until stopScenePick() or the next module load. Used by exam questions.
+     */
+    startScenePick(targets, onPick) {
+        this.scenePick = { targets, onPick };
+        this.canvas.style.cursor = 'crosshair';
+    }
+
+    stopScenePick() {
+        this.scenePick = null;
+        this.canvas.style.cursor = '';
+    }
+
+    clearReturnLink() {
+        document.getElementById('return-link')?.remove();
+    }
+
     resetCurrentModule() {
         if (this.currentModule) {
             const moduleName = this.currentModule.name;
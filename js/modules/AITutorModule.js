@@ -2,12 +2,17 @@
  * EM-Vee Module - Full page AI Chat experience
  */
 
+import { renderMarkdown } from '../tutor/MarkdownRenderer.js';
+
 export class AITutorModule {
     constructor(app) {
         this.app = app;
         this.name = 'aiTutor';
         this.title = 'EM-Vee';
-        this.description = 'Chat with Gemini to understand electromagnetic concepts';
+        this.description = 'Chat with EM-Vee to understand electromagnetic concepts';
+
+        this.isLoading = false;
+        this.abortController = null;
     }
 
     init() {
@@ -100,6 +105,11 @@ export class AITutorModule {
                                     <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z"/>
                                 </svg>
                             </button>
+                            <button id="ai-fullpage-stop" class="send-btn stop-btn hidden" title="Stop generating">
+                                <svg viewBox="0 0 24 24" fill="currentColor">
+                                    <rect x="6" y="6" width="12" height="12" rx="2"/>
+                                </svg>
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -108,6 +118,20 @@ export class AITutorModule {
 
         this.addAIStyles();
         this.setupAIListeners();
+        this.renderHistory();
+    }
+
+    /**
+     * Continue the conversation saved for this page
+     */
+    renderHistory() {
+        const messages = this.app.geminiTutor ? this.app.geminiTutor.messages : [];
+        if (messages.length === 0) return;
+
+        const welcome = document.querySelector('#ai-fullpage-messages .ai-welcome');
+        if (welcome) welcome.remove();
+
+        messages.forEach(message => this.addMessage(message.role, message.content));
     }
 
     setupAIListeners() {
@@ -151,6 +175,10 @@ export class AITutorModule {
             }
         });
 
+        document.getElementById('ai-fullpage-stop').addEventListener('click', () => {
+            if (this.abortController) this.abortController.abort();
+        });
+
         sendBtn.addEventListener('click', () => {
             if (input.value.trim()) {
                 this.sendMessage(input.value.trim());
@@ -167,6 +195,8 @@ export class AITutorModule {
     }
 
     async sendMessage(message) {
+        if (this.isLoading) return;
+
         const messagesContainer = document.getElementById('ai-fullpage-messages');
 
         // Remove welcome if present
@@ -179,16 +209,51 @@ export class AITutorModule {
         // Show typing indicator
         this.showTyping();
 
-        // Get response from GeminiTutor
-        if (this.app.geminiTutor) {
+        // Get response from GeminiTutor, through whichever provider is selected in its settings
+        const tutor = this.app.geminiTutor;
+        if (tutor && !tutor.provider.isConfigured()) {
+            this.hideTyping();
+            this.addMessage('assistant', tutor.requestOfflineReply(message));
+        } else if (tutor) {
+            // Stream the reply into a bubble created when the first tokens arrive
+            let bubble = null;
+            const onText = (text) => {
+                if (bubble) {
+                    this.updateMessage(bubble, text);
+                } else {
+                    this.hideTyping();
+                    bubble = this.addMessage('assistant', text);
+                }
+            };
+
+            this.isLoading = true;
+            this.abortController = new AbortController();
+            this.setGeneratingState(true);
+
             try {
-                const response = await this.app.geminiTutor.callGeminiAPI(message);
+                const { text, toolCalls } = await tutor.requestReply(message, { signal: this.abortController.signal, onText });
                 this.hideTyping();
-                this.addMessage('assistant', response);
+                if (bubble) {
+                    this.updateMessage(bubble, text);
+                } else {
+                    this.addMessage('assistant', text);
+                }
+                toolCalls.forEach(call => this.showActionCard(tutor.createActionCard(call)));
             } catch (error) {
                 this.hideTyping();
-                this.addMessage('assistant', `Error: ${error.message}`);
+                if (bubble && error.partialReply) {
+                    this.updateMessage(bubble, error.partialReply);
+                }
+                if (error.name !== 'AbortError') {
+                    // Without a connection, fall back to the offline notes
+                    const offline = tutor.isNetworkError(error) && !error.partialReply;
+                    this.addMessage('assistant', offline ? tutor.answerUnsentQuestion(message) : `Error: ${error.message}`);
+                }
             }
+
+            this.abortController = null;
+            this.setGeneratingState(false);
+            this.isLoading = false;
         } else {
             this.hideTyping();
             this.addMessage('assistant', 'EM-Vee is not available. Please refresh the page.');
@@ -197,6 +262,8 @@ export class AITutorModule {
 
     addMessage(role, content) {
         const messagesContainer = document.getElementById('ai-fullpage-messages');
+        // The page may have been left while a reply was on its way
+        if (!messagesContainer) return;
         const messageDiv = document.createElement('div');
         messageDiv.className = `ai-message ai-message-${role}`;
 
@@ -210,18 +277,37 @@ export class AITutorModule {
 
         messagesContainer.appendChild(messageDiv);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return messageDiv;
+    }
+
+    updateMessage(messageDiv, content) {
+        const messagesContainer = document.getElementById('ai-fullpage-messages');
+        if (!messagesContainer) return;
+
+        const atBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+        messageDiv.querySelector('.message-content').innerHTML = this.formatContent(content);
+        if (atBottom) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+    }
+
+    setGeneratingState(isGenerating) {
+        const sendBtn = document.getElementById('ai-fullpage-send');
+        const stopBtn = document.getElementById('ai-fullpage-stop');
+        if (sendBtn) sendBtn.classList.toggle('hidden', isGenerating);
+        if (stopBtn) stopBtn.classList.toggle('hidden', !isGenerating);
+    }
+
+    showActionCard(card) {
+        const messagesContainer = document.getElementById('ai-fullpage-messages');
+        if (!messagesContainer) return;
+
+        messagesContainer.appendChild(card);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 
     formatContent(content) {
-        return content
-            .replace(/```([\s\S]*?)```/g, '<pre class="code-block">$1</pre>')
-            .replace(/`([^`]+)`/g, '<code>$1</code>')
-            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-            .replace(/^### (.*$)/gm, '<h5>$1</h5>')
-            .replace(/^## (.*$)/gm, '<h4>$1</h4>')
-            .replace(/^# (.*$)/gm, '<h3>$1</h3>')
-            .replace(/\n/g, '<br>');
+        return renderMarkdown(content);
     }
 
     showTyping() {
@@ -423,7 +509,7 @@ export class AITutorModule {
                 font-family: 'Fira Code', monospace;
             }
             
-            .message-content pre.code-block {
+            .message-content pre.md-code {
                 background: rgba(0, 0, 0, 0.4);
                 padding: 1rem;
                 border-radius: 8px;
@@ -432,6 +518,19 @@ export class AITutorModule {
                 margin: 0.75rem 0;
             }
             
+            .message-content pre.md-code code {
+                background: none;
+                padding: 0;
+            }
+            
+            .message-content p {
+                margin: 0 0 0.75rem;
+            }
+            
+            .message-content p:last-child {
+                margin-bottom: 0;
+            }
+            
             .message-content strong {
                 color: var(--accent);
             }
@@ -563,6 +662,10 @@ export class AITutorModule {
                 box-shadow: 0 4px 15px rgba(231, 76, 60, 0.4);
             }
             
+            .send-btn.stop-btn {
+                background: linear-gradient(135deg, #e74c3c, #f39c12);
+            }
+            
             .send-btn svg {
                 width: 22px;
                 height: 22px;
@@ -586,6 +689,9 @@ export class AITutorModule {
     }
 
     cleanup() {
+        // Leaving the page stops a reply that is still streaming
+        if (this.abortController) this.abortController.abort();
+
         const aiUI = document.getElementById('ai-tutor-ui');
         if (aiUI) aiUI.remove();
 
@@ -340,6 +340,8 @@ export class AssemblyModule {
         document.getElementById('assembly-completion-message').textContent =
             definition.completionMessage;
 
+        this.app.learnerProfile.recordAssembly(stats);
+
         // Show stars
         const starsEl = document.getElementById('assembly-stars');
         starsEl.innerHTML = '⭐'.repeat(stats.stars) + '☆'.repeat(3 - stats.stars);
@@ -445,6 +447,18 @@ export class AssemblyModule {
         return icons[componentType] || '⚡';
     }
 
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        const pieces = this.assemblyManager?.pieces || [];
+        return {
+            component: this.selectedComponent || 'choosing a component',
+            piecesPlaced: `${pieces.filter(piece => piece.isCorrect).length}/${pieces.length}`,
+            hintsUsed: this.assemblyManager?.hintsUsed || 0
+        };
+    }
+
     /**
      * Update loop
      */
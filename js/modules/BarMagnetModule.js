@@ -2,6 +2,8 @@
  * Bar Magnet Module - Explore magnetic fields with compasses
  */
 import * as THREE from 'three';
+import { FieldSlice } from '../FieldSlice.js';
+import { FieldProbe } from '../FieldProbe.js';
 
 export class BarMagnetModule {
     constructor(app) {
@@ -12,6 +14,8 @@ export class BarMagnetModule {
 
         this.magnet = null;
         this.compasses = [];
+        this.fieldSlice = null;
+        this.fieldProbe = null;
         this.updateInterval = null;
     }
 
@@ -68,13 +72,25 @@ export class BarMagnetModule {
             }
         });
 
-        // Setup callbacks
-        this.app.interaction.onDrag = () => {
-            this.updateFieldVisualization();
+        // Field strength slice
+        this.fieldSlice = new FieldSlice(this.app, { getSources: () => [this.magnet], height: 0.3 });
+        this.fieldSlice.createControls(this.app.optionsContainer);
+
+        // Field probe
+        this.fieldProbe = new FieldProbe(this.app, { getSources: () => [this.magnet] });
+        this.fieldProbe.createControls(this.app.optionsContainer);
+
+        // Setup callbacks; moving the slice or probe leaves the field unchanged
+        this.app.interaction.onDrag = (obj) => {
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+            else this.updateFieldVisualization();
         };
 
-        this.app.interaction.onDragEnd = () => {
-            this.updateFieldVisualization();
+        this.app.interaction.onDragEnd = (obj) => {
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+            else this.updateFieldVisualization();
         };
 
         // Initial field visualization
@@ -85,9 +101,7 @@ export class BarMagnetModule {
         // Update field lines
         if (this.app.showFieldLines) {
             this.app.fieldVisualizer.generateMagnetFieldLines(this.magnet, {
-                numLines: 12,
-                steps: 50,
-                stepSize: 0.1
+                numLines: 12
             });
         } else {
             this.app.fieldVisualizer.clearFieldLines();
@@ -104,6 +118,9 @@ export class BarMagnetModule {
             this.app.fieldVisualizer.clearArrows();
         }
 
+        this.fieldSlice.update();
+        this.fieldProbe.update();
+
         // Update compass orientations
         this.updateCompasses();
     }
@@ -116,7 +133,7 @@ export class BarMagnetModule {
             // Calculate field at compass position
             const field = this.app.fieldVisualizer.calculateDipoleField(compassPos, this.magnet);
 
-            if (field.length() > 0.001) {
+            if (field.length() > 1e-12) {
                 // Calculate target rotation (needle points along field direction)
                 const targetAngle = Math.atan2(field.x, field.z);
                 compass.userData.targetRotation = targetAngle;
@@ -124,6 +141,44 @@ export class BarMagnetModule {
         }
     }
 
+    /**
+     * Shareable state: slider values and magnet position
+     */
+    getState() {
+        const { x, y, z } = this.magnet.position;
+        return {
+            s: this.app.sliders.getValue('magnet-strength'),
+            r: this.app.sliders.getValue('magnet-rotation'),
+            p: [x, y, z]
+        };
+    }
+
+    setState(state) {
+        // A hand-edited link can carry text or Infinity, which must not reach the magnet's pose
+        if (Array.isArray(state.p) && state.p.length === 3 && state.p.every(Number.isFinite)) {
+            this.magnet.position.set(...state.p);
+        }
+        if (typeof state.s === 'number') this.app.sliders.setValue('magnet-strength', state.s);
+        if (typeof state.r === 'number') this.app.sliders.setValue('magnet-rotation', state.r);
+
+        this.updateFieldVisualization();
+    }
+
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        const { x, y, z } = this.magnet.position;
+        return {
+            strength: this.magnet.userData.strength,
+            remanence: this.magnet.userData.remanence * this.magnet.userData.strength,
+            rotation: this.app.sliders.getValue('magnet-rotation'),
+            magnetPosition: [x, y, z],
+            compasses: this.compasses.length,
+            units: { remanence: 'T', rotation: '°', magnetPosition: 'm' }
+        };
+    }
+
     update(deltaTime) {
         // Smoothly rotate compass needles towards target
         for (const compass of this.compasses) {
@@ -161,6 +216,14 @@ export class BarMagnetModule {
 
         // Clear field visualization
         this.app.fieldVisualizer.clearAll();
+        if (this.fieldSlice) {
+            this.fieldSlice.dispose();
+            this.fieldSlice = null;
+        }
+        if (this.fieldProbe) {
+            this.fieldProbe.dispose();
+            this.fieldProbe = null;
+        }
 
         // Clear sliders
         this.app.sliders.clear();
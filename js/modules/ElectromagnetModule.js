@@ -13,6 +13,8 @@
  * - Real-time magnetic field visualization
  */
 import * as THREE from 'three';
+import { FieldSlice } from '../FieldSlice.js';
+import { FieldProbe } from '../FieldProbe.js';
 
 export class ElectromagnetModule {
     constructor(app) {
@@ -50,6 +52,11 @@ export class ElectromagnetModule {
 
         // Field strength indicator
         this.strengthMeter = null;
+
+        // Field strength slice and probe, and the coil described as a solenoid for them
+        this.fieldSlice = null;
+        this.fieldProbe = null;
+        this.fieldSource = null;
     }
 
     init() {
@@ -62,6 +69,23 @@ export class ElectromagnetModule {
         // Create UI controls
         this.createControls();
 
+        // Field strength slice through the core
+        this.fieldSlice = new FieldSlice(this.app, { getSources: () => [this.getFieldSource()], height: 0.5 });
+        this.fieldSlice.createControls(this.app.optionsContainer);
+
+        // Field probe, starting beyond the nail's tip
+        this.fieldProbe = new FieldProbe(this.app, { getSources: () => [this.getFieldSource()], position: [2, 0.5, 0] });
+        this.fieldProbe.createControls(this.app.optionsContainer);
+
+        this.app.interaction.onDrag = (obj) => {
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+        };
+        this.app.interaction.onDragEnd = (obj) => {
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+        };
+
         // Create educational tooltips
         this.createTooltips();
 
@@ -688,15 +712,11 @@ export class ElectromagnetModule {
             `;
 
             powerBtn.addEventListener('click', () => {
-                this.isSwitchOn = !this.isSwitchOn;
-                powerBtn.textContent = this.isSwitchOn ? 'ON ⚡' : 'OFF';
-                powerBtn.style.background = this.isSwitchOn ? 'var(--primary)' : 'var(--surface-light)';
-                powerBtn.style.borderColor = this.isSwitchOn ? 'var(--secondary)' : 'var(--border)';
-                this.updateSwitchVisuals();
-                this.updateFieldVisualization();
+                this.setSwitch(!this.isSwitchOn);
             });
 
             optionsContainer.appendChild(powerBtn);
+            this.powerButton = powerBtn;
 
             // Core material selector
             const coreLabel = document.createElement('div');
@@ -707,6 +727,7 @@ export class ElectromagnetModule {
 
             const coreButtonGroup = document.createElement('div');
             coreButtonGroup.style.cssText = 'display: flex; gap: 0.5rem; margin-bottom: 1rem;';
+            this.coreButtons = {};
 
             ['Air', 'Iron', 'Steel'].forEach(material => {
                 const btn = document.createElement('button');
@@ -724,19 +745,10 @@ export class ElectromagnetModule {
                 `;
 
                 btn.addEventListener('click', () => {
-                    this.coreMaterial = material.toLowerCase();
-                    coreButtonGroup.querySelectorAll('.option-btn').forEach(b => {
-                        b.style.background = 'var(--surface-light)';
-                        b.style.borderColor = 'var(--border)';
-                        b.classList.remove('active');
-                    });
-                    btn.style.background = 'var(--primary)';
-                    btn.style.borderColor = 'var(--secondary)';
-                    btn.classList.add('active');
-                    this.updateFieldVisualization();
-                    this.updateCoreVisual();
+                    this.setCoreMaterial(material.toLowerCase());
                 });
 
+                this.coreButtons[material.toLowerCase()] = btn;
                 coreButtonGroup.appendChild(btn);
             });
 
@@ -852,6 +864,58 @@ export class ElectromagnetModule {
         });
     }
 
+    /**
+     * Turn the power switch on or off, keeping the button and 3D switch in sync
+     */
+    setSwitch(isOn) {
+        this.isSwitchOn = isOn;
+
+        if (this.powerButton) {
+            this.powerButton.textContent = this.isSwitchOn ? 'ON ⚡' : 'OFF';
+            this.powerButton.style.background = this.isSwitchOn ? 'var(--primary)' : 'var(--surface-light)';
+            this.powerButton.style.borderColor = this.isSwitchOn ? 'var(--secondary)' : 'var(--border)';
+        }
+
+        this.updateSwitchVisuals();
+        this.updateFieldVisualization();
+    }
+
+    setCoreMaterial(material) {
+        if (!(material in this.coreMaterialMultipliers)) return;
+        this.coreMaterial = material;
+
+        if (this.coreButtons) {
+            Object.entries(this.coreButtons).forEach(([name, btn]) => {
+                const isActive = name === material;
+                btn.style.background = isActive ? 'var(--primary)' : 'var(--surface-light)';
+                btn.style.borderColor = isActive ? 'var(--secondary)' : 'var(--border)';
+                btn.classList.toggle('active', isActive);
+            });
+        }
+
+        this.updateFieldVisualization();
+        this.updateCoreVisual();
+    }
+
+    /**
+     * Shareable state: turns, voltage, switch and core material
+     */
+    getState() {
+        return {
+            n: this.coilTurns,
+            v: this.voltage,
+            on: this.isSwitchOn,
+            core: this.coreMaterial
+        };
+    }
+
+    setState(state) {
+        if (typeof state.n === 'number') this.app.sliders.setValue('coil-turns', state.n);
+        if (typeof state.v === 'number') this.app.sliders.setValue('battery-voltage', state.v);
+        if (typeof state.core === 'string') this.setCoreMaterial(state.core);
+        if (state.on !== undefined) this.setSwitch(Boolean(state.on));
+    }
+
     getCurrent() {
         // I = V / R
         return this.isSwitchOn ? this.voltage / this.resistance : 0;
@@ -864,7 +928,31 @@ export class ElectromagnetModule {
         return this.coilTurns * current * multiplier / 10;
     }
 
+    /**
+     * The coil as a solenoid field source. The core's magnetization is folded in
+     * by scaling the current with the core material's multiplier.
+     */
+    getFieldSource() {
+        if (!this.fieldSource) {
+            this.fieldSource = new THREE.Object3D();
+            this.fieldSource.userData.type = 'solenoid';
+        }
+
+        this.fieldSource.position.copy(this.ironCore.position);
+        Object.assign(this.fieldSource.userData, {
+            turns: this.coilTurns,
+            current: this.getCurrent() * (this.coreMaterialMultipliers[this.coreMaterial] || 1),
+            radius: this.ironCore.userData.coreRadius + 0.08,
+            length: this.coilGroup.userData.coilLength,
+            currentDirection: 1
+        });
+        return this.fieldSource;
+    }
+
     updateFieldVisualization() {
+        this.fieldSlice?.update();
+        this.fieldProbe?.update();
+
         if (!this.isSwitchOn || this.getCurrent() < 0.1) {
             this.app.fieldVisualizer.clearAll();
             this.updateStrengthMeter();
@@ -872,18 +960,7 @@ export class ElectromagnetModule {
         }
 
         // Generate electromagnet field using solenoid field generator
-        const electromagnetData = {
-            position: this.ironCore.position.clone(),
-            userData: {
-                turns: this.coilTurns,
-                current: this.getCurrent(),
-                radius: this.ironCore.userData.coreRadius + 0.08,
-                length: this.coilGroup.userData.coilLength,
-                currentDirection: 1
-            }
-        };
-
-        this.app.fieldVisualizer.generateSolenoidField(electromagnetData);
+        this.app.fieldVisualizer.generateSolenoidField(this.getFieldSource());
         this.updateStrengthMeter();
     }
 
@@ -962,6 +1039,23 @@ export class ElectromagnetModule {
         });
     }
 
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        return {
+            switchOn: this.isSwitchOn,
+            voltage: this.voltage,
+            resistance: this.resistance,
+            current: this.getCurrent(),
+            coilTurns: this.coilTurns,
+            coreMaterial: this.coreMaterial,
+            relativePermeability: this.coreMaterialMultipliers[this.coreMaterial] || 1,
+            fieldStrength: this.getFieldStrength(),
+            units: { voltage: 'V', resistance: 'Ω', current: 'A', fieldStrength: 'relative units (N × I × μr / 10)' }
+        };
+    }
+
     update(deltaTime) {
         if (!this.isPlaying) return;
 
@@ -977,6 +1071,9 @@ export class ElectromagnetModule {
         if (this.isSwitchOn && this.getCurrent() > 0.1) {
             this.animateCoilGlow();
         }
+
+        // Animate field lines
+        this.app.fieldVisualizer.animateFieldLines(deltaTime * 60, 1.0);
     }
 
     animateCoilGlow() {
@@ -1086,7 +1183,17 @@ export class ElectromagnetModule {
 
         // Clear visualizations
         this.app.fieldVisualizer.clearAll();
+        if (this.fieldSlice) {
+            this.fieldSlice.dispose();
+            this.fieldSlice = null;
+        }
+        if (this.fieldProbe) {
+            this.fieldProbe.dispose();
+            this.fieldProbe = null;
+        }
         this.app.sliders.clear();
+        this.app.interaction.onDrag = null;
+        this.app.interaction.onDragEnd = null;
 
         // Clear options
         if (this.app.optionsContainer) {
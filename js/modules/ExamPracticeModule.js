@@ -3,6 +3,54 @@
  * Based on Topic 5: Electromagnetic Induction
  */
 
+import { escapeHtml, renderInline } from '../tutor/MarkdownRenderer.js';
+import { generateQuestion, generateQuestionSet, getQuestionTemplate } from '../exam/QuestionTemplates.js';
+import { DIFFICULTIES, loadBundledQuestionBanks, loadImportedQuestionBanks, loadQuestionBankFile, saveImportedQuestionBank } from '../exam/QuestionBank.js';
+import { SCENE_TARGETS, describeExpected, describeResponse, gradeResponse, hasResponse, isAutoMarked, questionType } from '../exam/QuestionTypes.js';
+import { buildPickScene, disposePickScene } from '../exam/PickScenes.js';
+import { ReviewScheduler } from '../exam/ReviewScheduler.js';
+import { LEARNER_TOPICS } from '../tutor/LearnerProfile.js';
+
+// Mock exam choices: question counts and time limits in minutes
+const MOCK_EXAM_LENGTHS = [3, 5, 10];
+const MOCK_EXAM_MINUTES = [5, 10, 20, 30, 45];
+const MOCK_EXAM_DEFAULT_MINUTES = 10;
+const MOCK_EXAM_WARNING_MS = 60 * 1000;
+
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Item indices in a shuffled order that is never already the right one
+ */
+function shuffledOrder(count) {
+    const order = [...Array(count).keys()];
+    let shuffled = shuffle(order);
+    while (shuffled.every((item, position) => item === position)) {
+        shuffled = shuffle(order);
+    }
+    return shuffled;
+}
+
+/**
+ * "m:ss" for a duration in milliseconds
+ */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 export class ExamPracticeModule {
     constructor(app) {
         this.app = app;
@@ -12,135 +60,40 @@ export class ExamPracticeModule {
 
         this.currentQuestion = 0;
         this.showingAnswer = false;
-        this.score = { correct: 0, total: 5 };
-
-        // Question bank from Topic 5: Electromagnetic Induction
-        this.questions = [
-            {
-                id: 1,
-                title: "Generator Coil EMF",
-                scenario: "A generator coil rotates through one-fourth of a revolution (θ=0° to θ=90°) in 15 ms.",
-                data: [
-                    "Turns (N) = 200",
-                    "Radius (r) = 5.00 cm = 0.05 m",
-                    "Magnetic Field (B) = 1.25 T",
-                    "Time (Δt) = 15 ms = 15 × 10⁻³ s"
-                ],
-                question: "Calculate the induced EMF.",
-                hint: "Use Faraday's Law: ε = -N(dΦ/dt). Remember that flux Φ = BA·cos(θ).",
-                solution: {
-                    formula: "ε = -N × dΦ/dt = -NBA × d(cos θ)/dt",
-                    steps: [
-                        "Area A = πr² = π × (0.05)² = 7.85 × 10⁻³ m²",
-                        "Change in cos θ: cos(90°) - cos(0°) = 0 - 1 = -1",
-                        "ε = -200 × 1.25 × 7.85×10⁻³ × (-1)/(15×10⁻³)",
-                        "ε = -200 × 1.25 × 7.85×10⁻³ × (-66.67)"
-                    ],
-                    answer: "131 V",
-                    explanation: "The EMF is induced because the magnetic flux through the coil changes as it rotates."
-                },
-                difficulty: "Medium"
-            },
-            {
-                id: 2,
-                title: "Self-Inductance Circuit",
-                scenario: "A coil is connected in series with a switch to a battery.",
-                data: [
-                    "Self-inductance (L) = 5.0 H",
-                    "Voltage (V) = 12 V",
-                    "Total Resistance (R) = 6.0 Ω"
-                ],
-                question: "Calculate: (a) Rate of current growth when switch is closed, (b) Final current value, (c) Energy stored when current is maximum.",
-                hint: "At t=0, all voltage appears across the inductor. Final current is when inductor acts as wire.",
-                solution: {
-                    formula: "Back EMF: ε = -L(dI/dt), Energy: E = ½LI²",
-                    steps: [
-                        "(a) At t=0, I=0, so back EMF = -V = -12V",
-                        "    -L(dI/dt) = -12, so dI/dt = 12/5 = 2.4 A/s",
-                        "(b) Final current: I = V/R = 12/6 = 2.0 A",
-                        "(c) Energy: E = ½ × 5 × (2)² = 10 J"
-                    ],
-                    answer: "(a) 2.4 A/s, (b) 2.0 A, (c) 10 J",
-                    explanation: "The inductor opposes change in current. Initially all voltage appears across it, but finally it acts as a wire."
-                },
-                difficulty: "Hard"
-            },
-            {
-                id: 3,
-                title: "Coil Near Bar Magnet",
-                scenario: "A small coil is positioned along the axis of a large bar magnet. A graph shows B vs distance.",
-                data: [
-                    "Coil Area (A) = 0.40 cm² = 0.4 × 10⁻⁴ m²",
-                    "Turns (N) = 150",
-                    "At x = 5.0 cm: B = 50 mT",
-                    "At x = 15.0 cm: B = 8 mT",
-                    "Time to move from 5cm to 15cm: Δt = 0.30 s"
-                ],
-                question: "Calculate the average induced EMF when the coil moves from 5cm to 15cm.",
-                hint: "Find the change in flux linkage, then divide by time. Flux linkage = NBA.",
-                solution: {
-                    formula: "ε = ΔΦ/Δt, where Φ = NBA",
-                    steps: [
-                        "Initial flux linkage: Φ₁ = 150 × 50×10⁻³ × 0.4×10⁻⁴ = 3×10⁻⁴ Wb",
-                        "Final flux linkage: Φ₂ = 150 × 8×10⁻³ × 0.4×10⁻⁴ = 4.8×10⁻⁵ Wb",
-                        "Change: ΔΦ = |Φ₂ - Φ₁| = 2.52×10⁻⁴ Wb",
-                        "EMF: ε = 2.52×10⁻⁴ / 0.30 = 8.4×10⁻⁴ V"
-                    ],
-                    answer: "8.4 × 10⁻⁴ V (0.84 mV)",
-                    explanation: "Faraday's Law: The magnitude of induced EMF equals the rate of change of magnetic flux linkage."
-                },
-                difficulty: "Medium"
-            },
-            {
-                id: 4,
-                title: "Lenz's Law Application",
-                scenario: "A bar magnet (North pole facing solenoid) is moved away from a solenoid connected to a galvanometer.",
-                data: [
-                    "The magnet is pulled away from the solenoid",
-                    "North pole faces the solenoid"
-                ],
-                question: "Describe and explain the galvanometer observation. Which way does current flow?",
-                hint: "Lenz's Law: The induced current opposes the change. If flux is decreasing, the induced current will try to maintain it.",
-                solution: {
-                    formula: "Lenz's Law: Induced current opposes the change in flux",
-                    steps: [
-                        "1. When magnet moves away, magnetic flux through solenoid decreases",
-                        "2. By Faraday's Law, changing flux induces an EMF and current",
-                        "3. By Lenz's Law, the induced current opposes the change",
-                        "4. To attract the retreating North pole, the solenoid end becomes a South pole",
-                        "5. Looking from magnet's side: current flows CLOCKWISE"
-                    ],
-                    answer: "Galvanometer deflects. Current flows to create a South pole facing the retreating magnet.",
-                    explanation: "Lenz's Law ensures energy conservation - work must be done to move the magnet."
-                },
-                difficulty: "Easy"
-            },
-            {
-                id: 5,
-                title: "Pacemaker Induction",
-                scenario: "A pacemaker setup with a small coil (inside chest) and large coil (outside chest).",
-                data: [
-                    "Small Coil: N=150, Area=1.0 cm² (10⁻⁴ m²)",
-                    "Large Coil: N=500, Radius=10 cm (0.1 m), R=10 Ω",
-                    "Battery: EMF=60 V, Internal Resistance r=10 Ω",
-                    "Time for current to drop to zero = 10⁻⁴ s"
-                ],
-                question: "Estimate the instantaneous PD across the small coil when the external circuit is opened.",
-                hint: "Calculate the B-field at center of large coil, then find flux linkage in small coil. Use rapid change in time.",
-                solution: {
-                    formula: "B = μ₀NI/(2r), Φ = NBA, ε = ΔΦ/Δt",
-                    steps: [
-                        "Step 1: Current in large coil: I = 60/(10+10) = 3 A",
-                        "Step 2: B-field at center: B = (4π×10⁻⁷)(500)(3)/(2×0.1) = 3π×10⁻³ T",
-                        "Step 3: Flux linkage in small coil: Φ = 150 × 3π×10⁻³ × 10⁻⁴ = 1.41×10⁻⁴ Wb",
-                        "Step 4: Induced EMF: ε = 1.41×10⁻⁴ / 10⁻⁴ = 1.41 V"
-                    ],
-                    answer: "1.41 V",
-                    explanation: "The very rapid change when switching OFF (short Δt) produces a much larger EMF than switching ON."
-                },
-                difficulty: "Hard"
-            }
-        ];
+        this.score = { correct: 0, total: 0 };
+
+        // Graded or self-marked results by question id, recorded once per attempt
+        this.results = {};
+
+        // Answers (see QuestionTypes.js) and time on screen by question id, for the
+        // results report. In practice an answer is fixed once it has been checked.
+        this.responses = {};
+        this.timeSpent = {};
+        this.shownQuestion = null;
+
+        // Set while a timed mock exam runs (and for its report):
+        // { minutes, startedAt, deadline, timerId, submittedAt, autoSubmitted }
+        this.mockExam = null;
+
+        // The question to come back to after exploring it in 3D
+        this.returnPoint = null;
+
+        // The clickable 3D view for a 'scene' question: { group, targets, picked }
+        this.sceneView = null;
+
+        // Leitner boxes for every question answered, kept between visits. Questions
+        // answered after a hint or asking EM-Vee are recorded as 'hinted'.
+        this.scheduler = new ReviewScheduler();
+        this.assisted = new Set();
+        this.reviewSession = false;
+
+        // Questions from bundled and imported bank files, loaded on first visit
+        this.bankQuestions = [];
+        this.banksLoaded = false;
+        this.filters = { topic: 'all', difficulty: 'all' };
+
+        this.questions = this.buildQuestionSet();
+        this.updateScore();
     }
 
     init() {
@@ -158,7 +111,16 @@ export class ExamPracticeModule {
 
         // Create exam practice UI
         this.createExamUI();
-        this.showQuestion(0);
+        if (this.returnPoint) {
+            this.restoreReturnPoint();
+        } else {
+            this.showQuestion(0);
+        }
+
+        if (!this.banksLoaded) {
+            this.banksLoaded = true;
+            this.loadQuestionBanks();
+        }
     }
 
     createExamUI() {
@@ -177,8 +139,41 @@ export class ExamPracticeModule {
                         <h1 class="exam-main-title">Electromagnetic Induction</h1>
                         <h2 class="exam-subtitle">Topic 5 Practice Questions</h2>
                     </div>
+                    <div class="exam-filters">
+                        <label>
+                            Topic
+                            <select id="exam-topic-filter">
+                                <option value="all">All topics</option>
+                                ${LEARNER_TOPICS.map(topic => `<option value="${topic.id}">${escapeHtml(topic.title)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            Difficulty
+                            <select id="exam-difficulty-filter">
+                                <option value="all">Any difficulty</option>
+                                ${DIFFICULTIES.map(level => `<option value="${level}">${level}</option>`).join('')}
+                            </select>
+                        </label>
+                        <button class="exam-btn secondary" id="import-questions-btn" title="Add questions from a JSON or YAML question bank">
+                            <span class="btn-icon">📂</span>
+                            Import Questions
+                        </button>
+                        <input type="file" id="import-questions-input" accept=".json,.yaml,.yml" hidden>
+                        <button class="exam-btn secondary" id="review-due-btn" title="Questions you got wrong or that are due again">
+                            <span class="btn-icon">🔁</span>
+                            Review due (<span id="review-due-count">0</span>)
+                        </button>
+                        <button class="exam-btn secondary" id="mock-exam-btn" title="Timed exam with hints and EM-Vee locked">
+                            <span class="btn-icon">⏱️</span>
+                            Mock Exam
+                        </button>
+                        <span class="exam-bank-status" id="exam-bank-status"></span>
+                    </div>
                     <div class="exam-progress">
-                        <div class="progress-text">Question <span id="current-q-num">1</span> of <span id="total-q-num">5</span></div>
+                        <div class="progress-text">
+                            Question <span id="current-q-num">1</span> of <span id="total-q-num">5</span>
+                            <span class="mock-timer hidden" id="mock-timer">⏱️ <span id="mock-time-left">0:00</span></span>
+                        </div>
                         <div class="progress-bar">
                             <div class="progress-fill" id="progress-fill" style="width: 20%"></div>
                         </div>
@@ -200,10 +195,22 @@ export class ExamPracticeModule {
                         <span class="btn-icon">💡</span>
                         Get Hint
                     </button>
+                    <button class="exam-btn secondary" id="new-numbers-btn" title="Same question, different numbers">
+                        <span class="btn-icon">🎲</span>
+                        New Numbers
+                    </button>
                     <button class="exam-btn secondary" id="ask-ai-btn">
                         <span class="btn-icon">🤖</span>
                         Ask EM-Vee
                     </button>
+                    <button class="exam-btn secondary hidden" id="explore-btn" title="Open the matching simulation, set up like the question">
+                        <span class="btn-icon">🧊</span>
+                        Explore this in 3D
+                    </button>
+                    <button class="exam-btn secondary hidden" id="prev-btn">
+                        <span class="btn-icon">←</span>
+                        Previous
+                    </button>
                     <button class="exam-btn primary" id="show-answer-btn">
                         <span class="btn-icon">✓</span>
                         Show Answer
@@ -212,6 +219,10 @@ export class ExamPracticeModule {
                         <span class="btn-icon">→</span>
                         Next Question
                     </button>
+                    <button class="exam-btn primary hidden" id="submit-exam-btn">
+                        <span class="btn-icon">📤</span>
+                        Submit Exam
+                    </button>
                 </div>
             </div>
         `;
@@ -221,76 +232,514 @@ export class ExamPracticeModule {
     }
 
     showQuestion(index) {
+        if (this.questions.length === 0) {
+            this.showEmptyState();
+            return;
+        }
         if (index < 0 || index >= this.questions.length) return;
 
+        this.trackQuestionTime();
+        this.hideSceneView();
         this.currentQuestion = index;
         this.showingAnswer = false;
         const q = this.questions[index];
 
-        // Update progress
-        document.getElementById('current-q-num').textContent = index + 1;
-        document.getElementById('total-q-num').textContent = this.questions.length;
-        document.getElementById('progress-fill').style.width = `${((index + 1) / this.questions.length) * 100}%`;
+        this.updateProgress();
 
         // Show question card
         const questionCard = document.getElementById('question-card');
         questionCard.innerHTML = `
             <div class="question-header">
                 <span class="question-number">Question ${index + 1}</span>
-                <span class="difficulty-badge ${q.difficulty.toLowerCase()}">${q.difficulty}</span>
+                ${q.source ? `<span class="question-source">${escapeHtml(q.source)}</span>` : ''}
+                <span class="difficulty-badge ${escapeHtml(q.difficulty.toLowerCase())}">${escapeHtml(q.difficulty)}</span>
             </div>
-            <h3 class="question-title">${q.title}</h3>
+            <h3 class="question-title">${renderInline(q.title)}</h3>
             <div class="scenario">
-                <p>${q.scenario}</p>
+                <p>${renderInline(q.scenario)}</p>
             </div>
             <div class="data-section">
                 <h4>Given Data:</h4>
                 <ul>
-                    ${q.data.map(d => `<li>${d}</li>`).join('')}
+                    ${q.data.map(d => `<li>${renderInline(d)}</li>`).join('')}
                 </ul>
             </div>
             <div class="question-text">
                 <h4>Question:</h4>
-                <p>${q.question}</p>
+                <p>${renderInline(q.question)}</p>
             </div>
+            ${isAutoMarked(q) ? this.getAnswerEntryHTML(q) : ''}
         `;
         questionCard.classList.remove('hidden');
 
+        if (isAutoMarked(q)) {
+            this.setupAnswerEntry(q);
+        }
+        if (questionType(q) === 'scene') {
+            this.showSceneView(q);
+        }
+
         // Hide answer card
         document.getElementById('answer-card').classList.add('hidden');
 
-        // Update buttons
-        document.getElementById('show-answer-btn').classList.remove('hidden');
-        document.getElementById('next-btn').classList.add('hidden');
+        this.updateControls(q);
+        this.shownQuestion = { id: q.id, shownAt: Date.now() };
+    }
+
+    /**
+     * Show the buttons for practice or mock exam mode
+     */
+    updateControls(q) {
+        const mock = this.mockExam !== null;
+        const isLast = this.currentQuestion === this.questions.length - 1;
+
+        document.querySelectorAll('#hint-btn, #ask-ai-btn').forEach(btn => {
+            btn.classList.remove('hidden');
+            btn.disabled = mock;
+            btn.title = mock ? 'Locked during the mock exam' : '';
+        });
+        document.getElementById('new-numbers-btn').classList.toggle('hidden', mock || !q.templateId || Object.keys(q.params).length === 0);
+        document.getElementById('show-answer-btn').classList.toggle('hidden', mock);
+        document.getElementById('explore-btn').classList.toggle('hidden', mock || !q.module);
+
+        const prevBtn = document.getElementById('prev-btn');
+        prevBtn.classList.toggle('hidden', !mock);
+        prevBtn.disabled = this.currentQuestion === 0;
+
+        // In practice mode Next appears once the solution is shown
+        const nextBtn = document.getElementById('next-btn');
+        nextBtn.innerHTML = '<span class="btn-icon">→</span> Next Question';
+        nextBtn.classList.toggle('hidden', !mock || isLast);
+        nextBtn.classList.toggle('secondary', mock);
+        nextBtn.classList.toggle('primary', !mock);
+
+        document.getElementById('submit-exam-btn').classList.toggle('hidden', !mock);
+    }
+
+    /**
+     * Add the time the current question has been on screen to its total
+     */
+    trackQuestionTime() {
+        if (!this.shownQuestion) return;
+
+        const { id, shownAt } = this.shownQuestion;
+        this.timeSpent[id] = (this.timeSpent[id] || 0) + (Date.now() - shownAt);
+        this.shownQuestion = null;
+    }
+
+    updateProgress() {
+        const total = this.questions.length;
+        const current = total > 0 ? this.currentQuestion + 1 : 0;
+        document.getElementById('current-q-num').textContent = current;
+        document.getElementById('total-q-num').textContent = total;
+        document.getElementById('progress-fill').style.width = `${total > 0 ? (current / total) * 100 : 0}%`;
+    }
+
+    /**
+     * Shown when the filters leave no questions
+     */
+    showEmptyState() {
+        this.trackQuestionTime();
+        this.hideSceneView();
+        this.currentQuestion = 0;
+        this.showingAnswer = false;
+        this.updateProgress();
+
+        const questionCard = document.getElementById('question-card');
+        questionCard.innerHTML = `
+            <div class="exam-empty">
+                <p>No questions match these filters yet.</p>
+                <button class="exam-btn secondary" id="clear-filters-btn">Show all questions</button>
+            </div>
+        `;
+        questionCard.classList.remove('hidden');
+        document.getElementById('clear-filters-btn').addEventListener('click', () => {
+            this.setFilters({ topic: 'all', difficulty: 'all' });
+        });
+
+        document.getElementById('answer-card').classList.add('hidden');
+        document.querySelectorAll('.exam-controls .exam-btn').forEach(btn => btn.classList.add('hidden'));
+    }
+
+    /**
+     * Questions matching the current filters: fresh template questions, then bank questions
+     */
+    buildQuestionSet() {
+        const weakTopics = this.app.learnerProfile.getWeakTopics().map(topic => topic.id);
+        return this.scheduler.order(this.getQuestionPool().filter(q => this.matchesFilters(q)), { weakTopics });
+    }
+
+    /**
+     * Every available question, with fresh numbers for the templates
+     */
+    getQuestionPool() {
+        return [...generateQuestionSet(), ...this.bankQuestions];
+    }
+
+    matchesFilters(q) {
+        const { topic, difficulty } = this.filters;
+        return (topic === 'all' || q.topics.includes(topic)) &&
+            (difficulty === 'all' || q.difficulty === difficulty);
+    }
+
+    setFilters(filters) {
+        this.filters = { ...this.filters, ...filters };
+        this.reviewSession = false;
+        document.getElementById('exam-topic-filter').value = this.filters.topic;
+        document.getElementById('exam-difficulty-filter').value = this.filters.difficulty;
+
+        this.questions = this.buildQuestionSet();
+        this.updateScore();
+        this.showQuestion(0);
+    }
+
+    /**
+     * Ids that bank questions may use for topics and linked modules
+     */
+    getBankOptions() {
+        return {
+            topics: LEARNER_TOPICS.map(topic => topic.id),
+            modules: Object.keys(this.app.modules)
+        };
+    }
+
+    /**
+     * Load the bundled banks and any the user imported before. Problems are logged
+     * and summarised in the header, never fatal.
+     */
+    async loadQuestionBanks() {
+        const options = this.getBankOptions();
+        const bundled = await loadBundledQuestionBanks(options);
+        const imported = loadImportedQuestionBanks(options);
+
+        const banks = [...bundled.banks, ...imported.banks];
+        const errors = [...bundled.errors, ...imported.errors, ...imported.banks.flatMap(bank => bank.errors)];
+        errors.forEach(error => console.warn('Question bank:', error));
+
+        this.addBankQuestions(banks.flatMap(bank => bank.questions));
+        this.updateReviewButton();
+        this.setBankStatus(errors.length > 0 ?
+            `${errors.length} question bank problem${errors.length === 1 ? '' : 's'} (see console)` : '');
+    }
+
+    /**
+     * Add bank questions (replacing any with the same id) and append the ones
+     * matching the filters to the current set
+     */
+    addBankQuestions(questions) {
+        const ids = new Set(questions.map(q => q.id));
+        const current = this.questions[this.currentQuestion];
+
+        this.bankQuestions = [...this.bankQuestions.filter(q => !ids.has(q.id)), ...questions];
+        this.questions = [...this.questions.filter(q => !ids.has(q.id)), ...questions.filter(q => this.matchesFilters(q))];
+        this.updateScore();
+
+        // Only redraw if the question view is on screen
+        if (this.app.currentModule !== this || !document.getElementById('question-card')) return;
+
+        const index = this.questions.indexOf(current);
+        if (index === -1) {
+            this.showQuestion(0);
+        } else {
+            this.currentQuestion = index;
+            this.updateProgress();
+        }
+    }
+
+    async importQuestionBank(file) {
+        try {
+            const bank = await loadQuestionBankFile(file, this.getBankOptions());
+            saveImportedQuestionBank(file.name, bank.raw);
+            bank.errors.forEach(error => console.warn('Question bank:', error));
+
+            this.addBankQuestions(bank.questions);
+
+            const skipped = bank.errors.length > 0 ? `, ${bank.errors.length} skipped (see console)` : '';
+            this.setBankStatus(`Imported ${bank.questions.length} from ${bank.title}${skipped}`);
+            this.app.showToast(`📂 Added ${bank.questions.length} question${bank.questions.length === 1 ? '' : 's'} from ${bank.title}`);
+
+            const imported = new Set(bank.questions.map(q => q.id));
+            // Jump to the first new question, unless the filters hide them all
+            const index = this.questions.findIndex(q => imported.has(q.id));
+            if (index !== -1) this.showQuestion(index);
+        } catch (error) {
+            console.warn('Question bank import failed:', error);
+            this.setBankStatus(error.message);
+            this.app.showToast('⚠️ Could not import that question bank');
+        }
+    }
+
+    setBankStatus(text) {
+        const status = document.getElementById('exam-bank-status');
+        if (status) status.textContent = text;
+    }
+
+    /**
+     * Inputs for the question's answer, filled in from any saved response
+     */
+    getAnswerEntryHTML(q) {
+        const response = this.responses[q.id];
+        let heading = 'Your Answer:';
+        let fields;
+
+        switch (questionType(q)) {
+            case 'choice':
+            case 'multi': {
+                const multi = questionType(q) === 'multi';
+                const chosen = multi ? (response || []) : [response];
+                if (multi) heading = 'Your Answer (select all that apply):';
+                fields = `
+                    <div class="answer-choices">
+                        ${q.choices.map((choice, index) => `
+                            <label class="answer-choice">
+                                <input type="${multi ? 'checkbox' : 'radio'}" name="answer-choice" value="${index}"${chosen.includes(index) ? ' checked' : ''}>
+                                <span>${renderInline(choice)}</span>
+                            </label>
+                        `).join('')}
+                    </div>`;
+                break;
+            }
+
+            case 'order': {
+                heading = 'Your Order (use the arrows to move steps):';
+                const order = response || shuffledOrder(q.items.length);
+                fields = `
+                    <ol class="answer-order" id="answer-order">
+                        ${order.map(item => `
+                            <li class="answer-order-item" data-item="${item}">
+                                <span class="answer-order-text">${renderInline(q.items[item])}</span>
+                                <button class="order-btn" data-move="up" title="Move up">↑</button>
+                                <button class="order-btn" data-move="down" title="Move down">↓</button>
+                            </li>
+                        `).join('')}
+                    </ol>`;
+                break;
+            }
+
+            case 'scene':
+                fields = `
+                    <p class="answer-scene-choice">
+                        🖱️ Click your answer in the 3D view. Selected:
+                        <strong id="answer-scene-choice">none yet</strong>
+                    </p>`;
+                break;
+
+            default:
+                fields = q.answers.map((answer, index) => `
+                    <div class="answer-field">
+                        <label for="answer-input-${index}">${renderInline(answer.label)}</label>
+                        <input type="text" class="answer-input" id="answer-input-${index}" placeholder="Value and unit, e.g. 3.2 mV" autocomplete="off" spellcheck="false" value="${escapeHtml(response?.[index] || '')}">
+                        <div class="answer-feedback" id="answer-feedback-${index}"></div>
+                    </div>
+                `).join('');
+        }
+
+        return `
+            <div class="answer-entry">
+                <h4>${heading}</h4>
+                ${fields}
+                ${this.mockExam ? '<p class="answer-status">Answers are marked when you submit the exam.</p>' : `
+                <button class="exam-btn primary" id="check-answer-btn">
+                    <span class="btn-icon">✓</span>
+                    Check Answer
+                </button>
+                <p class="answer-status" id="answer-status"></p>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Wire up the answer inputs: keep the response as it changes, and check it on request
+     */
+    setupAnswerEntry(q) {
+        const questionCard = document.getElementById('question-card');
+        questionCard.querySelector('.answer-entry').addEventListener('input', () => this.saveResponse(q));
+
+        questionCard.querySelectorAll('.order-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const item = btn.closest('.answer-order-item');
+                if (btn.dataset.move === 'up' && item.previousElementSibling) {
+                    item.parentNode.insertBefore(item, item.previousElementSibling);
+                } else if (btn.dataset.move === 'down' && item.nextElementSibling) {
+                    item.parentNode.insertBefore(item.nextElementSibling, item);
+                }
+                this.saveResponse(q);
+            });
+        });
+        // Keep the shuffled starting order, so it doesn't change on the next visit
+        if (questionType(q) === 'order') this.saveResponse(q);
+
+        if (!this.mockExam) {
+            document.getElementById('check-answer-btn').addEventListener('click', () => this.checkAnswer());
+            questionCard.querySelectorAll('.answer-input').forEach(input => {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') this.checkAnswer();
+                });
+            });
+        }
+    }
+
+    /**
+     * The answer as currently entered on screen
+     */
+    readResponse(q) {
+        const questionCard = document.getElementById('question-card');
+        switch (questionType(q)) {
+            case 'choice': {
+                const checked = questionCard.querySelector('input[name="answer-choice"]:checked');
+                return checked ? Number(checked.value) : null;
+            }
+            case 'multi':
+                return [...questionCard.querySelectorAll('input[name="answer-choice"]:checked')].map(input => Number(input.value));
+            case 'order':
+                return [...questionCard.querySelectorAll('.answer-order-item')].map(item => Number(item.dataset.item));
+            case 'scene':
+                return this.sceneView?.picked ?? null;
+            default:
+                return q.answers.map((answer, index) => document.getElementById(`answer-input-${index}`).value);
+        }
+    }
+
+    /**
+     * Remember the answer on screen, unless a checked answer has already been recorded
+     */
+    saveResponse(q) {
+        if (this.results[q.id] !== undefined) return;
+        this.responses[q.id] = this.readResponse(q);
+    }
+
+    /**
+     * Mark the answer on screen. The first complete attempt counts towards the
+     * score; later attempts still get feedback.
+     */
+    checkAnswer() {
+        const q = this.questions[this.currentQuestion];
+        const response = this.readResponse(q);
+        const grade = gradeResponse(q, response);
+
+        // Numeric questions get feedback on each part
+        (grade.grades || []).forEach((partGrade, index) => {
+            const input = document.getElementById(`answer-input-${index}`);
+            const feedback = document.getElementById(`answer-feedback-${index}`);
+            feedback.textContent = partGrade.message;
+            feedback.className = `answer-feedback ${partGrade.status}`;
+            input.classList.toggle('correct', partGrade.status === 'correct');
+            input.classList.toggle('incorrect', partGrade.status === 'incorrect');
+        });
+
+        const status = document.getElementById('answer-status');
+        if (grade.status === 'invalid') {
+            status.textContent = grade.message;
+            return;
+        }
+
+        const correct = grade.status === 'correct';
+        const firstAttempt = this.results[q.id] === undefined;
+        if (firstAttempt) {
+            this.responses[q.id] = response;
+            this.recordResult(correct);
+        }
+
+        if (correct) {
+            status.textContent = firstAttempt ? '🎉 Correct! Saved to your progress.' : '🎉 Correct this time (your first attempt is the one that counts).';
+        } else if (questionType(q) === 'numeric') {
+            status.textContent = firstAttempt ? 'Not quite. Saved to your progress, but keep trying or use a hint.' : 'Still not quite. Check the feedback above.';
+        } else {
+            status.textContent = `${grade.message} ${firstAttempt ? 'Saved to your progress, but keep trying or use a hint.' : 'Still not quite.'}`;
+        }
+    }
+
+    /**
+     * Show the 3D scene for a 'scene' question beside it and let the student click
+     * their answer. The question stays on the left.
+     */
+    showSceneView(q) {
+        const { sceneManager } = this.app;
+        const { group, targets, camera } = buildPickScene(q.scene, this.app.components);
+
+        this.sceneView = { group, targets, picked: null };
+        const pick = (targetId) => {
+            this.sceneView.picked = targetId;
+            targets.forEach(target => target.highlight(target.id === targetId));
+            const label = SCENE_TARGETS[q.scene.kind].find(target => target.id === targetId)?.label;
+            document.getElementById('answer-scene-choice').textContent = label || targetId;
+        };
+
+        sceneManager.add(group);
+        sceneManager.camera.position.set(...camera.position);
+        sceneManager.controls.target.set(...camera.target);
+        sceneManager.controls.update();
+
+        const canvasContainer = document.getElementById('canvas-container');
+        canvasContainer.style.display = '';
+        canvasContainer.classList.add('exam-scene-view');
+        document.getElementById('exam-practice-ui').classList.add('with-scene');
+        sceneManager.handleResize();
+
+        if (this.responses[q.id]) pick(this.responses[q.id]);
+
+        this.app.startScenePick(targets.map(target => target.object), (object) => {
+            pick(object.userData.targetId);
+            this.saveResponse(q);
+        });
+    }
+
+    hideSceneView() {
+        if (!this.sceneView) return;
+
+        const { sceneManager } = this.app;
+        this.app.stopScenePick();
+        sceneManager.remove(this.sceneView.group);
+        disposePickScene(this.sceneView.group);
+        this.sceneView = null;
+
+        const canvasContainer = document.getElementById('canvas-container');
+        canvasContainer.classList.remove('exam-scene-view');
+        canvasContainer.style.display = 'none';
+        document.getElementById('exam-practice-ui')?.classList.remove('with-scene');
+        sceneManager.resetCamera();
+        sceneManager.handleResize();
     }
 
     showAnswer() {
         const q = this.questions[this.currentQuestion];
         const answerCard = document.getElementById('answer-card');
 
+        // Once the solution is on screen, answers no longer test anything
+        document.querySelectorAll('#question-card .answer-entry input, #question-card .answer-entry button').forEach(el => {
+            el.disabled = true;
+        });
+        // The highlight moves to the right answer
+        if (this.sceneView) {
+            this.app.stopScenePick();
+            this.sceneView.targets.forEach(target => target.highlight(target.id === q.scene.correct));
+        }
+
         answerCard.innerHTML = `
             <div class="answer-header">
                 <h3>📝 Solution</h3>
             </div>
             <div class="formula-section">
                 <h4>Key Formula:</h4>
-                <div class="formula">${q.solution.formula}</div>
+                <div class="formula">${renderInline(q.solution.formula)}</div>
             </div>
             <div class="steps-section">
                 <h4>Step-by-Step Solution:</h4>
                 <ol>
-                    ${q.solution.steps.map(s => `<li>${s}</li>`).join('')}
+                    ${q.solution.steps.map(s => `<li>${renderInline(s)}</li>`).join('')}
                 </ol>
             </div>
             <div class="final-answer">
                 <h4>Final Answer:</h4>
-                <div class="answer-box">${q.solution.answer}</div>
+                <div class="answer-box">${renderInline(q.solution.answer)}</div>
             </div>
             <div class="explanation">
                 <h4>Key Concept:</h4>
-                <p>${q.solution.explanation}</p>
+                <p>${renderInline(q.solution.explanation)}</p>
             </div>
+            <div class="self-check" id="self-check"></div>
         `;
+        this.renderSelfCheck();
 
         answerCard.classList.remove('hidden');
         this.showingAnswer = true;
@@ -305,8 +754,396 @@ export class ExamPracticeModule {
         }
     }
 
+    /**
+     * Ask the student to mark their own answer, or show how they marked it
+     */
+    renderSelfCheck() {
+        const q = this.questions[this.currentQuestion];
+        const selfCheck = document.getElementById('self-check');
+        const result = this.results[q.id];
+        if (!selfCheck) return;
+
+        if (result !== undefined) {
+            selfCheck.innerHTML = `<p class="self-check-result ${result ? 'correct' : 'incorrect'}">${result ? '✓ Marked correct' : '✗ Marked for review'} · saved to your progress</p>`;
+            return;
+        }
+
+        selfCheck.innerHTML = `
+            <h4>How did you do?</h4>
+            <div class="self-check-buttons">
+                <button class="exam-btn secondary" data-correct="true">✓ I got it right</button>
+                <button class="exam-btn secondary" data-correct="false">✗ Not quite</button>
+            </div>
+        `;
+        selfCheck.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', () => this.recordResult(btn.dataset.correct === 'true'));
+        });
+    }
+
+    /**
+     * Record the current question's result in the score and the learner profile
+     */
+    recordResult(correct) {
+        const q = this.questions[this.currentQuestion];
+        if (this.results[q.id] !== undefined) return;
+
+        this.results[q.id] = correct;
+        this.updateScore();
+        this.app.learnerProfile.recordExamResult({ topics: q.topics, correct });
+        this.scheduler.recordOutcome(q, !correct ? 'wrong' : this.assisted.has(q.id) ? 'hinted' : 'correct');
+        this.updateReviewButton();
+        this.renderSelfCheck();
+    }
+
+    /**
+     * Show how many questions are due for review
+     */
+    updateReviewButton() {
+        const button = document.getElementById('review-due-btn');
+        if (!button) return;
+
+        const due = this.scheduler.getDue(this.getQuestionPool()).length;
+        document.getElementById('review-due-count').textContent = due;
+        button.disabled = due === 0 || this.reviewSession;
+        button.title = due === 0 ? 'Nothing is due for review yet' : 'Questions you got wrong or that are due again';
+    }
+
+    /**
+     * Start a session of just the questions due for review, most urgent first.
+     * Filters don't apply, so the count on the button is what you get.
+     */
+    startReview() {
+        const due = this.scheduler.getDue(this.getQuestionPool());
+        if (due.length === 0) return;
+
+        this.trackQuestionTime();
+        this.reviewSession = true;
+        this.questions = due;
+        this.results = {};
+        this.responses = {};
+        this.timeSpent = {};
+        this.updateScore();
+        this.createExamUI();
+        this.showQuestion(0);
+        this.app.showToast(`🔁 Reviewing ${due.length} question${due.length === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Score over the current set of questions
+     */
+    updateScore() {
+        this.score.total = this.questions.length;
+        this.score.correct = this.questions.filter(q => this.results[q.id]).length;
+    }
+
+    /**
+     * Replace the current question with the same template and new numbers
+     */
+    newNumbers() {
+        const template = getQuestionTemplate(this.questions[this.currentQuestion].templateId);
+        if (!template) return;
+
+        this.questions[this.currentQuestion] = generateQuestion(template);
+        this.updateScore();
+        this.showQuestion(this.currentQuestion);
+    }
+
+    /**
+     * Choose the length and time limit of a mock exam. Only questions that can be
+     * marked automatically are used.
+     */
+    showMockExamSetup() {
+        const available = this.buildQuestionSet().filter(isAutoMarked).length;
+        const lengths = [...new Set([...MOCK_EXAM_LENGTHS.filter(count => count < available), available])];
+
+        this.trackQuestionTime();
+        this.hideSceneView();
+        document.getElementById('answer-card').classList.add('hidden');
+        document.querySelectorAll('.exam-controls .exam-btn').forEach(btn => btn.classList.add('hidden'));
+
+        const questionCard = document.getElementById('question-card');
+        if (available === 0) {
+            questionCard.innerHTML = `
+                <div class="exam-empty">
+                    <p>None of the questions matching these filters can be marked automatically, so they can't make a mock exam.</p>
+                    <button class="exam-btn secondary" id="mock-cancel-btn">Back to practice</button>
+                </div>
+            `;
+        } else {
+            questionCard.innerHTML = `
+                <div class="mock-setup">
+                    <h3 class="question-title">⏱️ Mock Exam</h3>
+                    <p>Answer under timed conditions. Hints and EM-Vee are locked, nothing is marked until you submit, and your answers are submitted automatically when time runs out.</p>
+                    <div class="exam-filters">
+                        <label>
+                            Questions
+                            <select id="mock-count">
+                                ${lengths.map(count => `<option value="${count}"${count === Math.min(5, available) ? ' selected' : ''}>${count}${count === available ? ' (all)' : ''}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            Time limit
+                            <select id="mock-minutes">
+                                ${MOCK_EXAM_MINUTES.map(minutes => `<option value="${minutes}"${minutes === MOCK_EXAM_DEFAULT_MINUTES ? ' selected' : ''}>${minutes} minutes</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="completion-actions">
+                        <button class="exam-btn primary" id="mock-start-btn">
+                            <span class="btn-icon">▶</span>
+                            Start Exam
+                        </button>
+                        <button class="exam-btn secondary" id="mock-cancel-btn">Cancel</button>
+                    </div>
+                </div>
+            `;
+            document.getElementById('mock-start-btn').addEventListener('click', () => {
+                this.startMockExam(
+                    parseInt(document.getElementById('mock-count').value),
+                    parseInt(document.getElementById('mock-minutes').value)
+                );
+            });
+        }
+        questionCard.classList.remove('hidden');
+
+        document.getElementById('mock-cancel-btn').addEventListener('click', () => {
+            this.showQuestion(this.currentQuestion);
+        });
+    }
+
+    startMockExam(count, minutes) {
+        const startedAt = Date.now();
+        this.mockExam = {
+            minutes,
+            startedAt,
+            deadline: startedAt + minutes * 60 * 1000,
+            timerId: setInterval(() => this.updateTimer(), 1000),
+            submittedAt: null,
+            autoSubmitted: false
+        };
+
+        this.questions = shuffle(this.buildQuestionSet().filter(isAutoMarked)).slice(0, count);
+        this.results = {};
+        this.responses = {};
+        this.timeSpent = {};
+        this.updateScore();
+
+        if (this.app.geminiTutor) {
+            this.app.geminiTutor.setExamLock(true);
+        }
+
+        document.querySelector('.exam-header .exam-filters').classList.add('hidden');
+        document.getElementById('mock-timer').classList.remove('hidden');
+        this.updateTimer();
+        this.showQuestion(0);
+    }
+
+    /**
+     * Tick the countdown, submitting automatically at zero
+     */
+    updateTimer() {
+        if (!this.mockExam || this.mockExam.submittedAt) return;
+
+        const remaining = Math.max(0, this.mockExam.deadline - Date.now());
+        const timer = document.getElementById('mock-timer');
+        document.getElementById('mock-time-left').textContent = formatDuration(remaining);
+        timer.classList.toggle('warning', remaining <= MOCK_EXAM_WARNING_MS);
+
+        if (remaining === 0) {
+            this.submitMockExam({ auto: true });
+        }
+    }
+
+    /**
+     * Stop the clock, unlock the tutor and mark every answer
+     */
+    submitMockExam({ auto = false } = {}) {
+        if (!this.mockExam || this.mockExam.submittedAt) return;
+
+        if (!auto) {
+            const unanswered = this.questions.filter(q => !hasResponse(q, this.responses[q.id])).length;
+            const remaining = formatDuration(this.mockExam.deadline - Date.now());
+            const warning = unanswered > 0 ? `${unanswered} question${unanswered === 1 ? ' is' : 's are'} not fully answered. ` : '';
+            if (!confirm(`${warning}Submit your exam with ${remaining} left?`)) return;
+        }
+
+        this.trackQuestionTime();
+        this.hideSceneView();
+        clearInterval(this.mockExam.timerId);
+        this.mockExam.submittedAt = Date.now();
+        this.mockExam.autoSubmitted = auto;
+
+        this.questions.forEach(q => {
+            const correct = gradeResponse(q, this.responses[q.id]).status === 'correct';
+            this.results[q.id] = correct;
+            this.app.learnerProfile.recordExamResult({ topics: q.topics, correct });
+            this.scheduler.recordOutcome(q, correct ? 'correct' : 'wrong');
+        });
+        this.updateScore();
+
+        if (this.app.geminiTutor) {
+            this.app.geminiTutor.setExamLock(false);
+        }
+        if (auto) {
+            this.app.showToast('⏰ Time\'s up! Your answers were submitted.');
+        }
+        this.showCompletion();
+    }
+
+    /**
+     * Leave mock exam mode and go back to a fresh practice set
+     */
+    endMockExam() {
+        if (!this.mockExam) return;
+
+        if (!this.mockExam.submittedAt) {
+            clearInterval(this.mockExam.timerId);
+            if (this.app.geminiTutor) {
+                this.app.geminiTutor.setExamLock(false);
+            }
+        }
+        this.mockExam = null;
+        this.results = {};
+        this.responses = {};
+        this.timeSpent = {};
+        this.questions = this.buildQuestionSet();
+        this.updateScore();
+    }
+
+    /**
+     * Per-question and per-topic results for the report and its exports
+     */
+    buildReport() {
+        const topicScores = new Map();
+        const questions = this.questions.map((q, index) => {
+            const result = this.results[q.id];
+            q.topics.forEach(topicId => {
+                const score = topicScores.get(topicId) || { correct: 0, total: 0 };
+                score.total++;
+                if (result) score.correct++;
+                topicScores.set(topicId, score);
+            });
+
+            return {
+                number: index + 1,
+                id: q.id,
+                title: q.title,
+                type: questionType(q),
+                difficulty: q.difficulty,
+                topics: q.topics,
+                result: result === undefined ? 'unmarked' : result ? 'correct' : 'incorrect',
+                seconds: Math.round((this.timeSpent[q.id] || 0) / 1000),
+                response: describeResponse(q, this.responses[q.id]),
+                expected: describeExpected(q)
+            };
+        });
+
+        const mock = this.mockExam;
+        return {
+            mode: mock ? 'mock exam' : this.reviewSession ? 'review' : 'practice',
+            date: new Date().toISOString(),
+            timeLimitMinutes: mock ? mock.minutes : null,
+            timeUsedSeconds: mock ?
+                Math.round((mock.submittedAt - mock.startedAt) / 1000) :
+                questions.reduce((sum, question) => sum + question.seconds, 0),
+            autoSubmitted: mock ? mock.autoSubmitted : false,
+            score: { ...this.score },
+            topics: LEARNER_TOPICS
+                .filter(topic => topicScores.has(topic.id))
+                .map(topic => ({ id: topic.id, title: topic.title, ...topicScores.get(topic.id) })),
+            questions
+        };
+    }
+
+    exportReport(report, format) {
+        let text;
+        let type;
+        if (format === 'csv') {
+            const rows = [
+                ['Question', 'Title', 'Difficulty', 'Topics', 'Result', 'Time (s)', 'Your answer', 'Expected answer'],
+                ...report.questions.map(q => [q.number, q.title, q.difficulty, q.topics.join('; '), q.result, q.seconds, q.response, q.expected]),
+                [],
+                ['Topic', 'Correct', 'Total'],
+                ...report.topics.map(topic => [topic.title, topic.correct, topic.total])
+            ];
+            text = rows.map(row => row.map(csvCell).join(',')).join('\n');
+            type = 'text/csv';
+        } else {
+            text = JSON.stringify(report, null, 2);
+            type = 'application/json';
+        }
+
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `emlab-${report.mode.replace(' ', '-')}-${report.date.slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open the question's simulation with its preset, leaving a link back to
+     * this question with the typed answers and revealed solution intact
+     */
+    exploreInSimulator() {
+        const q = this.questions[this.currentQuestion];
+        if (!q.module || this.mockExam) return;
+
+        this.returnPoint = {
+            questionId: q.id,
+            fields: [...document.querySelectorAll('#question-card .answer-field')].map(field => ({
+                value: field.querySelector('.answer-input').value,
+                inputClass: field.querySelector('.answer-input').className,
+                feedback: field.querySelector('.answer-feedback').textContent,
+                feedbackClass: field.querySelector('.answer-feedback').className
+            })),
+            status: document.getElementById('answer-status')?.textContent || '',
+            showingAnswer: this.showingAnswer,
+            scrollTop: document.getElementById('exam-practice-ui').scrollTop
+        };
+
+        const { state = {}, caption = '' } = q.simulation || {};
+        const questionNumber = this.currentQuestion + 1;
+        this.app.loadModule(q.module, state);
+        this.app.setActiveModuleItem(q.module);
+        this.app.showReturnLink(`← Back to Question ${questionNumber}`, caption, () => {
+            this.app.loadModule(this.name);
+            this.app.setActiveModuleItem(this.name);
+        });
+    }
+
+    restoreReturnPoint() {
+        const { questionId, fields, status, showingAnswer, scrollTop } = this.returnPoint;
+        this.returnPoint = null;
+
+        const index = this.questions.findIndex(q => q.id === questionId);
+        this.showQuestion(Math.max(index, 0));
+        if (index === -1) return;
+
+        fields.forEach((field, i) => {
+            const input = document.getElementById(`answer-input-${i}`);
+            const feedback = document.getElementById(`answer-feedback-${i}`);
+            if (!input || !feedback) return;
+            input.value = field.value;
+            input.className = field.inputClass;
+            feedback.textContent = field.feedback;
+            feedback.className = field.feedbackClass;
+        });
+        const answerStatus = document.getElementById('answer-status');
+        if (answerStatus) answerStatus.textContent = status;
+
+        if (showingAnswer) this.showAnswer();
+        document.getElementById('exam-practice-ui').scrollTop = scrollTop;
+    }
+
     showHint() {
+        if (this.mockExam) return;
         const q = this.questions[this.currentQuestion];
+        this.assisted.add(q.id);
 
         // Create hint popup
         const hint = document.createElement('div');
@@ -317,7 +1154,7 @@ export class ExamPracticeModule {
                     <span>💡 Hint</span>
                     <button class="hint-close">×</button>
                 </div>
-                <p>${q.hint}</p>
+                <p>${renderInline(q.hint)}</p>
             </div>
         `;
 
@@ -329,7 +1166,9 @@ export class ExamPracticeModule {
     }
 
     askAITutor() {
+        if (this.mockExam) return;
         const q = this.questions[this.currentQuestion];
+        this.assisted.add(q.id);
 
         // Open EM-Vee with context
         if (this.app.geminiTutor) {
@@ -338,7 +1177,8 @@ export class ExamPracticeModule {
             }
 
             // Send contextual question
-            const message = `I'm working on this exam question:\n\n**${q.title}**\n${q.scenario}\n\nGiven: ${q.data.join(', ')}\n\nQuestion: ${q.question}\n\nCan you help me understand how to approach this problem?`;
+            const options = q.choices ? `\n\nOptions:\n${q.choices.map((choice, index) => `${index + 1}. ${choice}`).join('\n')}` : '';
+            const message = `I'm working on this exam question:\n\n**${q.title}**\n${q.scenario}\n\nGiven: ${q.data.join(', ')}\n\nQuestion: ${q.question}${options}\n\nCan you help me understand how to approach this problem?`;
 
             setTimeout(() => {
                 const input = document.getElementById('gemini-input');
@@ -364,38 +1204,130 @@ export class ExamPracticeModule {
             }
         });
 
+        document.getElementById('prev-btn').addEventListener('click', () => {
+            this.showQuestion(this.currentQuestion - 1);
+        });
+
+        document.getElementById('submit-exam-btn').addEventListener('click', () => {
+            this.submitMockExam();
+        });
+
+        document.getElementById('review-due-btn').addEventListener('click', () => {
+            this.startReview();
+        });
+        this.updateReviewButton();
+
+        document.getElementById('mock-exam-btn').addEventListener('click', () => {
+            this.showMockExamSetup();
+        });
+
         document.getElementById('hint-btn').addEventListener('click', () => {
             this.showHint();
         });
 
+        document.getElementById('new-numbers-btn').addEventListener('click', () => {
+            this.newNumbers();
+        });
+
         document.getElementById('ask-ai-btn').addEventListener('click', () => {
             this.askAITutor();
         });
+
+        document.getElementById('explore-btn').addEventListener('click', () => {
+            this.exploreInSimulator();
+        });
+
+        const topicFilter = document.getElementById('exam-topic-filter');
+        const difficultyFilter = document.getElementById('exam-difficulty-filter');
+        topicFilter.value = this.filters.topic;
+        difficultyFilter.value = this.filters.difficulty;
+        topicFilter.addEventListener('change', () => this.setFilters({ topic: topicFilter.value }));
+        difficultyFilter.addEventListener('change', () => this.setFilters({ difficulty: difficultyFilter.value }));
+
+        const fileInput = document.getElementById('import-questions-input');
+        document.getElementById('import-questions-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importQuestionBank(fileInput.files[0]);
+            fileInput.value = '';
+        });
     }
 
     showCompletion() {
+        this.trackQuestionTime();
+        this.hideSceneView();
+        const report = this.buildReport();
+        const mock = this.mockExam;
+        const dueCount = this.scheduler.getDue(this.getQuestionPool()).length;
+
+        const heading = mock ?
+            `<div class="completion-icon">${mock.autoSubmitted ? '⏰' : '📋'}</div>
+                    <h2>${mock.autoSubmitted ? 'Time\'s Up!' : 'Mock Exam Submitted'}</h2>
+                    <p>${mock.autoSubmitted ? 'Your answers were submitted automatically.' : `You finished with ${formatDuration(mock.deadline - mock.submittedAt)} to spare.`}</p>` :
+            `<div class="completion-icon">🎉</div>
+                    <h2>Congratulations!</h2>
+                    <p>You've completed all ${this.questions.length} practice questions on Electromagnetic Induction.</p>`;
+
         const examUI = document.getElementById('exam-practice-ui');
         examUI.innerHTML = `
             <div class="exam-container completion">
                 <div class="completion-content">
-                    <div class="completion-icon">🎉</div>
-                    <h2>Congratulations!</h2>
-                    <p>You've completed all 5 practice questions on Electromagnetic Induction.</p>
+                    ${heading}
                     <div class="completion-stats">
                         <div class="stat">
-                            <span class="stat-value">5</span>
-                            <span class="stat-label">Questions Reviewed</span>
+                            <span class="stat-value">${this.questions.length}</span>
+                            <span class="stat-label">${mock ? 'Questions' : 'Questions Reviewed'}</span>
                         </div>
                         <div class="stat">
-                            <span class="stat-value">✓</span>
-                            <span class="stat-label">Topic Complete</span>
+                            <span class="stat-value">${this.score.correct}/${this.score.total}</span>
+                            <span class="stat-label">Marked Correct</span>
                         </div>
+                        <div class="stat">
+                            <span class="stat-value">${formatDuration(report.timeUsedSeconds * 1000)}</span>
+                            <span class="stat-label">${mock ? `Time Used of ${mock.minutes} min` : 'Time Spent'}</span>
+                        </div>
+                    </div>
+                    <div class="report-section">
+                        <h4>By Topic</h4>
+                        <table class="report-table">
+                            ${report.topics.map(topic => `
+                                <tr>
+                                    <td>${escapeHtml(topic.title)}</td>
+                                    <td class="report-bar"><div class="report-bar-fill" style="width: ${(topic.correct / topic.total) * 100}%"></div></td>
+                                    <td class="report-number">${topic.correct}/${topic.total}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </div>
+                    <div class="report-section">
+                        <h4>By Question</h4>
+                        <table class="report-table">
+                            ${report.questions.map(q => `
+                                <tr>
+                                    <td>${q.number}. ${renderInline(q.title)}</td>
+                                    <td class="report-result ${q.result}">${{ correct: '✓ Correct', incorrect: '✗ Incorrect', unmarked: '– Not marked' }[q.result]}</td>
+                                    <td class="report-number">${formatDuration(q.seconds * 1000)}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
                     </div>
                     <div class="completion-actions">
                         <button class="exam-btn primary" id="restart-btn">
                             <span class="btn-icon">↺</span>
                             Practice Again
                         </button>
+                        ${dueCount > 0 ? `
+                        <button class="exam-btn secondary" id="completion-review-btn">
+                            <span class="btn-icon">🔁</span>
+                            Review due (${dueCount})
+                        </button>` : ''}
+                        <button class="exam-btn secondary" id="export-csv-btn">
+                            <span class="btn-icon">📄</span>
+                            Export CSV
+                        </button>
+                        <button class="exam-btn secondary" id="export-json-btn">
+                            <span class="btn-icon">🧾</span>
+                            Export JSON
+                        </button>
                         <button class="exam-btn secondary" id="back-to-sim-btn">
                             <span class="btn-icon">⚡</span>
                             Back to Simulations
@@ -406,10 +1338,28 @@ export class ExamPracticeModule {
         `;
 
         document.getElementById('restart-btn').addEventListener('click', () => {
+            if (this.mockExam) {
+                this.endMockExam();
+            } else {
+                this.reviewSession = false;
+                this.results = {};
+                this.responses = {};
+                this.timeSpent = {};
+                this.questions = this.buildQuestionSet();
+                this.updateScore();
+            }
             this.createExamUI();
             this.showQuestion(0);
         });
 
+        document.getElementById('completion-review-btn')?.addEventListener('click', () => {
+            this.endMockExam();
+            this.startReview();
+        });
+
+        document.getElementById('export-csv-btn').addEventListener('click', () => this.exportReport(report, 'csv'));
+        document.getElementById('export-json-btn').addEventListener('click', () => this.exportReport(report, 'json'));
+
         document.getElementById('back-to-sim-btn').addEventListener('click', () => {
             this.app.loadModule('barMagnet');
         });
@@ -464,6 +1414,57 @@ export class ExamPracticeModule {
                 margin: 0;
             }
             
+            .exam-filters {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 0.75rem;
+                margin-bottom: 1rem;
+            }
+            
+            .exam-filters label {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                font-size: 0.85rem;
+                color: var(--text-secondary);
+            }
+            
+            .exam-filters select {
+                background: var(--surface);
+                border: 1px solid var(--border);
+                border-radius: 6px;
+                color: var(--text-primary);
+                padding: 0.4rem 0.6rem;
+                font-size: 0.9rem;
+            }
+            
+            .exam-filters .exam-btn {
+                padding: 0.4rem 0.9rem;
+                font-size: 0.9rem;
+            }
+            
+            .exam-bank-status {
+                font-size: 0.8rem;
+                color: var(--text-secondary);
+            }
+            
+            .question-source {
+                margin-left: auto;
+                margin-right: 0.75rem;
+                font-size: 0.8rem;
+                color: var(--text-secondary);
+            }
+            
+            .exam-empty {
+                text-align: center;
+                color: var(--text-secondary);
+            }
+            
+            .exam-empty .exam-btn {
+                margin: 1rem auto 0;
+            }
+            
             .exam-progress {
                 background: var(--surface);
                 border: 1px solid var(--border);
@@ -477,6 +1478,31 @@ export class ExamPracticeModule {
                 margin-bottom: 0.5rem;
             }
             
+            .mock-timer {
+                float: right;
+                font-family: 'Courier New', monospace;
+                font-weight: 700;
+                color: var(--text-primary);
+            }
+            
+            .mock-timer.warning {
+                color: #e74c3c;
+                animation: mockTimerPulse 1s ease-in-out infinite;
+            }
+            
+            @keyframes mockTimerPulse {
+                50% { opacity: 0.5; }
+            }
+            
+            .mock-setup p {
+                color: var(--text-secondary);
+                line-height: 1.6;
+            }
+            
+            .mock-setup .exam-filters {
+                margin: 1.5rem 0;
+            }
+            
             .progress-bar {
                 height: 8px;
                 background: rgba(255, 255, 255, 0.1);
@@ -649,6 +1675,202 @@ export class ExamPracticeModule {
                 font-style: italic;
             }
             
+            .answer-entry {
+                margin-top: 1.5rem;
+                padding-top: 1.25rem;
+                border-top: 1px solid rgba(255, 255, 255, 0.1);
+            }
+            
+            .answer-entry h4 {
+                font-size: 0.85rem;
+                color: var(--text-secondary);
+                margin: 0 0 0.75rem 0;
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+            
+            .answer-field {
+                margin-bottom: 1rem;
+            }
+            
+            .answer-field label {
+                display: block;
+                margin-bottom: 0.4rem;
+                color: var(--text-primary);
+            }
+            
+            .answer-input {
+                width: 100%;
+                max-width: 320px;
+                padding: 0.65rem 0.9rem;
+                background: rgba(0, 0, 0, 0.3);
+                border: 2px solid rgba(255, 255, 255, 0.15);
+                border-radius: var(--border-radius);
+                color: var(--text-primary);
+                font-family: 'Fira Code', monospace;
+                font-size: 1rem;
+            }
+            
+            .answer-input:focus {
+                outline: none;
+                border-color: var(--accent);
+            }
+            
+            .answer-input.correct {
+                border-color: #2ecc71;
+            }
+            
+            .answer-input.incorrect {
+                border-color: #e67e22;
+            }
+            
+            .answer-feedback {
+                margin-top: 0.4rem;
+                font-size: 0.9rem;
+            }
+            
+            .answer-feedback.correct {
+                color: #2ecc71;
+            }
+            
+            .answer-feedback.incorrect,
+            .answer-feedback.invalid {
+                color: #e67e22;
+            }
+            
+            .answer-status {
+                margin: 0.75rem 0 0;
+                color: var(--text-secondary);
+            }
+            
+            .answer-choices {
+                display: flex;
+                flex-direction: column;
+                gap: 0.5rem;
+                margin-bottom: 1rem;
+            }
+            
+            .answer-choice {
+                display: flex;
+                align-items: flex-start;
+                gap: 0.75rem;
+                padding: 0.65rem 0.9rem;
+                background: rgba(0, 0, 0, 0.2);
+                border: 2px solid rgba(255, 255, 255, 0.1);
+                border-radius: var(--border-radius);
+                color: var(--text-primary);
+                cursor: pointer;
+            }
+            
+            .answer-choice:has(input:checked) {
+                border-color: var(--accent);
+            }
+            
+            .answer-choice input {
+                margin-top: 0.2rem;
+                accent-color: var(--accent);
+            }
+            
+            .answer-order {
+                margin: 0 0 1rem;
+                padding-left: 1.5rem;
+            }
+            
+            .answer-order-item {
+                margin-bottom: 0.5rem;
+                padding: 0.5rem 0.5rem 0.5rem 0.75rem;
+                background: rgba(0, 0, 0, 0.2);
+                border: 2px solid rgba(255, 255, 255, 0.1);
+                border-radius: var(--border-radius);
+                color: var(--text-primary);
+            }
+            
+            .answer-order-item > * {
+                vertical-align: middle;
+            }
+            
+            .answer-order-text {
+                display: inline-block;
+                width: calc(100% - 5rem);
+            }
+            
+            .order-btn {
+                width: 2rem;
+                height: 2rem;
+                background: rgba(255, 255, 255, 0.08);
+                border: 1px solid rgba(255, 255, 255, 0.15);
+                border-radius: 6px;
+                color: var(--text-primary);
+                cursor: pointer;
+            }
+            
+            .order-btn:hover:not(:disabled) {
+                border-color: var(--accent);
+            }
+            
+            .order-btn:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+            
+            .answer-scene-choice {
+                margin: 0 0 1rem;
+                color: var(--text-secondary);
+            }
+            
+            .answer-scene-choice strong {
+                color: var(--accent);
+            }
+            
+            /* 'Click in 3D' questions: the question on the left, the scene on the right */
+            #exam-practice-ui.with-scene {
+                right: 45%;
+            }
+            
+            #canvas-container.exam-scene-view {
+                position: absolute;
+                top: 0;
+                right: 0;
+                bottom: 0;
+                width: 45%;
+                z-index: 10;
+                border-left: 1px solid rgba(255, 255, 255, 0.1);
+            }
+            
+            .self-check {
+                border-top: 1px solid rgba(255, 255, 255, 0.1);
+                padding-top: 1.25rem;
+                text-align: center;
+            }
+            
+            .self-check h4 {
+                font-size: 0.85rem;
+                color: var(--text-secondary);
+                margin: 0 0 0.75rem 0;
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+            
+            .self-check-buttons {
+                display: flex;
+                gap: 0.75rem;
+                justify-content: center;
+                flex-wrap: wrap;
+            }
+            
+            .self-check-result {
+                margin: 0;
+                font-weight: 600;
+            }
+            
+            .self-check-result.correct {
+                color: #2ecc71;
+            }
+            
+            .self-check-result.incorrect {
+                color: #e67e22;
+            }
+            
             /* Controls */
             .exam-controls {
                 display: flex;
@@ -670,6 +1892,11 @@ export class ExamPracticeModule {
                 border: none;
             }
             
+            .exam-btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            
             .exam-btn.primary {
                 background: linear-gradient(135deg, #e74c3c, #c0392b);
                 color: white;
@@ -808,6 +2035,62 @@ export class ExamPracticeModule {
                 display: flex;
                 gap: 1rem;
                 justify-content: center;
+                flex-wrap: wrap;
+            }
+            
+            /* Results Report */
+            .report-section {
+                text-align: left;
+                margin-bottom: 2rem;
+            }
+            
+            .report-section h4 {
+                color: var(--accent);
+                margin: 0 0 0.75rem 0;
+            }
+            
+            .report-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.9rem;
+            }
+            
+            .report-table td {
+                padding: 0.5rem;
+                border-bottom: 1px solid var(--border);
+            }
+            
+            .report-bar {
+                width: 40%;
+            }
+            
+            .report-bar-fill {
+                height: 8px;
+                min-width: 2px;
+                background: linear-gradient(90deg, #e74c3c, #3498db);
+                border-radius: 4px;
+            }
+            
+            .report-number {
+                text-align: right;
+                white-space: nowrap;
+                color: var(--text-secondary);
+            }
+            
+            .report-result {
+                white-space: nowrap;
+            }
+            
+            .report-result.correct {
+                color: #2ecc71;
+            }
+            
+            .report-result.incorrect {
+                color: #e74c3c;
+            }
+            
+            .report-result.unmarked {
+                color: var(--text-secondary);
             }
             
             /* Responsive */
@@ -832,12 +2115,47 @@ export class ExamPracticeModule {
                     width: 100%;
                     justify-content: center;
                 }
+                
+                #exam-practice-ui.with-scene {
+                    right: 0;
+                    bottom: 40%;
+                }
+                
+                #canvas-container.exam-scene-view {
+                    top: auto;
+                    width: 100%;
+                    height: 40%;
+                    border-left: none;
+                    border-top: 1px solid rgba(255, 255, 255, 0.1);
+                }
             }
         `;
         document.head.appendChild(style);
     }
 
+    /**
+     * Live readings for the tutor prompt (never includes the worked answer)
+     */
+    getSnapshot() {
+        const q = this.questions[this.currentQuestion];
+        if (!q) return { question: 'none (no questions match the filters)' };
+        return {
+            question: `${this.currentQuestion + 1} of ${this.questions.length}: ${q.title}`,
+            answerRevealed: this.showingAnswer,
+            score: `${this.score.correct}/${this.score.total}`
+        };
+    }
+
     cleanup() {
+        this.trackQuestionTime();
+        this.hideSceneView();
+
+        // Leaving abandons a mock exam in progress
+        if (this.mockExam && !this.mockExam.submittedAt) {
+            this.app.showToast('Mock exam abandoned');
+        }
+        this.endMockExam();
+
         // Remove exam UI
         const examUI = document.getElementById('exam-practice-ui');
         if (examUI) {
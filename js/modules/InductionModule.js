@@ -400,6 +400,41 @@ export class InductionModule {
         }
     }
 
+    /**
+     * Shareable state: coil turns and magnet height
+     */
+    getState() {
+        return {
+            n: this.app.sliders.getValue('coil-turns'),
+            y: this.magnet.position.y
+        };
+    }
+
+    setState(state) {
+        if (typeof state.n === 'number') this.app.sliders.setValue('coil-turns', state.n);
+        if (typeof state.y === 'number') {
+            this.magnet.position.y = state.y;
+            // Teleporting the magnet is not motion, so it must not induce a current
+            this.lastMagnetPos.copy(this.magnet.position);
+        }
+    }
+
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        const galvanometerReading = this.galvanometer?.userData.currentValue || 0;
+        return {
+            coilTurns: this.coil.userData.turns,
+            magnetHeight: this.magnet.position.y,
+            magnetHeightAboveCoilCentre: this.magnet.position.y - this.coil.position.y,
+            magnetMotion: this.velocity > 0.001 ? 'moving up' : this.velocity < -0.001 ? 'moving down' : 'at rest',
+            galvanometerReading,
+            inducedCurrent: Math.abs(galvanometerReading) < 1e-3 ? 'none' : galvanometerReading > 0 ? 'positive deflection' : 'negative deflection',
+            units: { magnetHeight: 'm', magnetHeightAboveCoilCentre: 'm', galvanometerReading: 'relative units' }
+        };
+    }
+
     update(deltaTime) {
         // Gradually reduce velocity when not dragging
         if (!this.app.interaction.isDragging) {
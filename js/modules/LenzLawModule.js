@@ -460,6 +460,36 @@ export class LenzLawModule {
         this.opposingArrows = [];
     }
 
+    /**
+     * Shareable state: tube conductivity (damping)
+     */
+    getState() {
+        return { k: this.damping };
+    }
+
+    setState(state) {
+        if (typeof state.k === 'number') this.app.sliders.setValue('tube-conductivity', state.k);
+    }
+
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        return {
+            isDropping: this.isDropping,
+            magnetHeight: this.magnet.position.y,
+            velocity: this.velocity,
+            freeFallVelocity: this.comparisonVelocity,
+            damping: this.damping,
+            tubeHeight: this.tube.userData.height,
+            units: {
+                magnetHeight: 'm',
+                velocity: 'm per frame (negative = falling)',
+                freeFallVelocity: 'm per frame, non-magnetic comparison ball'
+            }
+        };
+    }
+
     update(deltaTime) {
         if (!this.isDropping) return;
 
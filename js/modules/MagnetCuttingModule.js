@@ -930,6 +930,53 @@ export class MagnetCuttingModule {
         }
     }
 
+    /**
+     * Shareable state: whether the magnet is cut, domain view and piece positions
+     */
+    getState() {
+        return {
+            cut: this.isCut,
+            dom: this.showDomains,
+            x: this.isCut ? this.magnetPieces.map(piece => piece.position.x) : undefined
+        };
+    }
+
+    setState(state) {
+        if (state.dom !== undefined) {
+            const domainCheckbox = document.getElementById('show-domains-toggle');
+            if (domainCheckbox) {
+                domainCheckbox.checked = Boolean(state.dom);
+                domainCheckbox.dispatchEvent(new Event('change'));
+            }
+        }
+
+        if (!state.cut) {
+            if (this.isCut) this.reset();
+            return;
+        }
+
+        if (!this.isCut) this.performCut();
+
+        // Skip the separation animation so the shared positions stick
+        if (Array.isArray(state.x) && state.x.length === this.magnetPieces.length) {
+            this.separationAnimation = 1;
+            this.magnetPieces.forEach((piece, i) => {
+                piece.position.x = state.x[i];
+            });
+        }
+    }
+
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        return {
+            cuts: this.cutCount,
+            pieces: this.isCut ? this.magnetPieces.length : 1,
+            showDomains: this.showDomains
+        };
+    }
+
     update(deltaTime) {
         this.time += deltaTime;
 
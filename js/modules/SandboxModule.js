@@ -2,6 +2,16 @@
  * Sandbox Module - Free experimentation mode
  */
 import * as THREE from 'three';
+import { FieldSlice } from '../FieldSlice.js';
+import { FieldProbe } from '../FieldProbe.js';
+
+const CONFIG_STORAGE_KEY = 'emlab-configs';
+
+// Versioned envelope for exported .emlab.json files
+const CONFIG_FILE_FORMAT = 'emlab-sandbox';
+const CONFIG_FILE_VERSION = 1;
+
+const COMPONENT_TYPES = ['barMagnet', 'compass', 'solenoid', 'wire', 'battery'];
 
 export class SandboxModule {
     constructor(app) {
@@ -12,6 +22,11 @@ export class SandboxModule {
 
         this.placedObjects = [];
         this.selectedComponent = null;
+        this.fieldSlice = null;
+        this.fieldProbe = null;
+
+        // Palette and button listeners live on static DOM, so bind them only once
+        this.listenersBound = false;
     }
 
     init() {
@@ -19,23 +34,40 @@ export class SandboxModule {
         const palette = document.getElementById('component-palette');
         if (palette) {
             palette.classList.remove('hidden');
+            this.app.sceneManager.handleResize();
+        }
+
+        if (!this.listenersBound) {
             this.setupPalette();
+            this.setupButtons();
+            this.listenersBound = true;
         }
 
-        // Setup interaction callbacks
+        this.renderConfigList();
+
+        // Field strength slice
+        this.fieldSlice = new FieldSlice(this.app, { getSources: () => this.getFieldSources(), height: 0.3 });
+        this.fieldSlice.createControls(this.app.optionsContainer);
+
+        // Field probe
+        this.fieldProbe = new FieldProbe(this.app, { getSources: () => this.getFieldSources() });
+        this.fieldProbe.createControls(this.app.optionsContainer);
+
+        // Setup interaction callbacks; moving the slice or probe leaves the field unchanged
         this.app.interaction.onDrag = (obj) => {
-            this.updateVisualization();
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+            else this.updateVisualization();
         };
 
         this.app.interaction.onDragEnd = (obj) => {
-            this.updateVisualization();
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+            else this.updateVisualization();
         };
 
         // Create initial instruction
         this.createInstructions();
-
-        // Setup clear and save buttons
-        this.setupButtons();
     }
 
     setupPalette() {
@@ -58,13 +90,17 @@ export class SandboxModule {
         });
     }
 
-    addComponent(type) {
+    /**
+     * Add a component from the palette, or rebuild one from a saved snapshot
+     */
+    addComponent(type, saved = null) {
         let component;
         const offset = (this.placedObjects.length % 5) * 0.5 - 1;
+        const savedData = (saved && saved.userData) || {};
 
         switch (type) {
             case 'barMagnet':
-                component = this.app.components.createBarMagnet({ strength: 1 });
+                component = this.app.components.createBarMagnet({ strength: savedData.strength ?? 1 });
                 component.position.set(offset, 0.3, offset);
                 break;
 
@@ -75,17 +111,18 @@ export class SandboxModule {
 
             case 'solenoid':
                 component = this.app.components.createSolenoid({
-                    turns: 10,
+                    turns: savedData.turns ?? 10,
                     radius: 0.4,
                     length: 1.5
                 });
                 component.position.set(offset, 0.5, offset - 1);
-                component.userData.current = 0.5;
+                component.userData.current = savedData.current ?? 0.5;
                 break;
 
             case 'wire':
                 component = this.app.components.createWire({ length: 2 });
                 component.position.set(offset - 1, 0.2, offset);
+                if (savedData.current !== undefined) component.userData.current = savedData.current;
                 break;
 
             case 'battery':
@@ -94,20 +131,28 @@ export class SandboxModule {
                 break;
 
             default:
-                return;
+                return null;
         }
 
-        if (component) {
-            this.app.sceneManager.add(component);
-            this.app.interaction.addDraggable(component);
-            this.placedObjects.push(component);
+        if (saved) {
+            const { position, rotation } = saved;
+            if (position) component.position.set(position.x, position.y, position.z);
+            if (rotation) component.rotation.set(rotation.x, rotation.y, rotation.z);
+        }
+
+        this.app.sceneManager.add(component);
+        this.app.interaction.addDraggable(component);
+        this.placedObjects.push(component);
 
-            // Update visualization
+        // Restoring a whole configuration refreshes the field once at the end
+        if (!saved) {
             this.updateVisualization();
 
             // Flash effect to show placement
             this.flashComponent(component);
         }
+
+        return component;
     }
 
     flashComponent(component) {
@@ -119,18 +164,24 @@ export class SandboxModule {
         }, 150);
     }
 
-    updateVisualization() {
-        // Get all magnets and solenoids for field visualization
-        const fieldSources = this.placedObjects.filter(
+    /**
+     * Placed magnets and solenoids
+     */
+    getFieldSources() {
+        return this.placedObjects.filter(
             obj => obj.userData.type === 'barMagnet' || obj.userData.type === 'solenoid'
         );
+    }
+
+    updateVisualization() {
+        // Get all magnets and solenoids for field visualization
+        const fieldSources = this.getFieldSources();
 
         // Update field lines
         if (fieldSources.length > 0 && this.app.showFieldLines) {
             this.app.fieldVisualizer.generateFieldLines(fieldSources, {
                 numLines: 8,
-                steps: 60,
-                stepSize: 0.12
+                maxSteps: 300
             });
         } else {
             this.app.fieldVisualizer.clearFieldLines();
@@ -147,6 +198,9 @@ export class SandboxModule {
             this.app.fieldVisualizer.clearArrows();
         }
 
+        this.fieldSlice?.update();
+        this.fieldProbe?.update();
+
         // Update compasses
         this.updateCompasses(fieldSources);
     }
@@ -163,7 +217,7 @@ export class SandboxModule {
             // Calculate total field from all sources
             const totalField = this.app.fieldVisualizer.calculateTotalField(compassPos, fieldSources);
 
-            if (totalField.length() > 0.001) {
+            if (totalField.length() > 1e-12) {
                 const targetAngle = Math.atan2(totalField.x, totalField.z);
                 compass.userData.targetRotation = targetAngle;
             }
@@ -208,6 +262,17 @@ export class SandboxModule {
         if (saveBtn) {
             saveBtn.addEventListener('click', () => this.saveConfiguration());
         }
+
+        const importBtn = document.getElementById('import-config-btn');
+        const importInput = document.getElementById('import-config-input');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (file) await this.importConfiguration(file);
+            });
+        }
     }
 
     clearScene() {
@@ -220,6 +285,8 @@ export class SandboxModule {
 
         // Clear visualizations
         this.app.fieldVisualizer.clearAll();
+        this.fieldSlice?.update();
+        this.fieldProbe?.update();
     }
 
     saveConfiguration() {
@@ -247,23 +314,261 @@ export class SandboxModule {
         };
 
         // Save to localStorage
-        const configurations = JSON.parse(localStorage.getItem('emlab-configs') || '[]');
+        const configurations = this.getSavedConfigurations();
         configurations.push(config);
-        localStorage.setItem('emlab-configs', JSON.stringify(configurations));
+        this.storeConfigurations(configurations);
 
         // Visual feedback
-        this.showSaveNotification();
+        this.renderConfigList();
+        this.showNotification('✓ Configuration saved!');
+    }
+
+    getSavedConfigurations() {
+        try {
+            const configurations = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY) || '[]');
+            return Array.isArray(configurations) ? configurations : [];
+        } catch (e) {
+            console.warn('Could not read saved configurations:', e);
+            return [];
+        }
+    }
+
+    storeConfigurations(configurations) {
+        localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(configurations));
+    }
+
+    getConfigLabel(config) {
+        return config.name || new Date(config.timestamp).toLocaleString();
+    }
+
+    /**
+     * Render the saved-configurations panel, newest snapshot first
+     */
+    renderConfigList() {
+        const list = document.getElementById('saved-configs-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        const entries = this.getSavedConfigurations()
+            .map((config, index) => ({ config, index }))
+            .sort((a, b) => new Date(b.config.timestamp) - new Date(a.config.timestamp));
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'saved-config-empty';
+            empty.textContent = 'No saved setups yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const { config, index } of entries) {
+            const item = document.createElement('li');
+            item.className = 'saved-config-item';
+
+            const info = document.createElement('div');
+            info.className = 'saved-config-info';
+            info.title = 'Load this setup';
+
+            const name = document.createElement('span');
+            name.className = 'saved-config-name';
+            name.textContent = this.getConfigLabel(config);
+
+            const meta = document.createElement('span');
+            meta.className = 'saved-config-meta';
+            const count = (config.objects || []).length;
+            meta.textContent = `${count} object${count === 1 ? '' : 's'}`;
+            if (config.name) meta.textContent += ` • ${new Date(config.timestamp).toLocaleDateString()}`;
+
+            info.appendChild(name);
+            info.appendChild(meta);
+            info.addEventListener('click', () => this.loadConfiguration(config));
+
+            const actions = document.createElement('div');
+            actions.className = 'saved-config-actions';
+
+            const buttons = [
+                { label: '✎', title: 'Rename', onClick: () => this.startRename(item, name, index) },
+                { label: '⤓', title: 'Export .emlab.json', onClick: () => this.exportConfiguration(index) },
+                { label: '✕', title: 'Delete', onClick: () => this.deleteConfiguration(index) }
+            ];
+
+            for (const { label, title, onClick } of buttons) {
+                const btn = document.createElement('button');
+                btn.className = 'saved-config-btn';
+                btn.textContent = label;
+                btn.title = title;
+                btn.addEventListener('click', onClick);
+                actions.appendChild(btn);
+            }
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        }
     }
 
-    showSaveNotification() {
+    /**
+     * Replace the scene with the objects from a saved snapshot
+     */
+    loadConfiguration(config) {
+        this.clearScene();
+
+        for (const obj of config.objects || []) {
+            this.addComponent(obj.type, obj);
+        }
+
+        this.updateVisualization();
+        this.showNotification(`✓ Loaded "${this.getConfigLabel(config)}"`);
+    }
+
+    startRename(item, nameSpan, index) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'saved-config-rename';
+        input.value = nameSpan.textContent;
+        nameSpan.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit) {
+                this.renameConfiguration(index, input.value);
+            } else {
+                this.renderConfigList();
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    renameConfiguration(index, name) {
+        const configurations = this.getSavedConfigurations();
+        if (!configurations[index]) return;
+
+        const trimmed = name.trim();
+        if (trimmed) {
+            configurations[index].name = trimmed;
+        } else {
+            delete configurations[index].name;
+        }
+
+        this.storeConfigurations(configurations);
+        this.renderConfigList();
+    }
+
+    deleteConfiguration(index) {
+        const configurations = this.getSavedConfigurations();
+        const config = configurations[index];
+        if (!config) return;
+
+        if (!window.confirm(`Delete "${this.getConfigLabel(config)}"?`)) return;
+
+        configurations.splice(index, 1);
+        this.storeConfigurations(configurations);
+        this.renderConfigList();
+    }
+
+    /**
+     * Download a saved snapshot as a versioned .emlab.json file
+     */
+    exportConfiguration(index) {
+        const config = this.getSavedConfigurations()[index];
+        if (!config) return;
+
+        const file = {
+            format: CONFIG_FILE_FORMAT,
+            version: CONFIG_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            configuration: config
+        };
+
+        const slug = this.getConfigLabel(config).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${slug || 'sandbox'}.emlab.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Some browsers only start reading the blob after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importConfiguration(file) {
+        try {
+            const config = this.parseConfigurationFile(JSON.parse(await file.text()));
+
+            const configurations = this.getSavedConfigurations();
+            configurations.push(config);
+            this.storeConfigurations(configurations);
+
+            this.renderConfigList();
+            this.showNotification(`✓ Imported "${this.getConfigLabel(config)}"`);
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showNotification(`Import failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Validate an .emlab.json envelope and return the configuration inside it
+     */
+    parseConfigurationFile(data) {
+        if (!data || data.format !== CONFIG_FILE_FORMAT) {
+            throw new Error('not an EM Lab sandbox file');
+        }
+        if (typeof data.version !== 'number' || data.version < 1 || data.version > CONFIG_FILE_VERSION) {
+            throw new Error(`unsupported file version ${data.version}`);
+        }
+
+        const config = data.configuration;
+        if (!config || !Array.isArray(config.objects)) {
+            throw new Error('file contains no configuration');
+        }
+
+        const toNumber = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : undefined);
+        const toVector = (v) => ({ x: toNumber(v?.x) ?? 0, y: toNumber(v?.y) ?? 0, z: toNumber(v?.z) ?? 0 });
+
+        const objects = config.objects
+            .filter(obj => obj && COMPONENT_TYPES.includes(obj.type))
+            .map(obj => ({
+                type: obj.type,
+                position: toVector(obj.position),
+                rotation: toVector(obj.rotation),
+                userData: {
+                    strength: toNumber(obj.userData?.strength),
+                    current: toNumber(obj.userData?.current),
+                    turns: toNumber(obj.userData?.turns)
+                }
+            }));
+
+        const timestamp = isNaN(Date.parse(config.timestamp)) ? new Date().toISOString() : config.timestamp;
+        const imported = { timestamp, objects };
+        if (typeof config.name === 'string' && config.name.trim()) imported.name = config.name.trim();
+
+        return imported;
+    }
+
+    showNotification(message, isError = false) {
         const notification = document.createElement('div');
-        notification.textContent = '✓ Configuration saved!';
+        notification.textContent = message;
         notification.style.cssText = `
             position: fixed;
             bottom: 20px;
             right: 20px;
-            background: rgba(0, 212, 170, 0.9);
-            color: #0a1f1c;
+            background: ${isError ? 'rgba(231, 76, 60, 0.9)' : 'rgba(0, 212, 170, 0.9)'};
+            color: ${isError ? '#ffffff' : '#0a1f1c'};
             padding: 12px 24px;
             border-radius: 8px;
             font-family: Inter, sans-serif;
@@ -281,6 +586,27 @@ export class SandboxModule {
         }, 2000);
     }
 
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        const counts = {};
+        this.placedObjects.forEach(obj => {
+            counts[obj.userData.type] = (counts[obj.userData.type] || 0) + 1;
+        });
+
+        return {
+            components: Object.entries(counts).map(([type, count]) => `${count} × ${type}`).join(', ') || 'none',
+            placed: this.placedObjects.map(obj => {
+                const { x, z } = obj.position;
+                const details = [obj.userData.type, `at (${x.toFixed(2)}, ${z.toFixed(2)}) m`];
+                if (obj.userData.strength !== undefined) details.push(`strength ${obj.userData.strength}`);
+                if (obj.userData.current !== undefined) details.push(`current ${obj.userData.current} A`);
+                return details.join(' ');
+            }).join('; ') || 'none'
+        };
+    }
+
     update(deltaTime) {
         // Update compass needles smoothly
         const compasses = this.placedObjects.filter(obj => obj.userData.type === 'compass');
@@ -298,6 +624,9 @@ export class SandboxModule {
 
             needle.rotation.y += diff * Math.min(deltaTime * 5, 1);
         }
+
+        // Animate field lines
+        this.app.fieldVisualizer.animateFieldLines(deltaTime * 60, 1.0);
     }
 
     cleanup() {
@@ -305,6 +634,7 @@ export class SandboxModule {
         const palette = document.getElementById('component-palette');
         if (palette) {
             palette.classList.add('hidden');
+            this.app.sceneManager.handleResize();
         }
 
         // Remove all placed objects
@@ -323,6 +653,14 @@ export class SandboxModule {
 
         // Clear visualizations
         this.app.fieldVisualizer.clearAll();
+        if (this.fieldSlice) {
+            this.fieldSlice.dispose();
+            this.fieldSlice = null;
+        }
+        if (this.fieldProbe) {
+            this.fieldProbe.dispose();
+            this.fieldProbe = null;
+        }
 
         // Clear callbacks
         this.app.interaction.onDrag = null;
@@ -3,6 +3,8 @@
  * Shows current direction on coil wires with toggle for current/electron flow
  */
 import * as THREE from 'three';
+import { FieldSlice } from '../FieldSlice.js';
+import { FieldProbe } from '../FieldProbe.js';
 
 export class SolenoidModule {
     constructor(app) {
@@ -14,6 +16,8 @@ export class SolenoidModule {
         this.solenoid = null;
         this.currentParticles = [];
         this.handIndicator = null;
+        this.fieldSlice = null;
+        this.fieldProbe = null;
         this.isPlaying = true;
 
         // Display mode: 'current', 'electron', 'both'
@@ -59,6 +63,23 @@ export class SolenoidModule {
         // Create display mode options panel
         this.createDisplayModePanel();
 
+        // Field strength slice through the coil's axis
+        this.fieldSlice = new FieldSlice(this.app, { getSources: () => [this.solenoid], height: 0.5 });
+        this.fieldSlice.createControls(this.app.optionsContainer);
+
+        // Field probe, starting in the middle of the coil
+        this.fieldProbe = new FieldProbe(this.app, { getSources: () => [this.solenoid], position: [0, 0.5, 0] });
+        this.fieldProbe.createControls(this.app.optionsContainer);
+
+        this.app.interaction.onDrag = (obj) => {
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+        };
+        this.app.interaction.onDragEnd = (obj) => {
+            if (this.fieldSlice.owns(obj)) this.fieldSlice.update();
+            else if (this.fieldProbe.owns(obj)) this.fieldProbe.update();
+        };
+
         // Initial visualization
         this.updateVisualization();
     }
@@ -78,6 +99,7 @@ export class SolenoidModule {
         const buttonGroup = document.createElement('div');
         buttonGroup.className = 'button-group';
         buttonGroup.style.cssText = 'display: flex; gap: 0.5rem;';
+        this.modeButtons = {};
 
         const modes = [
             { id: 'current', label: 'Current (I)', color: '#f39c12' },
@@ -115,6 +137,7 @@ export class SolenoidModule {
                 this.updateVisualization();
             });
 
+            this.modeButtons[mode.id] = btn;
             buttonGroup.appendChild(btn);
         });
 
@@ -320,16 +343,54 @@ export class SolenoidModule {
             this.app.fieldVisualizer.clearAll();
         }
 
-
+        this.fieldSlice?.update();
+        this.fieldProbe?.update();
 
         // Update pole labels visibility
         if (this.northLabel) this.northLabel.visible = current > 0.1;
         if (this.southLabel) this.southLabel.visible = current > 0.1;
     }
 
+    /**
+     * Shareable state: coil current and flow display mode
+     */
+    getState() {
+        return {
+            i: this.app.sliders.getValue('solenoid-current'),
+            m: this.displayMode
+        };
+    }
+
+    setState(state) {
+        if (typeof state.i === 'number') this.app.sliders.setValue('solenoid-current', state.i);
+        if (this.modeButtons && this.modeButtons[state.m]) this.modeButtons[state.m].click();
+    }
+
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        const { turns, radius, length, current, currentDirection } = this.solenoid.userData;
+        const centre = this.solenoid.getWorldPosition(new THREE.Vector3());
+        const field = this.app.fieldVisualizer.calculateSolenoidField(centre, this.solenoid);
+        return {
+            current,
+            turns,
+            radius,
+            length,
+            fieldAtCentre: field.length(),
+            northPole: currentDirection > 0 ? 'left end (-x)' : 'right end (+x)',
+            displayMode: this.displayMode,
+            units: { current: 'A', radius: 'm', length: 'm', fieldAtCentre: 'T' }
+        };
+    }
+
     update(deltaTime) {
         if (!this.isPlaying) return;
 
+        // Animate field lines
+        this.app.fieldVisualizer.animateFieldLines(deltaTime * 60, 1.0);
+
         const current = this.solenoid.userData.current;
         if (current < 0.1) return;
 
@@ -370,7 +431,17 @@ export class SolenoidModule {
 
         // Clear visualizations
         this.app.fieldVisualizer.clearAll();
+        if (this.fieldSlice) {
+            this.fieldSlice.dispose();
+            this.fieldSlice = null;
+        }
+        if (this.fieldProbe) {
+            this.fieldProbe.dispose();
+            this.fieldProbe = null;
+        }
         this.app.sliders.clear();
+        this.app.interaction.onDrag = null;
+        this.app.interaction.onDragEnd = null;
 
         // Clear options
         if (this.app.optionsContainer) {
@@ -239,6 +239,7 @@ export class TransformerModule {
         const buttonGroup = document.createElement('div');
         buttonGroup.className = 'button-group';
         buttonGroup.style.cssText = 'display: flex; gap: 0.4rem; flex-wrap: wrap;';
+        this.voltageButtons = {};
 
         this.voltageOptions.forEach(voltage => {
             const btn = document.createElement('button');
@@ -270,6 +271,7 @@ export class TransformerModule {
                 this.updateTurnsRatio();
             });
 
+            this.voltageButtons[voltage] = btn;
             buttonGroup.appendChild(btn);
         });
 
@@ -501,6 +503,44 @@ export class TransformerModule {
         this.transformer.userData.turnsRatio = secondary / primary;
     }
 
+    /**
+     * Shareable state: turns, AC frequency and primary voltage
+     */
+    getState() {
+        return {
+            np: this.app.sliders.getValue('primary-turns'),
+            ns: this.app.sliders.getValue('secondary-turns'),
+            f: this.app.sliders.getValue('ac-frequency'),
+            v: this.primaryVoltage
+        };
+    }
+
+    setState(state) {
+        if (typeof state.np === 'number') this.app.sliders.setValue('primary-turns', state.np);
+        if (typeof state.ns === 'number') this.app.sliders.setValue('secondary-turns', state.ns);
+        if (typeof state.f === 'number') this.app.sliders.setValue('ac-frequency', state.f);
+        if (this.voltageButtons && this.voltageButtons[state.v]) this.voltageButtons[state.v].click();
+    }
+
+    /**
+     * Live readings for the tutor prompt
+     */
+    getSnapshot() {
+        const { primaryTurns, secondaryTurns } = this.transformer.userData;
+        const turnsRatio = secondaryTurns / primaryTurns;
+        return {
+            primaryTurns,
+            secondaryTurns,
+            turnsRatio,
+            ratio: `${primaryTurns}:${secondaryTurns}`,
+            type: turnsRatio > 1 ? 'step-up' : turnsRatio < 1 ? 'step-down' : 'isolation (1:1)',
+            primaryVoltage: this.primaryVoltage,
+            secondaryVoltage: this.primaryVoltage * turnsRatio,
+            acFrequency: this.acFrequency,
+            units: { primaryVoltage: 'V', secondaryVoltage: 'V', acFrequency: 'Hz' }
+        };
+    }
+
     update(deltaTime) {
         if (!this.isPlaying) return;
 
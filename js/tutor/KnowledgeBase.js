@@ -0,0 +1,354 @@
+/**
+ * KnowledgeBase - Bundled notes EM-Vee answers from when no model is reachable
+ *
+ * Each entry is keyed to the simulation modules it explains and to the syllabus
+ * topics of the tutor prompt. Retrieval is a small TF-IDF style keyword search,
+ * boosted towards the open module, so it works with no API key and no network.
+ */
+
+export const KNOWLEDGE_BASE = [
+    {
+        id: 'magnetic-fields',
+        title: 'Magnetic fields and bar magnets',
+        modules: ['barMagnet', 'sandbox'],
+        topics: ['field', 'magnet'],
+        keywords: 'bar magnet pole north south field line compass attract repel dipole tesla strength remanence',
+        explanation: String.raw`A magnet is surrounded by a **magnetic field**, the region where another magnet or a moving charge feels a force.
+
+- Field lines leave the **north pole** and enter the **south pole** outside the magnet, and continue through the inside to form closed loops.
+- Lines are closest together where the field is strongest, at the poles.
+- A compass needle is a small magnet: its north end points along the field direction at that spot.
+- Like poles repel, unlike poles attract. There are no isolated poles: cutting a magnet gives two smaller magnets.
+
+Field strength (magnetic flux density) $B$ is measured in **tesla** (T). Near a strong fridge magnet $B \approx 5\times10^{-3}$ T; the Earth's field is about $5\times10^{-5}$ T.`,
+        formulas: String.raw`- Force on a current-carrying wire: $F = BIL\sin\theta$
+- Force on a moving charge: $F = Bqv\sin\theta$
+- Field of a dipole falls off quickly with distance: $B \propto \frac{1}{r^3}$ far from the magnet
+
+$B$ in tesla (T), $I$ in amperes, $L$ the length of wire in the field, $\theta$ the angle between the wire (or velocity) and the field.`,
+        practice: {
+            question: 'A compass is placed just to the right of the north pole of a bar magnet lying along the x-axis. Which way does the needle point, and why?',
+            answer: 'Away from the magnet (to the right). Field lines leave the north pole, and the north end of the needle lines up with the field direction.'
+        }
+    },
+    {
+        id: 'magnetic-flux',
+        title: 'Magnetic flux and flux linkage',
+        modules: ['induction'],
+        topics: ['flux'],
+        keywords: 'flux linkage weber area angle normal cos density phi',
+        explanation: String.raw`**Magnetic flux** $\Phi$ measures how much magnetic field passes through an area. It is largest when the field is perpendicular to the surface and zero when the field runs parallel to it.
+
+For a coil of $N$ turns the **flux linkage** is $N\Phi$: every turn links the same flux, so the effect adds up.
+
+Flux changes whenever $B$, the area $A$ or the angle $\theta$ changes. That is exactly what Faraday's law cares about: an EMF is induced only while the flux linkage is **changing**.`,
+        formulas: String.raw`- Flux: $\Phi = BA\cos\theta$
+- Flux linkage: $N\Phi = NBA\cos\theta$
+- Unit: 1 weber (Wb) $= 1\ \text{T m}^2$
+
+$\theta$ is the angle between the field and the **normal** to the coil's plane.`,
+        practice: {
+            question: 'A 200-turn coil of area 4.0 cm² sits in a 0.50 T field with its plane perpendicular to the field. What is the flux linkage?',
+            answer: 'NΦ = NBA = 200 × 0.50 × 4.0×10⁻⁴ = 0.040 Wb turns.'
+        }
+    },
+    {
+        id: 'faraday-law',
+        title: "Faraday's law of electromagnetic induction",
+        modules: ['induction', 'transformer'],
+        topics: ['faraday', 'induction', 'emf'],
+        keywords: 'faraday induced emf induction rate change flux galvanometer coil move magnet speed generator voltage',
+        explanation: String.raw`**Faraday's law**: the induced EMF in a circuit equals the rate of change of magnetic flux linkage through it.
+
+- Moving a magnet into a coil increases the flux linkage, so the galvanometer deflects.
+- Holding the magnet still gives **no** EMF, however strong the magnet, because nothing is changing.
+- Pulling the magnet out reverses the change, so the deflection reverses.
+- A faster movement, more turns or a stronger magnet all give a bigger EMF.
+
+The minus sign in the equation is Lenz's law: the EMF acts to oppose the change that caused it.`,
+        formulas: String.raw`- Faraday's law: $\varepsilon = -N\frac{d\Phi}{dt}$
+- Average EMF: $\varepsilon = -\frac{\Delta(N\Phi)}{\Delta t}$
+- Straight conductor moving through a field: $\varepsilon = BLv$
+- Rotating coil (AC generator): $\varepsilon = NBA\omega\sin\omega t$, peak $\varepsilon_0 = NBA\omega$
+
+$\varepsilon$ in volts, $N$ turns, $\Phi$ in webers, $t$ in seconds, $v$ the speed of the conductor, $\omega$ the angular speed.`,
+        practice: {
+            question: 'The flux through a 150-turn coil falls from 3.0×10⁻⁴ Wb to zero in 0.020 s. What average EMF is induced?',
+            answer: 'ε = NΔΦ/Δt = 150 × 3.0×10⁻⁴ / 0.020 = 2.25 V.'
+        }
+    },
+    {
+        id: 'lenz-law',
+        title: "Lenz's law",
+        modules: ['lenz', 'induction'],
+        topics: ['lenz', 'direction'],
+        keywords: 'lenz oppose opposes direction induced current energy conservation copper tube falling magnet drop terminal velocity slow repel',
+        explanation: String.raw`**Lenz's law**: the induced current flows in the direction that **opposes the change** producing it.
+
+- Push a north pole towards a coil and the near end of the coil becomes a north pole, repelling the magnet.
+- Pull the north pole away and the near end becomes a south pole, attracting it back.
+- This is energy conservation: you must do work against the magnetic force, and that work becomes electrical energy.
+
+In the **falling magnet** experiment, the moving magnet induces eddy currents in the copper tube. Their fields oppose the motion, so the magnet falls much more slowly than in free fall and soon reaches a steady **terminal velocity**, where the magnetic drag balances its weight. A non-conducting (plastic) tube has no such effect.`,
+        formulas: String.raw`- The sign in Faraday's law: $\varepsilon = -N\frac{d\Phi}{dt}$
+- Terminal velocity, when magnetic drag balances weight: $F_{drag} = mg$, with $F_{drag} \propto v$
+- Power dissipated in the tube: $P = F_{drag}\,v$`,
+        practice: {
+            question: 'A magnet is dropped through a vertical copper tube. Explain why it reaches a terminal velocity.',
+            answer: 'Its changing flux induces eddy currents in the tube that oppose its motion (Lenz). The drag grows with speed until it equals the weight, so the net force is zero and the speed stays constant.'
+        }
+    },
+    {
+        id: 'eddy-currents',
+        title: 'Eddy currents',
+        modules: ['lenz', 'transformer'],
+        topics: ['eddy'],
+        keywords: 'eddy currents circulating loops conductor braking damping laminated laminations heating induction cooker losses',
+        explanation: String.raw`**Eddy currents** are loops of induced current that circulate inside a solid conductor when the flux through it changes.
+
+- By Lenz's law they oppose the motion or change that causes them, which gives **magnetic braking** (train brakes, the falling magnet in the copper tube, damping of balance needles).
+- They heat the conductor, which is used in **induction cookers** and furnaces.
+- In a transformer core they waste energy, so cores are **laminated**: thin insulated sheets break up the current loops and cut the losses.`,
+        formulas: String.raw`- Eddy currents follow from Faraday's law: $\varepsilon = -\frac{d\Phi}{dt}$ around each loop in the metal
+- Heating power in a loop of resistance $R$: $P = \frac{\varepsilon^2}{R}$
+- Losses grow roughly as $f^2$ and as the square of the lamination thickness, which is why thin laminations help`,
+        practice: {
+            question: 'Why is a transformer core made from thin laminated sheets instead of a solid iron block?',
+            answer: 'The alternating flux induces eddy currents in the core. Insulated laminations break up the current paths, so far less energy is wasted as heat.'
+        }
+    },
+    {
+        id: 'solenoid',
+        title: 'Solenoids',
+        modules: ['solenoid', 'electromagnet'],
+        topics: ['solenoid', 'coil'],
+        keywords: 'solenoid coil turns per metre length current uniform field inside right hand grip rule permeability free space mu',
+        explanation: String.raw`A **solenoid** is a long coil of wire. When current flows, the fields of the turns add up to give a strong, nearly **uniform field inside** and a field outside shaped like that of a bar magnet.
+
+- The **right-hand grip rule**: curl the fingers of your right hand in the direction of the current and your thumb points to the solenoid's north pole.
+- The field inside depends on the current and on the number of turns **per metre**, not on the radius (for a long solenoid).
+- Reversing the current swaps the poles.`,
+        formulas: String.raw`- Field inside a long solenoid: $B = \mu_0 n I = \frac{\mu_0 N I}{L}$
+- Permeability of free space: $\mu_0 = 4\pi\times10^{-7}\ \text{T m A}^{-1}$
+- Field at the centre of a flat circular coil: $B = \frac{\mu_0 N I}{2r}$
+
+$n$ turns per metre, $N$ total turns, $L$ the solenoid's length in metres, $I$ the current in amperes.`,
+        practice: {
+            question: 'A 0.50 m solenoid has 1000 turns and carries 2.0 A. What is the field inside it?',
+            answer: 'B = μ₀NI/L = 4π×10⁻⁷ × 1000 × 2.0 / 0.50 ≈ 5.0×10⁻³ T.'
+        }
+    },
+    {
+        id: 'electromagnet',
+        title: 'Electromagnets',
+        modules: ['electromagnet'],
+        topics: ['electromagnet', 'core'],
+        keywords: 'electromagnet iron core soft relative permeability switch voltage resistance ohm crane relay strength domains saturation',
+        explanation: String.raw`An **electromagnet** is a solenoid wound on a core of a magnetic material such as **soft iron**.
+
+- The core's domains line up with the coil's field and multiply it by the **relative permeability** $\mu_r$ (hundreds to thousands for iron).
+- It is magnetic only while current flows, so it can be switched on and off (scrapyard cranes, relays, door locks).
+- It gets stronger with more current (higher voltage or lower resistance), more turns, or a better core.
+- Soft iron is used because it magnetizes and demagnetizes easily; steel would stay magnetized.`,
+        formulas: String.raw`- Current from the supply: $I = \frac{V}{R}$
+- Field with a core: $B = \mu_0 \mu_r n I$
+- Without a core $\mu_r = 1$; at high fields the core **saturates** and $B$ stops growing so quickly`,
+        practice: {
+            question: 'An electromagnet runs from 12 V with a coil resistance of 4.0 Ω. Give two ways to make it stronger.',
+            answer: 'The current is I = V/R = 3.0 A. Raise it (higher voltage or lower resistance), add more turns, or use a core with higher relative permeability.'
+        }
+    },
+    {
+        id: 'transformer',
+        title: 'Transformers',
+        modules: ['transformer'],
+        topics: ['transformer'],
+        keywords: 'transformer primary secondary turns ratio step up down voltage alternating ac dc efficiency power grid core mutual induction',
+        explanation: String.raw`A **transformer** changes the size of an alternating voltage. Two coils share an iron core:
+
+- The alternating current in the **primary** coil makes an alternating flux in the core.
+- That changing flux links the **secondary** coil and induces an EMF in it (mutual induction, Faraday's law).
+- More secondary turns than primary turns gives a **step-up** transformer; fewer gives **step-down**.
+- It does **not** work with steady DC, because a constant flux induces nothing.
+
+Power stations step voltage up for transmission so the current, and the $I^2R$ heating in the cables, is small.`,
+        formulas: String.raw`- Turns ratio: $\frac{V_s}{V_p} = \frac{N_s}{N_p}$
+- Ideal transformer (100% efficient): $V_p I_p = V_s I_s$
+- Efficiency: $\eta = \frac{P_{out}}{P_{in}} \times 100\%$
+- Cable losses: $P = I^2 R$
+
+$p$ = primary, $s$ = secondary. Real transformers lose energy through eddy currents, hysteresis, resistance of the coils and flux leakage.`,
+        practice: {
+            question: 'A transformer has 200 primary turns and 50 secondary turns. The primary is connected to 240 V AC. Find the secondary voltage.',
+            answer: 'Vs = Vp × Ns/Np = 240 × 50/200 = 60 V (step-down).'
+        }
+    },
+    {
+        id: 'inductance',
+        title: 'Self-inductance and inductors',
+        modules: ['solenoid'],
+        topics: ['inductance', 'inductor'],
+        keywords: 'inductance self inductor henry back emf energy stored time constant switch off spark growth decay',
+        explanation: String.raw`A coil opposes changes in its **own** current. When the current changes, its own changing flux induces a **back EMF** that opposes the change: this is **self-inductance** $L$, measured in henries (H).
+
+- At switch-on the current grows gradually instead of jumping, because the back EMF opposes the rise.
+- At switch-off the current falls very quickly, so the back EMF can be very large (sparks at switches).
+- An inductor stores energy in its magnetic field.`,
+        formulas: String.raw`- Definition: $L = \frac{N\Phi}{I}$
+- Back EMF: $\varepsilon = -L\frac{dI}{dt}$
+- Energy stored: $E = \frac{1}{2}LI^2$
+- Long solenoid: $L = \frac{\mu_0 N^2 A}{l}$
+- Time constant of an RL circuit: $\tau = \frac{L}{R}$, final current $I = \frac{V}{R}$`,
+        practice: {
+            question: 'A 5.0 H coil with total resistance 6.0 Ω is connected to a 12 V battery. What is the initial rate of rise of current?',
+            answer: 'At t = 0 the current is zero, so all 12 V is across the inductor: dI/dt = V/L = 12/5.0 = 2.4 A/s.'
+        }
+    },
+    {
+        id: 'magnetic-domains',
+        title: 'Cutting magnets and magnetic domains',
+        modules: ['magnetCutting'],
+        topics: ['domains', 'monopole'],
+        keywords: 'cut cutting pieces domains monopole atoms aligned ferromagnetic break halves',
+        explanation: String.raw`Cutting a bar magnet in half never separates the north pole from the south pole. Each piece becomes a **complete magnet** with its own north and south pole.
+
+The reason is that magnetism comes from tiny regions called **domains**, each a small magnet made of aligned atoms. In a magnet the domains point the same way, so every piece, however small, still has one end where the domains "point out" (north) and one where they "point in" (south).
+
+No **magnetic monopole** (an isolated north or south pole) has ever been observed: magnetic field lines always form closed loops.`,
+        formulas: String.raw`- Closed field lines (no monopoles): the net flux out of any closed surface is zero, $\oint \vec{B}\cdot d\vec{A} = 0$
+- Cutting a magnet into $n$ pieces gives $n$ dipoles, each with a north and a south pole`,
+        practice: {
+            question: 'A bar magnet is cut into three pieces. How many north poles are there now?',
+            answer: 'Three. Each piece is a complete magnet with one north and one south pole.'
+        }
+    },
+    {
+        id: 'component-assembly',
+        title: 'How electromagnetic components are built',
+        modules: ['assembly'],
+        topics: ['assembly', 'construction'],
+        keywords: 'assemble build component parts construction terminal core winding coil sections bar magnet solenoid',
+        explanation: String.raw`Every component in the assembly lab is built around the same ideas:
+
+- A **bar magnet** is a block of magnetized material with marked north and south ends.
+- A **solenoid** is copper wire wound in many turns around a non-magnetic tube, with terminals at each end to connect it to a supply. More turns per metre give a stronger field.
+- Adding an **iron core** inside the winding turns a solenoid into an electromagnet.
+- A **transformer** puts two separate windings on one shared iron core, so the flux made by one links the other.
+
+Build in the same order a real manufacturer would: core or former first, then windings, then terminals.`,
+        formulas: String.raw`- Solenoid field from its windings: $B = \mu_0 n I$
+- With an iron core: $B = \mu_0 \mu_r n I$
+- Transformer windings: $\frac{V_s}{V_p} = \frac{N_s}{N_p}$`,
+        practice: {
+            question: 'Why does a solenoid need terminals at both ends of its winding?',
+            answer: 'Current must flow in through one end of the wire and out through the other, so both ends connect to the supply to complete the circuit.'
+        }
+    }
+];
+
+const STOP_WORDS = new Set(('a an and are as at be by can do does for from how i in is it its me my of on or ' +
+    'please tell that the this to what when where which why with you your about explain give show ' +
+    'simulation key focus work works working principles physics concepts demonstrated').split(' '));
+
+const FORMULA_PATTERN = /formula|equation|calculat|derive|how much|how many|\bfind\b/i;
+const MODULE_BOOST = 1.5;
+
+/**
+ * Lower-case word stems, without stop words
+ */
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => word.replace(/(ing|ed|es|s)$/, '').replace(/'$/, ''))
+        .filter(word => word.length > 1);
+}
+
+// Field weights: a hit in the title or keywords counts more than one in the body text
+const indexedEntries = KNOWLEDGE_BASE.map(entry => ({
+    entry,
+    fields: [
+        { weight: 3, terms: new Set(tokenize(`${entry.title} ${entry.topics.join(' ')}`)) },
+        { weight: 2, terms: new Set(tokenize(entry.keywords)) },
+        { weight: 1, terms: new Set(tokenize(`${entry.explanation} ${entry.formulas}`)) }
+    ]
+}));
+
+const documentFrequency = new Map();
+indexedEntries.forEach(({ fields }) => {
+    new Set(fields.flatMap(field => [...field.terms])).forEach(term => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+});
+
+/**
+ * Rank entries for a query. Returns [{ entry, score }], best first, score > 0 only.
+ */
+export function searchKnowledgeBase(query, { module = null, limit = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+
+    return indexedEntries
+        .map(({ entry, fields }) => {
+            let score = 0;
+            terms.forEach(term => {
+                const idf = Math.log(1 + KNOWLEDGE_BASE.length / (documentFrequency.get(term) || KNOWLEDGE_BASE.length));
+                const weight = Math.max(0, ...fields.filter(field => field.terms.has(term)).map(field => field.weight));
+                score += weight * idf;
+            });
+            if (score > 0 && entry.modules.includes(module)) {
+                score *= MODULE_BOOST;
+            }
+            return { entry, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * The notes written for a module (its first listed entry)
+ */
+export function getModuleEntry(module) {
+    return KNOWLEDGE_BASE.find(entry => entry.modules[0] === module)
+        || KNOWLEDGE_BASE.find(entry => entry.modules.includes(module))
+        || null;
+}
+
+/**
+ * Build an offline answer in markdown. `action` is a quick action
+ * ('explain', 'formula' or 'quiz'), which answers from the open module's notes
+ * rather than searching.
+ */
+export function answerFromKnowledgeBase(question, { module = null, action = null } = {}) {
+    const label = '📴 **Offline mode** · answered from EM Lab\'s built-in notes, not a live model.';
+    const moduleEntry = getModuleEntry(module);
+    const results = searchKnowledgeBase(question, { module });
+
+    let entry = action && moduleEntry ? moduleEntry : results[0]?.entry;
+    let note = '';
+    if (!entry) {
+        entry = moduleEntry || KNOWLEDGE_BASE.find(candidate => candidate.id === 'faraday-law');
+        note = `I couldn't find that in the offline notes. Here is the main topic for this simulation instead.\n\n`;
+    }
+
+    const sections = [`${label}\n\n${note}## ${entry.title}`];
+    if (action === 'formula') {
+        sections.push(entry.formulas);
+    } else if (action === 'quiz') {
+        sections.push(`**Practice question:** ${entry.practice.question}`);
+        sections.push(`> **Answer:** ${entry.practice.answer}`);
+    } else {
+        sections.push(entry.explanation);
+        if (action !== 'explain' && FORMULA_PATTERN.test(question)) {
+            sections.push(`### Key formulas\n\n${entry.formulas}`);
+        }
+    }
+
+    const related = [...results.map(result => result.entry), ...KNOWLEDGE_BASE.filter(candidate => candidate.modules.includes(module))]
+        .filter((candidate, index, list) => candidate !== entry && list.indexOf(candidate) === index)
+        .slice(0, 2);
+    if (related.length > 0) {
+        sections.push(`*Related offline notes: ${related.map(candidate => candidate.title).join(', ')}. Ask about them by name.*`);
+    }
+
+    return sections.join('\n\n');
+}
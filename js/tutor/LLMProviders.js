@@ -0,0 +1,459 @@
+/**
+ * LLMProviders - Interchangeable chat-completion backends for EM-Vee
+ *
+ * Every provider exposes the same interface:
+ *   isConfigured() -> boolean
+ *   complete({ systemPrompt, messages, maxOutputTokens, tools, signal, onText }) -> Promise<{ text, toolCalls }>
+ *   generate({ systemPrompt, messages, maxOutputTokens }) -> Promise<string>
+ * where messages are { role: 'user' | 'assistant', content } oldest first, tools are
+ * { name, description, parameters (JSON Schema) } and toolCalls are { id, name, args }.
+ *
+ * Passing onText streams the reply: it is called with the full text so far as tokens
+ * arrive. If a stream fails or is aborted through `signal`, the thrown error carries
+ * the text received until then as `partialText`.
+ */
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+export const PROVIDER_TYPES = {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI-compatible server',
+    mock: 'Offline mock'
+};
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+    type: 'gemini',
+    gemini: {
+        apiKey: '',
+        model: 'gemini-2.5-flash-lite'
+    },
+    openai: {
+        baseUrl: 'http://localhost:11434',
+        apiKey: '',
+        model: 'llama3.1'
+    }
+};
+
+// Stand-in keys from templates and older builds; none of them is a real Gemini key
+const PLACEHOLDER_KEYS = ['PLACEHOLDER_API_KEY', 'gen-lang-client-0984887015'];
+
+/**
+ * Whether a Gemini key is missing or only a placeholder
+ */
+export function isPlaceholderKey(key) {
+    return !key || !key.trim() || PLACEHOLDER_KEYS.includes(key.trim());
+}
+
+/**
+ * Read an error message from a failed response, whether or not the body is JSON
+ */
+async function readErrorMessage(response) {
+    const body = await response.json().catch(() => null);
+    const message = body?.error?.message || (typeof body?.error === 'string' ? body.error : '');
+    return message || `${response.status} ${response.statusText}`.trim() || 'API request failed';
+}
+
+/**
+ * Yield the JSON payload of each server-sent event in a streamed response
+ */
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseEvent = (event) => {
+        const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+        return data && data !== '[DONE]' ? JSON.parse(data) : null;
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+
+        for (const event of events) {
+            const data = parseEvent(event);
+            if (data) yield data;
+        }
+    }
+
+    const data = parseEvent(buffer);
+    if (data) yield data;
+}
+
+/**
+ * Feed every streamed event to `collect`, reporting text growth through onText.
+ * Errors (including aborts) are rethrown with the text received so far.
+ */
+async function consumeStream(response, reply, collect, onText) {
+    try {
+        for await (const data of readServerSentEvents(response)) {
+            const before = reply.text;
+            collect(data);
+            if (reply.text !== before) onText(reply.text);
+        }
+    } catch (error) {
+        error.partialText = reply.text;
+        throw error;
+    }
+}
+
+/**
+ * A reply must contain text or at least one tool call
+ */
+function finishReply(reply) {
+    if (!reply.text && reply.toolCalls.length === 0) {
+        throw new Error('No response generated');
+    }
+    return reply;
+}
+
+/**
+ * Tool arguments arrive as a JSON string from OpenAI-compatible servers
+ */
+function parseToolArguments(name, json) {
+    try {
+        return JSON.parse(json || '{}');
+    } catch (error) {
+        console.warn(`Ignoring malformed arguments for ${name}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Gemini's schema dialect uses upper-case type names
+ */
+function toGeminiSchema(schema) {
+    const converted = { ...schema, type: schema.type.toUpperCase() };
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    return converted;
+}
+
+/**
+ * Text-only request on top of complete()
+ */
+async function generateText(provider, request) {
+    const { text } = await provider.complete({ ...request, tools: [] });
+    if (!text) {
+        throw new Error('No response generated');
+    }
+    return text;
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+export class GeminiProvider {
+    constructor({ apiKey = '', model = DEFAULT_PROVIDER_SETTINGS.gemini.model } = {}) {
+        this.type = 'gemini';
+        this.label = PROVIDER_TYPES.gemini;
+        this.apiKey = apiKey;
+        this.model = model || DEFAULT_PROVIDER_SETTINGS.gemini.model;
+    }
+
+    isConfigured() {
+        return !isPlaceholderKey(this.apiKey);
+    }
+
+    generate(request) {
+        return generateText(this, request);
+    }
+
+    async complete({ systemPrompt, messages, maxOutputTokens = 2048, tools = [], signal, onText }) {
+        const streaming = typeof onText === 'function';
+
+        // Gemini rejects object schemas without properties, so parameterless tools omit them
+        const functionDeclarations = tools.map(({ parameters, ...tool }) => ({
+            ...tool,
+            ...(Object.keys(parameters?.properties || {}).length > 0 && { parameters: toGeminiSchema(parameters) })
+        }));
+
+        const method = streaming ? 'streamGenerateContent?alt=sse' : 'generateContent';
+        const response = await fetch(`${GEMINI_BASE_URL}/models/${encodeURIComponent(this.model)}:${method}`, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json',
+                // Sent as a header so the key never appears in URLs or proxy logs
+                'x-goog-api-key': this.apiKey
+            },
+            body: JSON.stringify({
+                systemInstruction: {
+                    parts: [{ text: systemPrompt }]
+                },
+                contents: messages.map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.content }]
+                })),
+                generationConfig: {
+                    temperature: 0.7,
+                    topK: 40,
+                    topP: 0.95,
+                    maxOutputTokens
+                },
+                safetySettings: [
+                    { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+                    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+                    { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+                    { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
+                ],
+                ...(functionDeclarations.length > 0 && { tools: [{ functionDeclarations }] })
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+
+        const reply = { text: '', toolCalls: [] };
+        const collect = (data) => {
+            (data.candidates?.[0]?.content?.parts || []).forEach(part => {
+                if (part.text) {
+                    reply.text += part.text;
+                }
+                if (part.functionCall) {
+                    reply.toolCalls.push({
+                        id: `call_${reply.toolCalls.length}`,
+                        name: part.functionCall.name,
+                        args: part.functionCall.args || {}
+                    });
+                }
+            });
+        };
+
+        if (streaming) {
+            await consumeStream(response, reply, collect, onText);
+        } else {
+            collect(await response.json());
+        }
+
+        return finishReply(reply);
+    }
+}
+
+/**
+ * Any server implementing the OpenAI /v1/chat/completions endpoint
+ * (local model servers, school proxies, hosted APIs)
+ */
+export class OpenAICompatibleProvider {
+    constructor({
+        baseUrl = DEFAULT_PROVIDER_SETTINGS.openai.baseUrl,
+        apiKey = '',
+        model = DEFAULT_PROVIDER_SETTINGS.openai.model
+    } = {}) {
+        this.type = 'openai';
+        this.label = PROVIDER_TYPES.openai;
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+
+    /**
+     * Accepts base URLs with or without the trailing /v1
+     */
+    getEndpoint() {
+        const base = this.baseUrl.trim().replace(/\/+$/, '');
+        return /\/v1$/.test(base) ? `${base}/chat/completions` : `${base}/v1/chat/completions`;
+    }
+
+    generate(request) {
+        return generateText(this, request);
+    }
+
+    async complete({ systemPrompt, messages, maxOutputTokens = 2048, tools = [], signal, onText }) {
+        const streaming = typeof onText === 'function';
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(this.getEndpoint(), {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    ...messages.map(message => ({ role: message.role, content: message.content }))
+                ],
+                temperature: 0.7,
+                top_p: 0.95,
+                max_tokens: maxOutputTokens,
+                stream: streaming,
+                ...(tools.length > 0 && { tools: tools.map(tool => ({ type: 'function', function: tool })) })
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+
+        const reply = { text: '', toolCalls: [] };
+
+        if (streaming) {
+            // Tool calls arrive in fragments keyed by index; arguments are concatenated JSON
+            const pending = [];
+            await consumeStream(response, reply, (data) => {
+                const delta = data.choices?.[0]?.delta || {};
+                if (delta.content) {
+                    reply.text += delta.content;
+                }
+                (delta.tool_calls || []).forEach(fragment => {
+                    const call = pending[fragment.index ?? pending.length] ||= { id: '', name: '', arguments: '' };
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+                });
+            }, onText);
+
+            reply.toolCalls = pending.filter(Boolean).map((call, index) => ({
+                id: call.id || `call_${index}`,
+                name: call.name,
+                args: parseToolArguments(call.name, call.arguments)
+            }));
+        } else {
+            const message = (await response.json()).choices?.[0]?.message || {};
+            reply.text = message.content || '';
+            reply.toolCalls = (message.tool_calls || []).map((call, index) => ({
+                id: call.id || `call_${index}`,
+                name: call.function?.name,
+                args: parseToolArguments(call.function?.name, call.function?.arguments)
+            }));
+        }
+
+        return finishReply(reply);
+    }
+}
+
+/**
+ * Tool calls the mock makes for a few recognisable requests, so the
+ * simulation actions can be exercised without a model
+ */
+function inferMockToolCalls(question, tools) {
+    const available = new Set(tools.map(tool => tool.name));
+    const calls = [];
+
+    const turns = question.match(/(\d+(?:\.\d+)?)\s+(primary|secondary)\s+turns/i);
+    if (turns && available.has('set_slider')) {
+        calls.push({ name: 'set_slider', args: { id: `${turns[2].toLowerCase()}-turns`, value: parseFloat(turns[1]) } });
+    }
+
+    if (/\bdrop\b/i.test(question) && available.has('drop_magnet')) {
+        calls.push({ name: 'drop_magnet', args: {} });
+    }
+
+    const power = question.match(/\b(?:switch|turn)\b.*\b(on|off)\b/i);
+    if (power && available.has('set_electromagnet_switch')) {
+        calls.push({ name: 'set_electromagnet_switch', args: { on: power[1].toLowerCase() === 'on' } });
+    }
+
+    return calls.map((call, index) => ({ id: `mock_${index}`, ...call }));
+}
+
+/**
+ * Deterministic provider that never touches the network.
+ * Replies are taken from `responses` in order (a string, a { text, toolCalls } object,
+ * or an Error which is thrown), then from `reply(request)`, then a fixed acknowledgement
+ * that also requests any simulation action the question plainly asks for.
+ * Every request is recorded in `calls` so tests can inspect what the tutor sent.
+ */
+export class MockProvider {
+    constructor({ responses = [], reply = null, streamDelay = 15 } = {}) {
+        this.type = 'mock';
+        this.label = PROVIDER_TYPES.mock;
+        this.responses = [...responses];
+        this.reply = reply;
+        this.streamDelay = streamDelay; // ms between streamed words
+        this.calls = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    generate(request) {
+        return generateText(this, request);
+    }
+
+    async complete(request) {
+        this.calls.push(request);
+
+        let next;
+        if (this.responses.length > 0) {
+            next = this.responses.shift();
+        } else if (this.reply) {
+            next = await this.reply(request);
+        }
+
+        if (next instanceof Error) throw next;
+
+        let reply;
+        if (typeof next === 'string') {
+            reply = { text: next, toolCalls: [] };
+        } else if (next) {
+            reply = { text: next.text || '', toolCalls: next.toolCalls || [] };
+        } else {
+            const question = request.messages[request.messages.length - 1]?.content || '';
+            const toolCalls = inferMockToolCalls(question, request.tools || []);
+            const text = toolCalls.length > 0
+                ? '**Mock tutor** (no model connected)\n\nSure, confirm the action below and watch the simulation.'
+                : `**Mock tutor** (no model connected)\n\nYou asked: "${question}"\n\nThis reply comes from the offline mock provider. Choose Google Gemini or an OpenAI-compatible server in the settings to get real answers.`;
+            reply = { text, toolCalls };
+        }
+
+        if (typeof request.onText === 'function') {
+            await this.streamText(reply.text, request);
+        }
+
+        return reply;
+    }
+
+    /**
+     * Replay a reply word by word, honouring the abort signal like a real stream
+     */
+    async streamText(text, { signal, onText }) {
+        let streamed = '';
+        for (const word of text.match(/\S+\s*|\s+/g) || []) {
+            if (signal?.aborted) {
+                const error = new DOMException('The request was aborted', 'AbortError');
+                error.partialText = streamed;
+                throw error;
+            }
+
+            streamed += word;
+            onText(streamed);
+            await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+        }
+    }
+}
+
+/**
+ * Build the provider described by a settings object (see DEFAULT_PROVIDER_SETTINGS)
+ */
+export function createProvider(settings = DEFAULT_PROVIDER_SETTINGS) {
+    switch (settings.type) {
+        case 'openai':
+            return new OpenAICompatibleProvider(settings.openai);
+        case 'mock':
+            return new MockProvider();
+        case 'gemini':
+        default:
+            return new GeminiProvider(settings.gemini);
+    }
+}
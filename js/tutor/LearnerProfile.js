@@ -0,0 +1,241 @@
+/**
+ * LearnerProfile - Persistent per-topic mastery model of the student
+ *
+ * Evidence comes from Exam Practice results, assembly star ratings and the questions
+ * asked to EM-Vee. Each topic keeps an exponentially weighted mastery estimate
+ * (0..1, null until there is evidence) so recent results count more than old ones;
+ * the first piece of evidence moves it from a neutral prior, so one lucky answer
+ * does not read as mastery. Topics are the knowledge base entries, so tutor
+ * questions are classified by the same retrieval that answers them offline.
+ */
+import { KNOWLEDGE_BASE, searchKnowledgeBase, getModuleEntry } from './KnowledgeBase.js';
+
+const STORAGE_KEY = 'emlab-learner-profile';
+
+// How strongly one piece of evidence moves the mastery estimate
+const EVIDENCE_WEIGHTS = {
+    exam: 0.4,
+    assembly: 0.25,
+    struggle: 0.15
+};
+
+const PRIOR_MASTERY = 0.5;
+
+// Mastery a tutor question that signals confusion pulls towards
+const STRUGGLE_MASTERY = 0.3;
+const CONFUSION_PATTERN = /don'?t (get|understand)|do not (get|understand)|confus|(i'?m|i am) (lost|stuck)|makes? no sense|still not sure|not sure why|struggl/i;
+
+const WEAK_THRESHOLD = 0.5;
+const STRONG_THRESHOLD = 0.8;
+
+// Assembly components and the topic they practise
+const ASSEMBLY_TOPICS = {
+    magnet: 'magnetic-fields',
+    solenoid: 'solenoid'
+};
+
+export const LEARNER_TOPICS = KNOWLEDGE_BASE.map(entry => ({ id: entry.id, title: entry.title }));
+
+function createEmptyProfile() {
+    return {
+        topics: {},
+        questionsAsked: 0,
+        exam: { attempts: 0, correct: 0 },
+        assembly: {},
+        updatedAt: null
+    };
+}
+
+export class LearnerProfile {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.data = this.load();
+
+        // Called with the profile after every change
+        this.onChange = null;
+    }
+
+    /**
+     * Read the saved profile, starting fresh if it is missing or unreadable
+     */
+    load() {
+        try {
+            const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+            if (saved && typeof saved.topics === 'object') {
+                return { ...createEmptyProfile(), ...saved };
+            }
+        } catch (error) {
+            console.warn('Could not read learner profile:', error);
+        }
+        return createEmptyProfile();
+    }
+
+    save() {
+        this.data.updatedAt = Date.now();
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Could not save learner profile:', error);
+        }
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Forget all progress
+     */
+    reset() {
+        this.data = createEmptyProfile();
+        this.save();
+    }
+
+    getTopic(topicId) {
+        if (!this.data.topics[topicId]) {
+            this.data.topics[topicId] = {
+                mastery: null,
+                evidence: 0,
+                examAttempts: 0,
+                examCorrect: 0,
+                questions: 0,
+                struggles: 0,
+                lastActivity: null
+            };
+        }
+        return this.data.topics[topicId];
+    }
+
+    /**
+     * Move a topic's mastery towards `value` (0..1) by `weight`
+     */
+    addEvidence(topicId, value, weight) {
+        const topic = this.getTopic(topicId);
+        const current = topic.mastery ?? PRIOR_MASTERY;
+        topic.mastery = current + weight * (value - current);
+        topic.evidence++;
+        topic.lastActivity = Date.now();
+        return topic;
+    }
+
+    /**
+     * Record an exam answer for each topic the question covers
+     */
+    recordExamResult({ topics, correct }) {
+        this.data.exam.attempts++;
+        if (correct) this.data.exam.correct++;
+
+        topics.forEach(topicId => {
+            const topic = this.addEvidence(topicId, correct ? 1 : 0, EVIDENCE_WEIGHTS.exam);
+            topic.examAttempts++;
+            if (correct) topic.examCorrect++;
+        });
+        this.save();
+    }
+
+    /**
+     * Record a finished assembly; 3 stars is full marks for its topic
+     */
+    recordAssembly({ component, stars }) {
+        const best = this.data.assembly[component] || 0;
+        this.data.assembly[component] = Math.max(best, stars);
+
+        const topicId = ASSEMBLY_TOPICS[component];
+        if (topicId) {
+            this.addEvidence(topicId, stars / 3, EVIDENCE_WEIGHTS.assembly);
+        }
+        this.save();
+    }
+
+    /**
+     * Record a question asked to the tutor. Returns the topic it was filed under.
+     */
+    recordTutorQuestion(question, module = null) {
+        this.data.questionsAsked++;
+
+        const topicId = searchKnowledgeBase(question, { module, limit: 1 })[0]?.entry.id || getModuleEntry(module)?.id;
+        if (topicId) {
+            const topic = this.getTopic(topicId);
+            topic.questions++;
+            topic.lastActivity = Date.now();
+
+            if (CONFUSION_PATTERN.test(question)) {
+                topic.struggles++;
+                this.addEvidence(topicId, STRUGGLE_MASTERY, EVIDENCE_WEIGHTS.struggle);
+            }
+        }
+
+        this.save();
+        return topicId || null;
+    }
+
+    /**
+     * Every known topic with its progress, in syllabus order
+     */
+    getTopicSummaries() {
+        return LEARNER_TOPICS.map(({ id, title }) => {
+            const topic = this.data.topics[id] || {};
+            return {
+                id,
+                title,
+                mastery: topic.mastery ?? null,
+                evidence: topic.evidence || 0,
+                examAttempts: topic.examAttempts || 0,
+                examCorrect: topic.examCorrect || 0,
+                questions: topic.questions || 0,
+                struggles: topic.struggles || 0
+            };
+        });
+    }
+
+    /**
+     * Topics the student is finding hard, weakest first
+     */
+    getWeakTopics() {
+        return this.getTopicSummaries()
+            .filter(topic => (topic.mastery !== null && topic.mastery < WEAK_THRESHOLD) || topic.struggles >= 2)
+            .sort((a, b) => (a.mastery ?? WEAK_THRESHOLD) - (b.mastery ?? WEAK_THRESHOLD));
+    }
+
+    getStrongTopics() {
+        return this.getTopicSummaries().filter(topic => topic.mastery !== null && topic.mastery >= STRONG_THRESHOLD);
+    }
+
+    /**
+     * Totals for the dashboard header
+     */
+    getTotals() {
+        return {
+            questionsAsked: this.data.questionsAsked,
+            examAttempts: this.data.exam.attempts,
+            examCorrect: this.data.exam.correct,
+            assemblyStars: Object.values(this.data.assembly).reduce((sum, stars) => sum + stars, 0),
+            assemblyMaxStars: Object.keys(ASSEMBLY_TOPICS).length * 3
+        };
+    }
+
+    /**
+     * Plain-text description of the student for the tutor's system prompt,
+     * or '' while there is nothing to say yet
+     */
+    describeForPrompt() {
+        const describe = topic => {
+            const parts = [];
+            if (topic.mastery !== null) parts.push(`mastery ${Math.round(topic.mastery * 100)}%`);
+            if (topic.examAttempts > 0) parts.push(`${topic.examCorrect}/${topic.examAttempts} exam answers right`);
+            if (topic.struggles > 0) parts.push(`said they were confused ${topic.struggles}×`);
+            return `${topic.title}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+        };
+
+        const lines = [];
+        const weak = this.getWeakTopics();
+        const strong = this.getStrongTopics();
+        const frequent = this.getTopicSummaries()
+            .filter(topic => topic.questions > 0)
+            .sort((a, b) => b.questions - a.questions)
+            .slice(0, 3);
+
+        if (weak.length > 0) lines.push(`- Student struggles with: ${weak.map(describe).join('; ')}`);
+        if (strong.length > 0) lines.push(`- Confident with: ${strong.map(describe).join('; ')}`);
+        if (frequent.length > 0) lines.push(`- Asks most about: ${frequent.map(topic => topic.title).join(', ')}`);
+
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,414 @@
+/**
+ * MarkdownRenderer - Safe markdown + math rendering for tutor replies and exam cards
+ *
+ * All source text is HTML-escaped before any markup is produced, so model output
+ * can never inject tags or attributes. Supported: headings, paragraphs, bold/italic,
+ * inline and fenced code, lists, blockquotes, tables, links (http/https only) and
+ * math in $...$, $$...$$, \(...\) and \[...\] using a built-in LaTeX subset
+ * (fractions, roots, scripts, Greek letters, common operators) that works offline.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Placeholders protect already-rendered fragments (code, math) from inline markup
+const PLACEHOLDER = '\u0000';
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+const TEX_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+    eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+    xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ',
+    chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+    Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', approx: '≈', sim: '∼', simeq: '≃',
+    equiv: '≡', neq: '≠', ne: '≠', leq: '≤', le: '≤', geq: '≥', ge: '≥', ll: '≪', gg: '≫',
+    propto: '∝', infty: '∞', partial: '∂', nabla: '∇', int: '∫', oint: '∮', iint: '∬',
+    sum: '∑', prod: '∏', to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒',
+    Leftarrow: '⇐', leftrightarrow: '↔', Leftrightarrow: '⇔', uparrow: '↑', downarrow: '↓',
+    degree: '°', circ: '∘', perp: '⊥', parallel: '∥', angle: '∠', hbar: 'ℏ', ell: 'ℓ',
+    ldots: '…', cdots: '⋯', dots: '…', therefore: '∴', because: '∵', odot: '⊙', otimes: '⊗',
+    times10: '×10', prime: '′', '%': '%', '{': '{', '}': '}', '$': '$', '#': '#', '&': '&', '_': '_',
+    ',': ' ', ';': ' ', ':': ' ', '!': '', ' ': ' ', quad: ' ', qquad: '  '
+};
+
+// Function names set upright, as in \sin x
+const TEX_OPERATORS = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos', 'arctan',
+    'sinh', 'cosh', 'tanh', 'ln', 'log', 'exp', 'max', 'min', 'lim', 'det'];
+
+// Commands that take one argument and wrap it
+const TEX_WRAPPERS = {
+    text: html => `<span class="md-math-text">${html}</span>`,
+    mathrm: html => `<span class="md-math-text">${html}</span>`,
+    textrm: html => `<span class="md-math-text">${html}</span>`,
+    operatorname: html => `<span class="md-math-text">${html}</span>`,
+    mathbf: html => `<b>${html}</b>`,
+    textbf: html => `<b>${html}</b>`,
+    boldsymbol: html => `<b>${html}</b>`,
+    vec: html => `<span class="md-math-vec">${html}</span>`,
+    hat: html => `<span class="md-math-hat">${html}</span>`,
+    bar: html => `<span class="md-math-bar">${html}</span>`,
+    overline: html => `<span class="md-math-bar">${html}</span>`,
+    sqrt: html => `<span class="md-sqrt">√<span class="md-sqrt-arg">${html}</span></span>`
+};
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Recursive-descent renderer for the supported LaTeX subset
+ */
+class TexParser {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+    }
+
+    parse() {
+        return this.parseSequence(null);
+    }
+
+    /**
+     * Render until the closing brace (or the end of input)
+     */
+    parseSequence(closing) {
+        let html = '';
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos];
+            if (char === closing) {
+                this.pos++;
+                return html;
+            }
+            html += this.parseAtom();
+        }
+        return html;
+    }
+
+    /**
+     * One element plus any attached sub/superscripts
+     */
+    parseAtom() {
+        let base = this.parseBase();
+
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos];
+            if (char === '^' || char === '_') {
+                this.pos++;
+                const script = this.parseArgument();
+                base += char === '^' ? `<sup>${script}</sup>` : `<sub>${script}</sub>`;
+            } else if (char === "'") {
+                this.pos++;
+                base += '′';
+            } else {
+                break;
+            }
+        }
+
+        return base;
+    }
+
+    parseBase() {
+        const char = this.source[this.pos];
+
+        if (char === '{') {
+            this.pos++;
+            return this.parseSequence('}');
+        }
+        if (char === '\\') {
+            return this.parseCommand();
+        }
+        if (char === '^' || char === '_') {
+            // Script without a base, e.g. ^{2}
+            return '';
+        }
+
+        this.pos++;
+        if (/[a-zA-Z]/.test(char)) return `<i>${char}</i>`;
+        if (char === ' ') return '';
+        if (char === '~') return ' ';
+        if ('=<>+−×'.includes(char) || char === '-') {
+            return `<span class="md-math-op">${char === '-' ? '−' : escapeHtml(char)}</span>`;
+        }
+        return escapeHtml(char);
+    }
+
+    /**
+     * A single-token or braced argument
+     */
+    parseArgument() {
+        this.skipSpaces();
+        const char = this.source[this.pos];
+        if (char === undefined) return '';
+        if (char === '{') {
+            this.pos++;
+            return this.parseSequence('}');
+        }
+        if (char === '\\') return this.parseCommand();
+        this.pos++;
+        return /[a-zA-Z]/.test(char) ? `<i>${char}</i>` : escapeHtml(char);
+    }
+
+    /**
+     * Raw text of a braced argument (for \text and friends)
+     */
+    parseTextArgument() {
+        this.skipSpaces();
+        if (this.source[this.pos] !== '{') return this.parseArgument();
+
+        let depth = 0;
+        const start = this.pos + 1;
+        for (; this.pos < this.source.length; this.pos++) {
+            if (this.source[this.pos] === '{') depth++;
+            if (this.source[this.pos] === '}' && --depth === 0) break;
+        }
+        const text = this.source.slice(start, this.pos);
+        this.pos++;
+        return escapeHtml(text);
+    }
+
+    parseCommand() {
+        this.pos++; // backslash
+        const match = /^[a-zA-Z]+|^./.exec(this.source.slice(this.pos));
+        if (!match) return '\\';
+
+        const name = match[0];
+        this.pos += name.length;
+
+        if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+            const numerator = this.parseArgument();
+            const denominator = this.parseArgument();
+            return `<span class="md-frac"><span class="md-frac-num">${numerator}</span><span class="md-frac-den">${denominator}</span></span>`;
+        }
+        if (name === 'text' || name === 'mathrm' || name === 'textrm' || name === 'operatorname') {
+            return TEX_WRAPPERS[name](this.parseTextArgument());
+        }
+        if (Object.hasOwn(TEX_WRAPPERS, name)) {
+            return TEX_WRAPPERS[name](this.parseArgument());
+        }
+        if (name === 'left' || name === 'right' || name === 'big' || name === 'Big' || name === 'displaystyle') {
+            // Sizing hints have no effect at this level of rendering
+            if ((name === 'left' || name === 'right') && this.source[this.pos] === '.') this.pos++;
+            return '';
+        }
+        if (TEX_OPERATORS.includes(name)) {
+            return `<span class="md-math-text">${name}</span> `;
+        }
+        if (Object.hasOwn(TEX_SYMBOLS, name)) {
+            const symbol = TEX_SYMBOLS[name];
+            const isOperator = /[×·÷±∓≈∼≃≡≠≤≥≪≫∝→←⇒⇐↔⇔]/.test(symbol);
+            return isOperator ? `<span class="md-math-op">${symbol}</span>` : escapeHtml(symbol);
+        }
+
+        // Unknown command: show it literally rather than guessing
+        return escapeHtml(`\\${name}`);
+    }
+
+    skipSpaces() {
+        while (this.source[this.pos] === ' ') this.pos++;
+    }
+}
+
+/**
+ * Render a LaTeX expression to HTML
+ */
+export function renderMath(tex, displayMode = false) {
+    let body;
+    try {
+        body = new TexParser(tex.trim()).parse();
+    } catch (error) {
+        console.warn('Could not render math:', error);
+        body = escapeHtml(tex);
+    }
+
+    return displayMode
+        ? `<div class="md-math md-math-display">${body}</div>`
+        : `<span class="md-math">${body}</span>`;
+}
+
+/**
+ * Render inline markdown (code, math, bold, italic, links) within one block
+ */
+export function renderInline(text) {
+    const fragments = [];
+    const protect = html => `${PLACEHOLDER}${fragments.push(html) - 1}${PLACEHOLDER}`;
+
+    let source = String(text)
+        // Inline code
+        .replace(/`([^`\n]+)`/g, (_, code) => protect(`<code>${escapeHtml(code)}</code>`))
+        // \( ... \) math
+        .replace(/\\\((.+?)\\\)/g, (_, tex) => protect(renderMath(tex)))
+        // $...$ math; not $$, and not prices like "$5 and $10"
+        .replace(/(^|[^\\$])\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)/g, (_, before, tex) => before + protect(renderMath(tex)));
+
+    source = escapeHtml(source)
+        // Bold
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        // Italic
+        .replace(/(^|[^*\w])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?!\s)([^_]+?)_(?!\w)/g, '$1<em>$2</em>')
+        // Links (http/https only)
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+    return source.replace(PLACEHOLDER_PATTERN, (_, index) => fragments[index]);
+}
+
+/**
+ * Split a table row into trimmed cells
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+function renderTable(lines) {
+    const header = splitTableRow(lines[0]);
+    const alignments = splitTableRow(lines[1]).map(cell => {
+        if (/^:-+:$/.test(cell)) return 'center';
+        if (/-+:$/.test(cell)) return 'right';
+        return null;
+    });
+    const cell = (tag, content, index) => {
+        const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderInline(content)}</${tag}>`;
+    };
+
+    const rows = lines.slice(2).map(line =>
+        `<tr>${splitTableRow(line).map((content, index) => cell('td', content, index)).join('')}</tr>`
+    );
+
+    return `<div class="md-table-wrap"><table class="md-table"><thead><tr>${header.map((content, index) => cell('th', content, index)).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table></div>`;
+}
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Render a markdown document to sanitized HTML
+ */
+export function renderMarkdown(source) {
+    const blocks = [];
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Fenced code (an unclosed fence, e.g. mid-stream, runs to the end)
+        const fence = /^```\s*([\w+-]*)/.exec(trimmed);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) {
+                code.push(lines[i]);
+            }
+            const language = fence[1] ? ` data-language="${escapeHtml(fence[1])}"` : '';
+            blocks.push(`<pre class="md-code"${language}><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Display math: $$...$$ or \[...\], possibly over several lines
+        const mathOpen = trimmed.startsWith('$$') ? '$$' : trimmed.startsWith('\\[') ? '\\[' : null;
+        if (mathOpen) {
+            const mathClose = mathOpen === '$$' ? '$$' : '\\]';
+            let tex = trimmed.slice(2);
+            let closed = tex.includes(mathClose);
+            while (!closed && i + 1 < lines.length) {
+                tex += `\n${lines[++i]}`;
+                closed = tex.includes(mathClose);
+            }
+            if (closed) {
+                flushParagraph();
+                const end = tex.indexOf(mathClose);
+                blocks.push(renderMath(tex.slice(0, end), true));
+                const rest = tex.slice(end + 2).trim();
+                if (rest) paragraph.push(rest);
+                continue;
+            }
+            // Unclosed: fall through and treat the opening line as text
+            paragraph.push(line);
+            continue;
+        }
+
+        if (!trimmed) {
+            flushParagraph();
+            continue;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(trimmed);
+        if (heading) {
+            flushParagraph();
+            // Chat bubbles are small, so # maps to h3 and deeper levels follow
+            const level = Math.min(heading[1].length + 2, 6);
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+            flushParagraph();
+            blocks.push('<hr>');
+            continue;
+        }
+
+        if (trimmed.startsWith('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+            flushParagraph();
+            const tableLines = [line, lines[i + 1]];
+            for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+                tableLines.push(lines[i]);
+            }
+            i--;
+            blocks.push(renderTable(tableLines));
+            continue;
+        }
+
+        if (trimmed.startsWith('>')) {
+            flushParagraph();
+            const quoted = [];
+            for (; i < lines.length && lines[i].trim().startsWith('>'); i++) {
+                quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+            }
+            i--;
+            blocks.push(`<blockquote class="md-quote">${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        if (item) {
+            flushParagraph();
+            const ordered = /\d/.test(item[1]);
+            const items = [];
+            for (; i < lines.length; i++) {
+                const next = LIST_ITEM.exec(lines[i]);
+                if (next && /\d/.test(next[1]) === ordered) {
+                    items.push(renderInline(next[2]));
+                } else if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+                    // Indented continuation line
+                    items[items.length - 1] += `<br>${renderInline(lines[i].trim())}`;
+                } else {
+                    break;
+                }
+            }
+            i--;
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered && parseInt(item[1]) !== 1 ? ` start="${parseInt(item[1])}"` : '';
+            blocks.push(`<${tag}${start}>${items.map(content => `<li>${content}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        paragraph.push(line);
+    }
+
+    flushParagraph();
+    return blocks.join('');
+}
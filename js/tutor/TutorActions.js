@@ -0,0 +1,125 @@
+/**
+ * TutorActions - Simulation actions EM-Vee can request through function calling
+ *
+ * Each action declares its parameters as JSON Schema (sent to the provider as a tool),
+ * a describe() used on the confirmation card, and a run() that applies it and returns
+ * a short confirmation. run() throws when the action does not fit the open simulation.
+ */
+
+export const TUTOR_ACTIONS = [
+    {
+        name: 'set_slider',
+        description: 'Set one of the slider controls of the open simulation. Values outside the slider range are clamped.',
+        parameters: (app) => ({
+            type: 'object',
+            properties: {
+                id: {
+                    type: 'string',
+                    description: 'Slider id from the list of available controls',
+                    ...(app.sliders.getSliders().length > 0 && { enum: app.sliders.getSliders().map(slider => slider.id) })
+                },
+                value: { type: 'number', description: 'New slider value' }
+            },
+            required: ['id', 'value']
+        }),
+        describe: (app, { id, value }) => {
+            const slider = app.sliders.getSliders().find(s => s.id === id);
+            return `Set ${slider ? slider.label : id} to ${value}${slider ? slider.unit : ''}`;
+        },
+        run: (app, { id, value }) => {
+            const slider = app.sliders.getSliders().find(s => s.id === id);
+            if (!slider) {
+                throw new Error(`There is no "${id}" control in this simulation`);
+            }
+
+            const requested = Number(value);
+            if (!Number.isFinite(requested)) {
+                throw new Error('The value must be a number');
+            }
+
+            app.sliders.setValue(id, Math.min(Math.max(requested, slider.min), slider.max));
+            const applied = app.sliders.getValue(id);
+
+            const note = applied !== requested ? ` (asked for ${requested}; the slider goes from ${slider.min} to ${slider.max})` : '';
+            return `${slider.label} set to ${applied}${slider.unit}${note}`;
+        }
+    },
+    {
+        name: 'load_module',
+        description: 'Open another simulation module.',
+        parameters: (app) => ({
+            type: 'object',
+            properties: {
+                module: { type: 'string', description: 'Module id', enum: Object.keys(app.modules) }
+            },
+            required: ['module']
+        }),
+        describe: (app, { module }) => `Open the ${app.modules[module]?.title || module} simulation`,
+        run: (app, { module }) => {
+            if (!app.modules[module]) {
+                throw new Error(`There is no "${module}" module`);
+            }
+
+            app.loadModule(module);
+            app.setActiveModuleItem(module);
+            return `Opened ${app.modules[module].title}`;
+        }
+    },
+    {
+        name: 'drop_magnet',
+        description: "Drop the magnet through the copper tube again (Lenz's Law simulation only).",
+        parameters: () => ({ type: 'object', properties: {} }),
+        describe: () => 'Drop the magnet through the copper tube',
+        run: (app) => {
+            const module = app.currentModule;
+            if (module?.name !== 'lenz') {
+                throw new Error("Open the Lenz's Law simulation first");
+            }
+            if (module.isDropping) {
+                throw new Error('The magnet is still falling');
+            }
+
+            module.startDrop();
+            return 'Magnet dropped through the copper tube';
+        }
+    },
+    {
+        name: 'set_electromagnet_switch',
+        description: 'Turn the electromagnet circuit switch on or off (Electromagnet simulation only).',
+        parameters: () => ({
+            type: 'object',
+            properties: {
+                on: { type: 'boolean', description: 'true to close the switch, false to open it' }
+            },
+            required: ['on']
+        }),
+        describe: (app, { on }) => `Turn the electromagnet switch ${on ? 'on' : 'off'}`,
+        run: (app, { on }) => {
+            const module = app.currentModule;
+            if (module?.name !== 'electromagnet') {
+                throw new Error('Open the Electromagnet simulation first');
+            }
+
+            module.setSwitch(Boolean(on));
+            return `Electromagnet switch turned ${on ? 'on' : 'off'}`;
+        }
+    }
+];
+
+/**
+ * Look up an action by name
+ */
+export function getTutorAction(name) {
+    return TUTOR_ACTIONS.find(action => action.name === name) || null;
+}
+
+/**
+ * Tool declarations ({ name, description, parameters }) for the current scene
+ */
+export function getToolDeclarations(app) {
+    return TUTOR_ACTIONS.map(action => ({
+        name: action.name,
+        description: action.description,
+        parameters: action.parameters(app)
+    }));
+}